@@ -1,6 +1,9 @@
 const express = require('express');
 const cors = require('cors');
 const config = require('./config/config');
+const dataStore = require('./models/DataStore');
+const ingestionScheduler = require('./services/IngestionScheduler');
+const accountDeletionService = require('./services/AccountDeletionService');
 
 const {
   rateLimiter,
@@ -53,11 +56,17 @@ app.use(errorHandler);
 
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully...');
+  ingestionScheduler.stop();
+  accountDeletionService.stop();
+  dataStore.close();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully...');
+  ingestionScheduler.stop();
+  accountDeletionService.stop();
+  dataStore.close();
   process.exit(0);
 });
 
@@ -70,6 +79,13 @@ const server = app.listen(port, (err) => {
   console.log(`📊 Environment: ${config.environment}`);
   console.log(`🏥 Health check: http://localhost:${port}/health`);
   console.log(`📖 API documentation: http://localhost:${port}/api`);
+
+  if (config.ingestion.enabled) {
+    ingestionScheduler.start();
+  }
+  if (config.accountDeletion.purgeEnabled) {
+    accountDeletionService.start();
+  }
 });
 
 server.on('error', (error) => {
@@ -1,14 +1,54 @@
+const path = require('path');
 const dotenv = require('dotenv');
 
 dotenv.config();
 
+/**
+ * Parse a comma-separated env value into a trimmed list
+ */
+const parseList = (value, fallback = []) => {
+  if (!value) return fallback;
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+};
+
+/**
+ * Parse "name:number" pairs (e.g. "newsapi:2,gnews:1") into an object
+ */
+const parseWeights = (value) => {
+  return parseList(value).reduce((weights, pair) => {
+    const [name, weight] = pair.split(':');
+    const parsed = parseFloat(weight);
+    if (name && !isNaN(parsed)) {
+      weights[name.trim()] = parsed;
+    }
+    return weights;
+  }, {});
+};
+
+/**
+ * Parse RSS feed entries: semicolon-separated "category|url", "category|url|language"
+ * or "category|url|language|country" (language may be left empty)
+ */
+const parseFeeds = (value) => {
+  if (!value) return [];
+  return value.split(';').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [category, url, language, country] = entry.split('|').map(part => part.trim());
+    return url
+      ? { category: category || 'general', url, language: language || null, country: country ? country.toLowerCase() : null }
+      : { category: 'general', url: category, language: null, country: null };
+  });
+};
+
 const config = {
   port: process.env.PORT || 3000,
   environment: process.env.NODE_ENV || 'development',
 
   jwt: {
     secret: process.env.JWT_SECRET || 'fallback-secret-key',
-    expiresIn: process.env.JWT_EXPIRES_IN || '24h',
+    // Access tokens are short-lived; clients renew them with the refresh token
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+    refreshSecret: process.env.JWT_REFRESH_SECRET || (process.env.JWT_SECRET || 'fallback-secret-key') + '_refresh',
+    refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
   },
 
   newsApi: {
@@ -20,12 +60,127 @@ const config = {
   rateLimit: {
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
     maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
+    // Per-IP backstop for signup, login and the password, email and 2FA endpoints;
+    // per-account protection is loginLockout
+    authWindowMs: parseInt(process.env.AUTH_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+    authMaxRequests: parseInt(process.env.AUTH_RATE_LIMIT_MAX_REQUESTS) || 20,
+  },
+
+  loginLockout: {
+    // Failed logins allowed before each further attempt has to wait
+    freeAttempts: parseInt(process.env.LOGIN_FREE_ATTEMPTS) || 3,
+    // Wait after the first delayed failure; doubles with every further failure
+    baseDelayMs: parseInt(process.env.LOGIN_BASE_DELAY_MS) || 1000,
+    maxDelayMs: parseInt(process.env.LOGIN_MAX_DELAY_MS) || 60 * 1000,
+    // Failures that lock the account, and for how long
+    maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES) || 10,
+    lockoutMs: parseInt(process.env.LOGIN_LOCKOUT_MS) || 30 * 60 * 1000,
+    // Failures older than this are forgotten
+    failureWindowMs: parseInt(process.env.LOGIN_FAILURE_WINDOW_MS) || 60 * 60 * 1000,
+    unlockTokenTtlMs: parseInt(process.env.LOGIN_UNLOCK_TTL_MS) || 60 * 60 * 1000,
   },
 
   cache: {
     ttl: parseInt(process.env.CACHE_TTL) || 3600,
   },
 
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'memory',
+    filePath: process.env.STORAGE_FILE_PATH || path.join(__dirname, '..', 'data', 'datastore.json'),
+    flushDelayMs: parseInt(process.env.STORAGE_FLUSH_DELAY_MS) || 1000,
+    autosaveIntervalMs: parseInt(process.env.STORAGE_AUTOSAVE_INTERVAL_MS) || 30 * 1000,
+  },
+
+  admin: {
+    // Accounts with these emails are made admins once the address is verified
+    emails: parseList(process.env.ADMIN_EMAILS).map(email => email.toLowerCase()),
+  },
+
+  mail: {
+    // outbox writes .eml files to outboxDir instead of sending; memory keeps them in
+    // process and is the default under NODE_ENV=test
+    driver: process.env.MAIL_DRIVER || (process.env.NODE_ENV === 'test' ? 'memory' : 'outbox'),
+    outboxDir: process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'data', 'outbox'),
+    from: process.env.MAIL_FROM || 'News Aggregator <no-reply@localhost>',
+    // Base URL used in links sent by email
+    appUrl: process.env.APP_URL || 'http://localhost:3000',
+  },
+
+  passwordReset: {
+    tokenTtlMs: parseInt(process.env.PASSWORD_RESET_TTL_MS) || 30 * 60 * 1000,
+  },
+
+  emailVerification: {
+    tokenTtlMs: parseInt(process.env.EMAIL_VERIFICATION_TTL_MS) || 24 * 60 * 60 * 1000,
+    resendCooldownMs: parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_MS) || 60 * 1000,
+    // Actions unverified users may not perform (see requireVerifiedEmail); empty allows everything
+    restrictedActions: parseList(process.env.EMAIL_VERIFICATION_RESTRICTED_ACTIONS, ['favorites']),
+  },
+
+  accountDeletion: {
+    // How long a deleted account can still be restored before it is purged
+    graceMs: parseInt(process.env.ACCOUNT_DELETION_GRACE_MS) || 7 * 24 * 60 * 60 * 1000,
+    purgeEnabled: process.env.ACCOUNT_PURGE_ENABLED !== 'false',
+    purgeIntervalMs: parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MS) || 60 * 60 * 1000,
+  },
+
+  dataExport: {
+    // Exports with more records than this (read history + favorites + sessions) run as a background job
+    syncMaxRecords: parseInt(process.env.EXPORT_SYNC_MAX_RECORDS) || 1000,
+    // How long a finished export job can be downloaded
+    jobTtlMs: parseInt(process.env.EXPORT_JOB_TTL_MS) || 60 * 60 * 1000,
+  },
+
+  twoFactor: {
+    // Shown as the account's label in authenticator apps
+    issuer: process.env.TWO_FACTOR_ISSUER || 'News Aggregator',
+    // Lifetime of the challenge token returned by a password login when 2FA is on
+    challengeExpiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+    recoveryCodeCount: parseInt(process.env.TWO_FACTOR_RECOVERY_CODES) || 10,
+  },
+
+  providers: {
+    // Active providers in priority order; registered providers not listed are disabled
+    enabled: parseList(process.env.NEWS_PROVIDERS, ['newsapi', 'gnews', 'newscatcher', 'rss']),
+    weights: parseWeights(process.env.NEWS_PROVIDER_WEIGHTS),
+  },
+
+  deduplication: {
+    // Title/description similarity (0-1) above which two articles are the same story
+    similarityThreshold: parseFloat(process.env.DEDUP_SIMILARITY_THRESHOLD) || 0.6,
+  },
+
+  ingestion: {
+    enabled: process.env.INGESTION_ENABLED !== 'false',
+    intervalMs: parseInt(process.env.INGESTION_INTERVAL_MS) || 15 * 60 * 1000,
+    // Empty means every category in defaultPreferences
+    categories: parseList(process.env.INGESTION_CATEGORIES),
+    languages: parseList(process.env.INGESTION_LANGUAGES, ['en']),
+    // Also ingest every supported language that some user has in their preferences
+    includeUserLanguages: process.env.INGESTION_INCLUDE_USER_LANGUAGES !== 'false',
+    // Caps (configured values included): each language and country adds jobs for every category
+    maxLanguages: parseInt(process.env.INGESTION_MAX_LANGUAGES) || 3,
+    // Country headlines fetched besides the global ones, plus every user's home and followed countries
+    countries: parseList(process.env.INGESTION_COUNTRIES).map(code => code.toLowerCase()),
+    includeUserCountries: process.env.INGESTION_INCLUDE_USER_COUNTRIES !== 'false',
+    maxCountries: parseInt(process.env.INGESTION_MAX_COUNTRIES) || 5,
+    pageSize: parseInt(process.env.INGESTION_PAGE_SIZE) || 50,
+  },
+
+  languages: {
+    // Languages users may choose and filter by (ISO 639-1)
+    supported: parseList(process.env.SUPPORTED_LANGUAGES, ['en', 'de', 'hi', 'fr', 'es', 'it', 'nl', 'pt']),
+  },
+
+  feed: {
+    // How many upstream pages a deep feed request may pull before giving up
+    maxUpstreamPages: parseInt(process.env.FEED_MAX_UPSTREAM_PAGES) || 5,
+  },
+
+  rss: {
+    feeds: parseFeeds(process.env.RSS_FEEDS),
+  },
+
   newsApiUrls: {
     newsApi: 'https://newsapi.org/v2',
     gnews: 'https://gnews.io/api/v4',
@@ -0,0 +1,456 @@
+const { body, param, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const dataStore = require('../models/DataStore');
+const NewsService = require('../services/NewsService');
+const IngestionScheduler = require('../services/IngestionScheduler');
+const SessionService = require('../services/SessionService');
+const TokenService = require('../services/TokenService');
+const LoginAttemptService = require('../services/LoginAttemptService');
+const AccountDeletionService = require('../services/AccountDeletionService');
+const { createResponse, createErrorResponse, createPaginatedResponse } = require('../utils/responseHelper');
+
+/**
+ * Admin Controller
+ * User administration, cache management and datastore statistics
+ */
+class AdminController {
+  /**
+   * List users
+   * GET /admin/users
+   */
+  static async listUsers(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(createErrorResponse(
+          'Validation failed',
+          errors.array()
+        ));
+      }
+
+      const { page = 1, limit = 20, role, status, q } = req.query;
+      const pageNumber = parseInt(page);
+      const limitNumber = parseInt(limit);
+      const search = q ? q.toLowerCase() : null;
+
+      const users = dataStore.getAllUsers()
+        .filter(user => !role || user.role === role)
+        .filter(user => !status || AdminController.getUserStatus(user) === status)
+        .filter(user => !search || user.email.includes(search) || user.name.toLowerCase().includes(search))
+        .sort((a, b) => b.createdAt - a.createdAt);
+
+      const startIndex = (pageNumber - 1) * limitNumber;
+      const paginatedUsers = users
+        .slice(startIndex, startIndex + limitNumber)
+        .map(AdminController.describeUser);
+
+      res.status(200).json(createPaginatedResponse(
+        'Users retrieved successfully',
+        { users: paginatedUsers },
+        {
+          page: pageNumber,
+          limit: limitNumber,
+          total: users.length,
+        }
+      ));
+    } catch (error) {
+      console.error('List users error:', error);
+      res.status(500).json(createErrorResponse(
+        'Internal server error',
+        'An error occurred while retrieving users'
+      ));
+    }
+  }
+
+  /**
+   * Suspend a user and sign them out everywhere
+   * POST /admin/users/:id/suspend
+   */
+  static async suspendUser(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(createErrorResponse(
+          'Validation failed',
+          errors.array()
+        ));
+      }
+
+      const user = dataStore.getUserById(req.params.id);
+      if (!user) {
+        return res.status(404).json(createErrorResponse(
+          'User not found',
+          'User not found in the system'
+        ));
+      }
+
+      if (user.id === req.user.userId) {
+        return res.status(400).json(createErrorResponse(
+          'Invalid operation',
+          'You cannot suspend your own account'
+        ));
+      }
+
+      user.suspend(req.body.reason || null);
+      TokenService.logoutAll(user);
+
+      res.status(200).json(createResponse(
+        'User suspended successfully',
+        { user: AdminController.describeUser(user) }
+      ));
+    } catch (error) {
+      console.error('Suspend user error:', error);
+      res.status(500).json(createErrorResponse(
+        'Internal server error',
+        'An error occurred while suspending the user'
+      ));
+    }
+  }
+
+  /**
+   * Lift a suspension
+   * POST /admin/users/:id/unsuspend
+   */
+  static async unsuspendUser(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(createErrorResponse(
+          'Validation failed',
+          errors.array()
+        ));
+      }
+
+      const user = dataStore.getUserById(req.params.id);
+      if (!user) {
+        return res.status(404).json(createErrorResponse(
+          'User not found',
+          'User not found in the system'
+        ));
+      }
+
+      user.unsuspend();
+      dataStore.persist();
+
+      res.status(200).json(createResponse(
+        'User unsuspended successfully',
+        { user: AdminController.describeUser(user) }
+      ));
+    } catch (error) {
+      console.error('Unsuspend user error:', error);
+      res.status(500).json(createErrorResponse(
+        'Internal server error',
+        'An error occurred while unsuspending the user'
+      ));
+    }
+  }
+
+  /**
+   * Lift a login lockout
+   * POST /admin/users/:id/unlock
+   */
+  static async unlockUser(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(createErrorResponse(
+          'Validation failed',
+          errors.array()
+        ));
+      }
+
+      const user = dataStore.getUserById(req.params.id);
+      if (!user) {
+        return res.status(404).json(createErrorResponse(
+          'User not found',
+          'User not found in the system'
+        ));
+      }
+
+      const wasLocked = LoginAttemptService.unlock(user.email);
+
+      res.status(200).json(createResponse(
+        wasLocked ? 'User unlocked successfully' : 'User was not locked',
+        { user: AdminController.describeUser(user) }
+      ));
+    } catch (error) {
+      console.error('Unlock user error:', error);
+      res.status(500).json(createErrorResponse(
+        'Internal server error',
+        'An error occurred while unlocking the user'
+      ));
+    }
+  }
+
+  /**
+   * Cancel a pending account deletion
+   * POST /admin/users/:id/restore
+   */
+  static async restoreUser(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(createErrorResponse(
+          'Validation failed',
+          errors.array()
+        ));
+      }
+
+      const user = dataStore.getUserById(req.params.id);
+      if (!user) {
+        return res.status(404).json(createErrorResponse(
+          'User not found',
+          'User not found in the system'
+        ));
+      }
+
+      if (!user.isPendingDeletion()) {
+        return res.status(400).json(createErrorResponse(
+          'Invalid operation',
+          'This account is not scheduled for deletion'
+        ));
+      }
+
+      AccountDeletionService.restore(user);
+
+      res.status(200).json(createResponse(
+        'User restored successfully',
+        { user: AdminController.describeUser(user) }
+      ));
+    } catch (error) {
+      console.error('Restore user error:', error);
+      res.status(500).json(createErrorResponse(
+        'Internal server error',
+        'An error occurred while restoring the user'
+      ));
+    }
+  }
+
+  /**
+   * Assign a role
+   * PUT /admin/users/:id/role
+   */
+  static async updateRole(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(createErrorResponse(
+          'Validation failed',
+          errors.array()
+        ));
+      }
+
+      const user = dataStore.getUserById(req.params.id);
+      if (!user) {
+        return res.status(404).json(createErrorResponse(
+          'User not found',
+          'User not found in the system'
+        ));
+      }
+
+      // Prevents the last admin from locking everyone out
+      if (user.id === req.user.userId) {
+        return res.status(400).json(createErrorResponse(
+          'Invalid operation',
+          'You cannot change your own role'
+        ));
+      }
+
+      dataStore.updateUser(user.email, { role: req.body.role });
+
+      res.status(200).json(createResponse(
+        'Role updated successfully',
+        { user: AdminController.describeUser(user) }
+      ));
+    } catch (error) {
+      console.error('Update role error:', error);
+      res.status(500).json(createErrorResponse(
+        'Internal server error',
+        'An error occurred while updating the role'
+      ));
+    }
+  }
+
+  /**
+   * Inspect the upstream response cache
+   * GET /admin/cache
+   */
+  static async getCache(req, res) {
+    try {
+      res.status(200).json(createResponse(
+        'Cache retrieved successfully',
+        {
+          stats: NewsService.getCacheStats(),
+          entries: NewsService.inspectCache(),
+        }
+      ));
+    } catch (error) {
+      console.error('Get cache error:', error);
+      res.status(500).json(createErrorResponse(
+        'Internal server error',
+        'An error occurred while retrieving the cache'
+      ));
+    }
+  }
+
+  /**
+   * Flush the upstream response cache
+   * DELETE /admin/cache
+   */
+  static async clearCache(req, res) {
+    try {
+      const cleared = NewsService.getCacheStats().keys;
+      NewsService.clearCache();
+
+      res.status(200).json(createResponse(
+        'Cache cleared successfully',
+        { cleared }
+      ));
+    } catch (error) {
+      console.error('Clear cache error:', error);
+      res.status(500).json(createErrorResponse(
+        'Internal server error',
+        'An error occurred while clearing the cache'
+      ));
+    }
+  }
+
+  /**
+   * Datastore, user and ingestion statistics
+   * GET /admin/stats
+   */
+  static async getStats(req, res) {
+    try {
+      const users = dataStore.getAllUsers();
+      const usersByRole = {};
+      User.ROLES.forEach(role => {
+        usersByRole[role] = users.filter(user => user.role === role).length;
+      });
+
+      res.status(200).json(createResponse(
+        'Statistics retrieved successfully',
+        {
+          dataStore: dataStore.getStats(),
+          users: {
+            byRole: usersByRole,
+            suspended: users.filter(user => user.isSuspended()).length,
+            pendingDeletion: users.filter(user => user.isPendingDeletion()).length,
+            unverified: users.filter(user => !user.emailVerified).length,
+          },
+          cache: NewsService.getCacheStats(),
+          ingestion: IngestionScheduler.getStatus(),
+          accountPurge: AccountDeletionService.getStatus(),
+        }
+      ));
+    } catch (error) {
+      console.error('Get stats error:', error);
+      res.status(500).json(createErrorResponse(
+        'Internal server error',
+        'An error occurred while retrieving statistics'
+      ));
+    }
+  }
+
+  /**
+   * Lifecycle status used by the user list filter
+   * @param {User} user - User
+   * @returns {string} - 'pending-deletion', 'suspended' or 'active'
+   */
+  static getUserStatus(user) {
+    if (user.isPendingDeletion()) return 'pending-deletion';
+    if (user.isSuspended()) return 'suspended';
+    return 'active';
+  }
+
+  /**
+   * Admin view of a user
+   * @param {User} user - User
+   * @returns {Object}
+   */
+  static describeUser(user) {
+    return {
+      ...user.toJSON(),
+      status: AdminController.getUserStatus(user),
+      suspendedAt: user.suspendedAt || null,
+      suspensionReason: user.suspensionReason || null,
+      lockedUntil: LoginAttemptService.getLockedUntil(user.email),
+      deletionScheduledFor: user.isPendingDeletion() ? AccountDeletionService.getPurgeDate(user) : null,
+      activeSessions: SessionService.getActiveSessions(user.id).length,
+    };
+  }
+
+  /**
+   * Validation rules for listing users
+   */
+  static getListUsersValidation() {
+    return [
+      query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer'),
+
+      query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Limit must be between 1 and 100'),
+
+      query('role')
+        .optional()
+        .isIn(User.ROLES)
+        .withMessage(`Role must be one of: ${User.ROLES.join(', ')}`),
+
+      query('status')
+        .optional()
+        .isIn(['active', 'suspended', 'pending-deletion'])
+        .withMessage('Status must be active, suspended or pending-deletion'),
+
+      query('q')
+        .optional()
+        .isLength({ max: 100 })
+        .withMessage('Search must not exceed 100 characters'),
+    ];
+  }
+
+  /**
+   * Validation rules for user ID parameters
+   */
+  static getUserIdValidation() {
+    return [
+      param('id')
+        .notEmpty()
+        .withMessage('User ID is required')
+        .isLength({ max: 50 })
+        .withMessage('Invalid user ID format'),
+    ];
+  }
+
+  /**
+   * Validation rules for suspending a user
+   */
+  static getSuspendValidation() {
+    return [
+      ...AdminController.getUserIdValidation(),
+
+      body('reason')
+        .optional()
+        .isString()
+        .isLength({ max: 500 })
+        .withMessage('Reason must not exceed 500 characters'),
+    ];
+  }
+
+  /**
+   * Validation rules for role assignment
+   */
+  static getRoleValidation() {
+    return [
+      ...AdminController.getUserIdValidation(),
+
+      body('role')
+        .isIn(User.ROLES)
+        .withMessage(`Role must be one of: ${User.ROLES.join(', ')}`),
+    ];
+  }
+}
+
+module.exports = AdminController;
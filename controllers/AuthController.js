@@ -1,7 +1,16 @@
 const { body, validationResult } = require('express-validator');
 const AuthService = require('../services/AuthService');
+const TokenService = require('../services/TokenService');
+const OneTimeTokenService = require('../services/OneTimeTokenService');
+const TwoFactorService = require('../services/TwoFactorService');
+const ApiKeyService = require('../services/ApiKeyService');
+const LoginAttemptService = require('../services/LoginAttemptService');
+const AccountDeletionService = require('../services/AccountDeletionService');
+const EmailService = require('../services/EmailService');
 const dataStore = require('../models/DataStore');
+const Preferences = require('../models/Preferences');
 const { createResponse, createErrorResponse } = require('../utils/responseHelper');
+const config = require('../config/config');
 
 /**
  * Authentication Controller
@@ -45,23 +54,19 @@ class AuthController {
         name: name.trim(),
         email: email.toLowerCase().trim(),
         password: hashedPassword,
-        preferences: Array.isArray(preferences) ? preferences : [],
+        preferences,
       };
 
       const user = dataStore.createUser(userData);
+      AuthController.sendVerificationEmail(user);
 
-      const tokenPayload = {
-        userId: user.id,
-        email: user.email,
-        name: user.name,
-      };
-      const token = AuthService.generateToken(tokenPayload);
+      const tokens = TokenService.issueTokens(user, { client: AuthService.getClientInfo(req) });
 
       res.status(200).json(createResponse(
         'User registered successfully',
         {
           user: user.toJSON(),
-          token,
+          ...AuthController.formatTokens(tokens),
         }
       ));
     } catch (error) {
@@ -88,39 +93,138 @@ class AuthController {
       }
 
       const { email, password } = req.body;
+      const normalizedEmail = email.toLowerCase().trim();
 
-      const user = dataStore.getUserByEmail(email.toLowerCase().trim());
-      if (!user) {
+      // Throttled or locked accounts are refused before the password is even checked
+      const attempt = LoginAttemptService.check(normalizedEmail);
+      if (!attempt.allowed) {
+        return AuthController.rejectLoginAttempt(res, attempt);
+      }
+
+      const user = dataStore.getUserByEmail(normalizedEmail);
+      const isPasswordValid = user
+        ? await AuthService.comparePasswords(password, user.password)
+        : false;
+      if (!isPasswordValid) {
+        return AuthController.handleLoginFailure(res, normalizedEmail, 'Invalid email or password', 'INVALID_CREDENTIALS');
+      }
+
+      if (user.isSuspended()) {
+        return res.status(403).json(createErrorResponse(
+          'Account suspended',
+          'This account has been suspended',
+          'ACCOUNT_SUSPENDED'
+        ));
+      }
+
+      // The password proves ownership, so resend the restore link in case the first one was lost
+      if (user.isPendingDeletion()) {
+        AccountDeletionService.sendRestoreLink(user);
+        return AuthController.rejectPendingDeletion(res, user);
+      }
+
+      AuthController.promoteBootstrapAdmin(user);
+
+      // The password was right; tokens are only issued once the second factor is too
+      if (user.isTwoFactorEnabled()) {
+        return res.status(200).json(createResponse(
+          'Two-factor authentication required',
+          {
+            twoFactorRequired: true,
+            challengeToken: TwoFactorService.issueChallenge(user),
+            expiresIn: config.twoFactor.challengeExpiresIn,
+          }
+        ));
+      }
+
+      LoginAttemptService.recordSuccess(user.email);
+      const tokens = TokenService.issueTokens(user, { client: AuthService.getClientInfo(req) });
+
+      res.status(200).json(createResponse(
+        'Login successful',
+        {
+          user: user.toJSON(),
+          ...AuthController.formatTokens(tokens),
+        }
+      ));
+    } catch (error) {
+      console.error('Login error:', error);
+      res.status(500).json(createErrorResponse(
+        'Internal server error',
+        'An error occurred during login'
+      ));
+    }
+  }
+
+  /**
+   * Second step of a 2FA login: exchange the challenge and a TOTP or recovery code for tokens
+   * POST /users/login/2fa
+   */
+  static async completeTwoFactorLogin(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(createErrorResponse(
+          'Validation failed',
+          errors.array()
+        ));
+      }
+
+      let challenge;
+      try {
+        challenge = TwoFactorService.readChallenge(req.body.challengeToken);
+      } catch (error) {
         return res.status(401).json(createErrorResponse(
           'Authentication failed',
-          'Invalid email or password'
+          error.message
         ));
       }
 
-      const isPasswordValid = await AuthService.comparePasswords(password, user.password);
-      if (!isPasswordValid) {
+      const user = dataStore.getUserById(challenge.userId);
+      if (!user || !user.isTwoFactorEnabled()) {
         return res.status(401).json(createErrorResponse(
           'Authentication failed',
-          'Invalid email or password'
+          'Invalid challenge token'
         ));
       }
 
-      const tokenPayload = {
-        userId: user.id,
-        email: user.email,
-        name: user.name,
-      };
-      const token = AuthService.generateToken(tokenPayload);
+      if (user.isSuspended()) {
+        return res.status(403).json(createErrorResponse(
+          'Account suspended',
+          'This account has been suspended',
+          'ACCOUNT_SUSPENDED'
+        ));
+      }
+
+      if (user.isPendingDeletion()) {
+        return AuthController.rejectPendingDeletion(res, user);
+      }
+
+      // Wrong codes count against the same per-account budget as wrong passwords
+      const attempt = LoginAttemptService.check(user.email);
+      if (!attempt.allowed) {
+        return AuthController.rejectLoginAttempt(res, attempt);
+      }
+
+      const method = TwoFactorService.verify(user, req.body.code);
+      if (!method) {
+        return AuthController.handleLoginFailure(res, user.email, 'Invalid two-factor code', 'INVALID_2FA_CODE');
+      }
+
+      TwoFactorService.redeemChallenge(challenge);
+      LoginAttemptService.recordSuccess(user.email);
+      const tokens = TokenService.issueTokens(user, { client: AuthService.getClientInfo(req) });
 
       res.status(200).json(createResponse(
         'Login successful',
         {
           user: user.toJSON(),
-          token,
+          ...AuthController.formatTokens(tokens),
+          recoveryCodesRemaining: method === 'recovery' ? user.twoFactor.recoveryCodes.length : undefined,
         }
       ));
     } catch (error) {
-      console.error('Login error:', error);
+      console.error('Two-factor login error:', error);
       res.status(500).json(createErrorResponse(
         'Internal server error',
         'An error occurred during login'
@@ -128,6 +232,428 @@ class AuthController {
     }
   }
 
+  /**
+   * Exchange a refresh token for a new access/refresh token pair
+   * POST /users/token/refresh
+   */
+  static async refreshToken(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(createErrorResponse(
+          'Validation failed',
+          errors.array()
+        ));
+      }
+
+      let result;
+      try {
+        result = TokenService.refresh(req.body.refreshToken, AuthService.getClientInfo(req));
+      } catch (error) {
+        if (error instanceof TokenService.TokenError) {
+          return res.status(401).json(createErrorResponse(
+            'Token refresh failed',
+            error.message
+          ));
+        }
+        throw error;
+      }
+
+      res.status(200).json(createResponse(
+        'Token refreshed successfully',
+        AuthController.formatTokens(result.tokens)
+      ));
+    } catch (error) {
+      console.error('Token refresh error:', error);
+      res.status(500).json(createErrorResponse(
+        'Internal server error',
+        'An error occurred while refreshing the token'
+      ));
+    }
+  }
+
+  /**
+   * Confirm an email address with the token from the verification email
+   * POST /users/verify-email
+   */
+  static async verifyEmail(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(createErrorResponse(
+          'Validation failed',
+          errors.array()
+        ));
+      }
+
+      const record = OneTimeTokenService.consume(req.body.token, 'email-verification');
+      const user = record && dataStore.getUserById(record.userId);
+      if (!user) {
+        return res.status(400).json(createErrorResponse(
+          'Email verification failed',
+          'Verification token is invalid or has expired'
+        ));
+      }
+
+      user.markEmailVerified();
+      dataStore.persist();
+      AuthController.promoteBootstrapAdmin(user);
+
+      res.status(200).json(createResponse(
+        'Email verified successfully',
+        { user: user.toJSON() }
+      ));
+    } catch (error) {
+      console.error('Verify email error:', error);
+      res.status(500).json(createErrorResponse(
+        'Internal server error',
+        'An error occurred while verifying the email address'
+      ));
+    }
+  }
+
+  /**
+   * Lift a login lockout with the token from the account-locked email
+   * POST /users/unlock
+   */
+  static async unlockAccount(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(createErrorResponse(
+          'Validation failed',
+          errors.array()
+        ));
+      }
+
+      const record = OneTimeTokenService.consume(req.body.token, 'account-unlock');
+      const user = record && dataStore.getUserById(record.userId);
+      if (!user) {
+        return res.status(400).json(createErrorResponse(
+          'Unlock failed',
+          'Unlock token is invalid or has expired'
+        ));
+      }
+
+      LoginAttemptService.unlock(user.email);
+
+      res.status(200).json(createResponse(
+        'Account unlocked successfully. You can log in again'
+      ));
+    } catch (error) {
+      console.error('Unlock account error:', error);
+      res.status(500).json(createErrorResponse(
+        'Internal server error',
+        'An error occurred while unlocking the account'
+      ));
+    }
+  }
+
+  /**
+   * Cancel a pending account deletion with the token from the deletion email
+   * POST /users/account/restore
+   */
+  static async restoreAccount(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(createErrorResponse(
+          'Validation failed',
+          errors.array()
+        ));
+      }
+
+      const record = OneTimeTokenService.consume(req.body.token, 'account-restore');
+      const user = record && dataStore.getUserById(record.userId);
+      if (!user || !user.isPendingDeletion()) {
+        return res.status(400).json(createErrorResponse(
+          'Restore failed',
+          'Restore token is invalid or has expired'
+        ));
+      }
+
+      AccountDeletionService.restore(user);
+
+      res.status(200).json(createResponse(
+        'Account restored successfully. You can log in again'
+      ));
+    } catch (error) {
+      console.error('Restore account error:', error);
+      res.status(500).json(createErrorResponse(
+        'Internal server error',
+        'An error occurred while restoring the account'
+      ));
+    }
+  }
+
+  /**
+   * Send a new verification email to the current user
+   * POST /users/verify-email/resend
+   */
+  static async resendVerificationEmail(req, res) {
+    try {
+      const user = dataStore.getUserById(req.user.userId);
+      if (!user) {
+        return res.status(404).json(createErrorResponse(
+          'User not found',
+          'User not found in the system'
+        ));
+      }
+
+      if (user.emailVerified) {
+        return res.status(409).json(createErrorResponse(
+          'Email already verified',
+          'This email address has already been confirmed'
+        ));
+      }
+
+      const pending = dataStore.findOneTimeToken(user.id, 'email-verification');
+      const cooldownMs = config.emailVerification.resendCooldownMs;
+      if (pending && Date.now() - pending.createdAt < cooldownMs) {
+        return res.status(429).json(createErrorResponse(
+          'Too many requests',
+          `Please wait ${Math.ceil(cooldownMs / 1000)} seconds between verification emails`
+        ));
+      }
+
+      await AuthController.sendVerificationEmail(user);
+
+      res.status(200).json(createResponse('Verification email sent'));
+    } catch (error) {
+      console.error('Resend verification error:', error);
+      res.status(500).json(createErrorResponse(
+        'Internal server error',
+        'An error occurred while sending the verification email'
+      ));
+    }
+  }
+
+  /**
+   * Give the admin role to accounts listed in ADMIN_EMAILS
+   * Only once the address is verified, so listing an email never hands admin rights to
+   * whoever registers it (or changes their address to it) first
+   * @param {User} user - User who just logged in or verified their email
+   */
+  static promoteBootstrapAdmin(user) {
+    if (user.emailVerified && config.admin.emails.includes(user.email) && user.role !== 'admin') {
+      dataStore.updateUser(user.email, { role: 'admin' });
+    }
+  }
+
+  /**
+   * Issue a verification token and email it; replaces any earlier token
+   * @param {User} user - Unverified user
+   * @returns {Promise<boolean>} - Whether the mailer accepted the message
+   */
+  static sendVerificationEmail(user) {
+    const token = OneTimeTokenService.issue(user, 'email-verification', config.emailVerification.tokenTtlMs);
+    return EmailService.sendEmailVerification(user, token);
+  }
+
+  /**
+   * Log out the current login
+   * POST /users/logout
+   */
+  static async logout(req, res) {
+    try {
+      TokenService.logout(req.user);
+
+      res.status(200).json(createResponse('Logged out successfully'));
+    } catch (error) {
+      console.error('Logout error:', error);
+      res.status(500).json(createErrorResponse(
+        'Internal server error',
+        'An error occurred during logout'
+      ));
+    }
+  }
+
+  /**
+   * Log out everywhere by invalidating every token issued so far
+   * POST /users/logout-all
+   */
+  static async logoutAll(req, res) {
+    try {
+      const user = dataStore.getUserById(req.user.userId);
+      if (!user) {
+        return res.status(404).json(createErrorResponse(
+          'User not found',
+          'User not found in the system'
+        ));
+      }
+
+      TokenService.logoutAll(user);
+
+      res.status(200).json(createResponse('Logged out of all sessions'));
+    } catch (error) {
+      console.error('Logout all error:', error);
+      res.status(500).json(createErrorResponse(
+        'Internal server error',
+        'An error occurred during logout'
+      ));
+    }
+  }
+
+  /**
+   * Start a password reset by emailing a one-time token
+   * Always answers the same way so it cannot be used to discover accounts
+   * POST /users/password/forgot
+   */
+  static async forgotPassword(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(createErrorResponse(
+          'Validation failed',
+          errors.array()
+        ));
+      }
+
+      const user = dataStore.getUserByEmail(req.body.email.toLowerCase().trim());
+      if (user) {
+        const token = OneTimeTokenService.issue(user, 'password-reset', config.passwordReset.tokenTtlMs);
+        // Not awaited, so response time does not depend on whether the account exists
+        EmailService.sendPasswordReset(user, token);
+      }
+
+      res.status(200).json(createResponse(
+        'If an account exists for this email, a password reset link has been sent'
+      ));
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.status(500).json(createErrorResponse(
+        'Internal server error',
+        'An error occurred while requesting a password reset'
+      ));
+    }
+  }
+
+  /**
+   * Set a new password with a reset token; signs the user out everywhere
+   * POST /users/password/reset
+   */
+  static async resetPassword(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(createErrorResponse(
+          'Validation failed',
+          errors.array()
+        ));
+      }
+
+      const { token, password } = req.body;
+
+      const passwordValidation = AuthService.validatePasswordStrength(password);
+      if (!passwordValidation.isValid) {
+        return res.status(400).json(createErrorResponse(
+          'Password validation failed',
+          passwordValidation.errors
+        ));
+      }
+
+      const record = OneTimeTokenService.consume(token, 'password-reset');
+      const user = record && dataStore.getUserById(record.userId);
+      if (!user) {
+        return res.status(400).json(createErrorResponse(
+          'Password reset failed',
+          'Reset token is invalid or has expired'
+        ));
+      }
+
+      const hashedPassword = await AuthService.hashPassword(password);
+      dataStore.updateUser(user.email, { password: hashedPassword });
+      TokenService.logoutAll(user);
+      // Whoever had access before the reset keeps none, including through API keys
+      ApiKeyService.revokeAll(user.id);
+      // Proving control of the mailbox also lifts a lockout
+      LoginAttemptService.unlock(user.email);
+      EmailService.sendPasswordChanged(user);
+
+      res.status(200).json(createResponse(
+        'Password has been reset; please log in with your new password'
+      ));
+    } catch (error) {
+      console.error('Reset password error:', error);
+      res.status(500).json(createErrorResponse(
+        'Internal server error',
+        'An error occurred while resetting the password'
+      ));
+    }
+  }
+
+  /**
+   * Refuse a login attempt for a throttled or locked account
+   * @param {Object} res - Express response object
+   * @param {Object} attempt - Result of LoginAttemptService.check/recordFailure
+   */
+  static rejectLoginAttempt(res, { locked, retryAfterMs }) {
+    const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    res.set('Retry-After', String(retryAfter));
+
+    if (locked) {
+      return res.status(423).json(createErrorResponse(
+        'Account locked',
+        `Too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minutes or use the unlock link sent by email`,
+        'ACCOUNT_LOCKED'
+      ));
+    }
+
+    return res.status(429).json(createErrorResponse(
+      'Too many failed login attempts',
+      `Wait ${retryAfter} seconds before trying again`,
+      'LOGIN_THROTTLED'
+    ));
+  }
+
+  /**
+   * Refuse a login to an account that is scheduled for deletion
+   * @param {Object} res - Express response object
+   * @param {User} user - Account pending deletion
+   */
+  static rejectPendingDeletion(res, user) {
+    return res.status(403).json(createErrorResponse(
+      'Account scheduled for deletion',
+      `This account will be deleted on ${AccountDeletionService.getPurgeDate(user).toISOString()}. Use the restore link sent by email to keep it`,
+      'ACCOUNT_PENDING_DELETION'
+    ));
+  }
+
+  /**
+   * Count a failed login; emails an unlock link when the failure locks the account
+   * @param {Object} res - Express response object
+   * @param {string} email - Email being logged into
+   * @param {string} reason - Error detail for a plain failure
+   * @param {string} code - Error code for a plain failure
+   */
+  static handleLoginFailure(res, email, reason, code) {
+    const result = LoginAttemptService.recordFailure(email);
+
+    if (result.locked) {
+      const user = dataStore.getUserByEmail(email);
+      if (user) {
+        const token = OneTimeTokenService.issue(user, 'account-unlock', config.loginLockout.unlockTokenTtlMs);
+        EmailService.sendAccountLocked(user, token);
+      }
+      return AuthController.rejectLoginAttempt(res, { locked: true, retryAfterMs: result.retryAfterMs });
+    }
+
+    return res.status(401).json(createErrorResponse(
+      'Authentication failed',
+      reason,
+      code
+    ));
+  }
+
+  /**
+   * Public fields of an issued token pair
+   * @param {Object} tokens - Result of TokenService.issueTokens
+   * @returns {Object} - { token, refreshToken, tokenType, expiresIn }
+   */
+  static formatTokens({ token, refreshToken, tokenType, expiresIn }) {
+    return { token, refreshToken, tokenType, expiresIn };
+  }
+
   /**
    * Get Current User Profile
    * GET /users/profile
@@ -180,14 +706,107 @@ class AuthController {
       
       body('preferences')
         .optional()
-        .isArray()
-        .withMessage('Preferences must be an array')
-        .custom((preferences) => {
-          if (preferences.length > 10) {
-            throw new Error('Cannot have more than 10 preferences');
-          }
-          return true;
-        }),
+        .custom(Preferences.validate),
+    ];
+  }
+
+  /**
+   * Validation rules for token refresh
+   */
+  static getRefreshValidation() {
+    return [
+      body('refreshToken')
+        .isString()
+        .withMessage('Refresh token is required')
+        .isLength({ min: 1, max: 2048 })
+        .withMessage('Invalid refresh token format'),
+    ];
+  }
+
+  /**
+   * Validation rules for the second step of a 2FA login
+   */
+  static getTwoFactorLoginValidation() {
+    return [
+      body('challengeToken')
+        .isString()
+        .withMessage('Challenge token is required')
+        .isLength({ min: 1, max: 2048 })
+        .withMessage('Invalid challenge token format'),
+
+      body('code')
+        .isString()
+        .withMessage('Code is required')
+        .isLength({ min: 6, max: 20 })
+        .withMessage('Code must be between 6 and 20 characters'),
+    ];
+  }
+
+  /**
+   * Validation rules for requesting a password reset
+   */
+  static getForgotPasswordValidation() {
+    return [
+      body('email')
+        .isEmail()
+        .withMessage('Please provide a valid email address')
+        .normalizeEmail(),
+    ];
+  }
+
+  /**
+   * Validation rules for email verification
+   */
+  static getVerifyEmailValidation() {
+    return [
+      body('token')
+        .isString()
+        .withMessage('Verification token is required')
+        .isLength({ min: 1, max: 256 })
+        .withMessage('Invalid verification token format'),
+    ];
+  }
+
+  /**
+   * Validation rules for unlocking an account
+   */
+  static getUnlockValidation() {
+    return [
+      body('token')
+        .isString()
+        .withMessage('Unlock token is required')
+        .isLength({ min: 1, max: 256 })
+        .withMessage('Invalid unlock token format'),
+    ];
+  }
+
+  /**
+   * Validation rules for restoring an account
+   */
+  static getRestoreAccountValidation() {
+    return [
+      body('token')
+        .isString()
+        .withMessage('Restore token is required')
+        .isLength({ min: 1, max: 256 })
+        .withMessage('Invalid restore token format'),
+    ];
+  }
+
+  /**
+   * Validation rules for resetting a password
+   */
+  static getResetPasswordValidation() {
+    return [
+      body('token')
+        .isString()
+        .withMessage('Reset token is required')
+        .isLength({ min: 1, max: 256 })
+        .withMessage('Invalid reset token format'),
+
+      body('password')
+        .isLength({ min: 8, max: 128 })
+        .withMessage('Password must be between 8 and 128 characters'),
     ];
   }
 
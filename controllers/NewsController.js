@@ -1,7 +1,13 @@
 const { query, param, validationResult } = require('express-validator');
 const NewsService = require('../services/NewsService');
+const IngestionScheduler = require('../services/IngestionScheduler');
+const FeedService = require('../services/FeedService');
 const dataStore = require('../models/DataStore');
-const { createResponse, createErrorResponse, createPaginatedResponse } = require('../utils/responseHelper');
+const Preferences = require('../models/Preferences');
+const config = require('../config/config');
+const { parseQuery, parseDateBound, QuerySyntaxError } = require('../utils/queryParser');
+const { InvalidCursorError } = require('../utils/cursor');
+const { createResponse, createErrorResponse, createPaginatedResponse, createCursorPaginatedResponse } = require('../utils/responseHelper');
 
 /**
  * News Controller
@@ -10,10 +16,19 @@ const { createResponse, createErrorResponse, createPaginatedResponse } = require
 class NewsController {
   /**
    * Get news articles based on user preferences
+   * Pass meta.pagination.nextCursor back as ?cursor= for the next page
    * GET /news
    */
   static async getNews(req, res) {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(createErrorResponse(
+          'Validation failed',
+          errors.array()
+        ));
+      }
+
       const user = dataStore.getUserById(req.user.userId);
       
       if (!user) {
@@ -23,42 +38,50 @@ class NewsController {
         ));
       }
 
-      const { page = 1, limit = 20, category } = req.query;
-      const pageNumber = parseInt(page);
+      const { limit = 20, category, language, country, cursor } = req.query;
+      const pageNumber = cursor ? null : parseInt(req.query.page || 1);
       const limitNumber = parseInt(limit);
 
-      let preferences = user.preferences.length > 0 ? user.preferences : ['general'];
-
-      if (category) {
-        preferences = [category];
-      }
-
-      const articles = await NewsService.getPersonalizedNews(preferences, 'en', limitNumber * 2);
+      // Category, language and country filters replace the preferred ones; the other preferences still apply
+      const preferences = {
+        ...user.preferences,
+        ...(category && { categories: [category] }),
+        ...(language && { languages: [language] }),
+        ...(country && { homeCountry: country, countries: [] }),
+      };
 
-      if (articles.length > 0) {
-        dataStore.storeArticles(articles);
+      let feedPage;
+      try {
+        feedPage = await FeedService.getFeedPage({
+          preferences,
+          limit: limitNumber,
+          cursor,
+          page: pageNumber,
+        });
+      } catch (error) {
+        if (error instanceof InvalidCursorError) {
+          return res.status(400).json(createErrorResponse(
+            'Invalid cursor',
+            error.message
+          ));
+        }
+        throw error;
       }
 
-      const enrichedArticles = articles.map(article => ({
+      const enrichedArticles = feedPage.articles.map(article => ({
         ...article.toJSON(),
         isRead: user.isArticleRead(article.id),
         isFavorite: user.isArticleFavorite(article.id),
       }));
 
-      const startIndex = (pageNumber - 1) * limitNumber;
-      const endIndex = startIndex + limitNumber;
-      const paginatedArticles = enrichedArticles.slice(startIndex, endIndex);
-
-      const pagination = {
-        page: pageNumber,
-        limit: limitNumber,
-        total: enrichedArticles.length,
-      };
-
-      res.status(200).json(createPaginatedResponse(
+      res.status(200).json(createCursorPaginatedResponse(
         'News retrieved successfully',
-        { news: paginatedArticles },
-        pagination
+        { news: enrichedArticles },
+        {
+          limit: limitNumber,
+          nextCursor: feedPage.nextCursor,
+          page: pageNumber,
+        }
       ));
     } catch (error) {
       console.error('Get news error:', error);
@@ -70,8 +93,9 @@ class NewsController {
   }
 
   /**
-   * Search news articles by keyword
+   * Search news articles with the query language (see utils/queryParser)
    * GET /news/search/:keyword
+   * GET /news/search?q=
    */
   static async searchNews(req, res) {
     try {
@@ -83,19 +107,73 @@ class NewsController {
         ));
       }
 
-      const { keyword } = req.params;
-      const { page = 1, limit = 20 } = req.query;
+      const keyword = req.params.keyword || req.query.q;
+      const { page = 1, limit = 20, sortBy = 'relevance' } = req.query;
       const pageNumber = parseInt(page);
       const limitNumber = parseInt(limit);
+      const from = parseDateBound(req.query.from);
+      const to = parseDateBound(req.query.to, { endOfDay: true });
 
-      const articles = await NewsService.searchNews(keyword, 'en', limitNumber * 2);
+      if (!keyword) {
+        return res.status(400).json(createErrorResponse(
+          'Validation failed',
+          'A search query is required'
+        ));
+      }
 
-      if (articles.length > 0) {
-        dataStore.storeArticles(articles);
+      let parsedQuery;
+      try {
+        parsedQuery = parseQuery(keyword);
+      } catch (error) {
+        if (error instanceof QuerySyntaxError) {
+          return res.status(400).json(createErrorResponse(
+            'Invalid search query',
+            error.message
+          ));
+        }
+        throw error;
       }
 
+      // Without a language filter, search the user's preferred languages
       const user = dataStore.getUserById(req.user.userId);
-      const enrichedArticles = articles.map(article => ({
+      const languages = req.query.language
+        ? [req.query.language]
+        : Preferences.forFeed(user ? user.preferences : []).languages;
+      const filters = { language: languages, from, to };
+
+      // Enough results to fill every page up to the requested one
+      const wanted = Math.max(pageNumber * limitNumber, limitNumber * 2);
+
+      // Answer from the local index first
+      const localArticles = dataStore.searchArticles(parsedQuery, filters);
+      let results = [...localArticles];
+      let upstreamCount = 0;
+
+      // Upstream search only tops up what the stored corpus cannot provide
+      if (results.length < wanted) {
+        const upstreamArticles = await NewsService.searchNews(parsedQuery, {
+          ...filters,
+          sortBy,
+          pageSize: Math.min(wanted - results.length, 100),
+        });
+        const seen = new Set(results.map(article => article.id));
+
+        dataStore.storeArticles(upstreamArticles).forEach(article => {
+          if (!seen.has(article.id)) {
+            seen.add(article.id);
+            results.push(article);
+            upstreamCount++;
+          }
+        });
+      }
+
+      results = NewsService.rankSearchResults(
+        results,
+        sortBy,
+        (article) => dataStore.getSearchScore(article.id, parsedQuery)
+      );
+
+      const enrichedArticles = results.map(article => ({
         ...article.toJSON(),
         isRead: user ? user.isArticleRead(article.id) : false,
         isFavorite: user ? user.isArticleFavorite(article.id) : false,
@@ -115,7 +193,18 @@ class NewsController {
         `Search results for "${keyword}"`,
         { 
           keyword,
-          news: paginatedArticles 
+          filters: {
+            language: req.query.language || null,
+            languages,
+            from: from ? from.toISOString() : null,
+            to: to ? to.toISOString() : null,
+            sortBy,
+          },
+          news: paginatedArticles,
+          sources: {
+            local: localArticles.length,
+            upstream: upstreamCount,
+          },
         },
         pagination
       ));
@@ -354,6 +443,28 @@ class NewsController {
     }
   }
 
+  /**
+   * Get background ingestion status
+   * GET /news/ingestion/status
+   */
+  static async getIngestionStatus(req, res) {
+    try {
+      res.status(200).json(createResponse(
+        'Ingestion status retrieved successfully',
+        {
+          ingestion: IngestionScheduler.getStatus(),
+          providers: NewsService.getProviderStatus(),
+        }
+      ));
+    } catch (error) {
+      console.error('Get ingestion status error:', error);
+      res.status(500).json(createErrorResponse(
+        'Internal server error',
+        'An error occurred while retrieving ingestion status'
+      ));
+    }
+  }
+
   /**
    * Get article by ID
    * GET /news/:id
@@ -391,16 +502,48 @@ class NewsController {
   }
 
   /**
-   * Validation rules for search keyword
+   * Validation rules for search query and filters
    */
   static getSearchValidation() {
     return [
       param('keyword')
+        .optional()
         .trim()
-        .isLength({ min: 2, max: 100 })
-        .withMessage('Keyword must be between 2 and 100 characters')
-        .matches(/^[a-zA-Z0-9\s\-_]+$/)
+        .isLength({ min: 2, max: 200 })
+        .withMessage('Keyword must be between 2 and 200 characters')
+        .not()
+        .matches(/[\u0000-\u001f<>]/)
         .withMessage('Keyword contains invalid characters'),
+
+      query('q')
+        .optional()
+        .trim()
+        .isLength({ min: 2, max: 200 })
+        .withMessage('Query must be between 2 and 200 characters')
+        .not()
+        .matches(/[\u0000-\u001f<>]/)
+        .withMessage('Query contains invalid characters'),
+
+      query('from')
+        .optional()
+        .isISO8601()
+        .withMessage('from must be an ISO 8601 date'),
+
+      query('to')
+        .optional()
+        .isISO8601()
+        .withMessage('to must be an ISO 8601 date')
+        .custom((to, { req }) => {
+          if (req.query.from && new Date(to) < new Date(req.query.from)) {
+            throw new Error('to must not be earlier than from');
+          }
+          return true;
+        }),
+
+      query('sortBy')
+        .optional()
+        .isIn(['relevance', 'date', 'popularity'])
+        .withMessage('sortBy must be one of relevance, date, popularity'),
     ];
   }
 
@@ -417,6 +560,30 @@ class NewsController {
     ];
   }
 
+  /**
+   * Validation rules for the feed cursor
+   */
+  static getFeedValidation() {
+    return [
+      query('cursor')
+        .optional()
+        .isLength({ min: 1, max: 512 })
+        .withMessage('Cursor must be between 1 and 512 characters'),
+    ];
+  }
+
+  /**
+   * Validation rule for the language filter
+   */
+  static getLanguageValidation() {
+    return query('language')
+      .optional()
+      .trim()
+      .toLowerCase()
+      .isIn(config.languages.supported)
+      .withMessage(`language must be one of ${config.languages.supported.join(', ')}`);
+  }
+
   /**
    * Validation rules for query parameters
    */
@@ -436,6 +603,15 @@ class NewsController {
         .optional()
         .isIn(['general', 'technology', 'business', 'health', 'science', 'sports', 'entertainment'])
         .withMessage('Invalid category'),
+
+      NewsController.getLanguageValidation(),
+
+      query('country')
+        .optional()
+        .trim()
+        .toLowerCase()
+        .matches(/^[a-z]{2}$/)
+        .withMessage('country must be a two-letter ISO 3166-1 code'),
     ];
   }
 }
@@ -0,0 +1,270 @@
+const { body, validationResult } = require('express-validator');
+const dataStore = require('../models/DataStore');
+const AuthService = require('../services/AuthService');
+const TwoFactorService = require('../services/TwoFactorService');
+const SessionService = require('../services/SessionService');
+const EmailService = require('../services/EmailService');
+const { createResponse, createErrorResponse } = require('../utils/responseHelper');
+
+/**
+ * Two-Factor Controller
+ * TOTP enrollment, confirmation and removal for the signed-in user
+ */
+class TwoFactorController {
+  /**
+   * Get the user's 2FA state
+   * GET /users/2fa
+   */
+  static async getStatus(req, res) {
+    try {
+      const user = dataStore.getUserById(req.user.userId);
+      if (!user) {
+        return res.status(404).json(createErrorResponse(
+          'User not found',
+          'User not found in the system'
+        ));
+      }
+
+      res.status(200).json(createResponse(
+        'Two-factor status retrieved successfully',
+        { twoFactor: TwoFactorService.getStatus(user) }
+      ));
+    } catch (error) {
+      console.error('Get 2FA status error:', error);
+      res.status(500).json(createErrorResponse(
+        'Internal server error',
+        'An error occurred while retrieving two-factor status'
+      ));
+    }
+  }
+
+  /**
+   * Start enrollment: returns a new secret and otpauth URI; requires the current password
+   * POST /users/2fa/setup
+   */
+  static async setup(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(createErrorResponse(
+          'Validation failed',
+          errors.array()
+        ));
+      }
+
+      const user = dataStore.getUserById(req.user.userId);
+      if (!user) {
+        return res.status(404).json(createErrorResponse(
+          'User not found',
+          'User not found in the system'
+        ));
+      }
+
+      if (!(await AuthService.comparePasswords(req.body.currentPassword, user.password))) {
+        return res.status(401).json(createErrorResponse(
+          'Authentication failed',
+          'Current password is incorrect'
+        ));
+      }
+
+      if (user.isTwoFactorEnabled()) {
+        return res.status(409).json(createErrorResponse(
+          'Two-factor authentication already enabled',
+          'Disable it first to enroll a new authenticator'
+        ));
+      }
+
+      const enrollment = TwoFactorService.beginEnrollment(user);
+
+      res.status(200).json(createResponse(
+        'Scan the URI with an authenticator app, then confirm with a code',
+        enrollment
+      ));
+    } catch (error) {
+      console.error('2FA setup error:', error);
+      res.status(500).json(createErrorResponse(
+        'Internal server error',
+        'An error occurred while setting up two-factor authentication'
+      ));
+    }
+  }
+
+  /**
+   * Finish enrollment with a code from the authenticator; returns the recovery codes once
+   * POST /users/2fa/confirm
+   */
+  static async confirm(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(createErrorResponse(
+          'Validation failed',
+          errors.array()
+        ));
+      }
+
+      const user = dataStore.getUserById(req.user.userId);
+      if (!user) {
+        return res.status(404).json(createErrorResponse(
+          'User not found',
+          'User not found in the system'
+        ));
+      }
+
+      if (user.isTwoFactorEnabled()) {
+        return res.status(409).json(createErrorResponse(
+          'Two-factor authentication already enabled',
+          'Two-factor authentication is already enabled for this account'
+        ));
+      }
+
+      if (!user.twoFactor) {
+        return res.status(400).json(createErrorResponse(
+          'No enrollment in progress',
+          'Start with POST /api/users/2fa/setup'
+        ));
+      }
+
+      const recoveryCodes = TwoFactorService.confirmEnrollment(user, req.body.code);
+      if (!recoveryCodes) {
+        return res.status(400).json(createErrorResponse(
+          'Invalid code',
+          'Invalid two-factor code',
+          'INVALID_2FA_CODE'
+        ));
+      }
+
+      // Other devices signed in with the password alone; they must log in again with a code
+      const revokedSessions = SessionService.revokeAll(user.id, req.user.sid);
+      dataStore.persist();
+      EmailService.sendTwoFactorChanged(user, true);
+
+      res.status(200).json(createResponse(
+        'Two-factor authentication enabled. Store the recovery codes now, they will not be shown again',
+        {
+          twoFactor: TwoFactorService.getStatus(user),
+          recoveryCodes,
+          revokedSessions,
+        }
+      ));
+    } catch (error) {
+      console.error('2FA confirm error:', error);
+      res.status(500).json(createErrorResponse(
+        'Internal server error',
+        'An error occurred while enabling two-factor authentication'
+      ));
+    }
+  }
+
+  /**
+   * Turn 2FA off; requires the current password and a TOTP or recovery code
+   * POST /users/2fa/disable
+   */
+  static async disable(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(createErrorResponse(
+          'Validation failed',
+          errors.array()
+        ));
+      }
+
+      const user = dataStore.getUserById(req.user.userId);
+      if (!user) {
+        return res.status(404).json(createErrorResponse(
+          'User not found',
+          'User not found in the system'
+        ));
+      }
+
+      if (!(await AuthService.comparePasswords(req.body.currentPassword, user.password))) {
+        return res.status(401).json(createErrorResponse(
+          'Authentication failed',
+          'Current password is incorrect'
+        ));
+      }
+
+      if (!user.twoFactor) {
+        return res.status(400).json(createErrorResponse(
+          'Two-factor authentication not enabled',
+          'Two-factor authentication is not enabled for this account'
+        ));
+      }
+
+      // A pending enrollment has no working code yet; the password is enough to drop it
+      if (!user.isTwoFactorEnabled()) {
+        TwoFactorService.disable(user);
+        return res.status(200).json(createResponse(
+          'Two-factor enrollment cancelled',
+          { twoFactor: TwoFactorService.getStatus(user) }
+        ));
+      }
+
+      if (!TwoFactorService.verify(user, req.body.code)) {
+        return res.status(400).json(createErrorResponse(
+          'Invalid code',
+          'Invalid two-factor code',
+          'INVALID_2FA_CODE'
+        ));
+      }
+
+      TwoFactorService.disable(user);
+      EmailService.sendTwoFactorChanged(user, false);
+
+      res.status(200).json(createResponse(
+        'Two-factor authentication disabled',
+        { twoFactor: TwoFactorService.getStatus(user) }
+      ));
+    } catch (error) {
+      console.error('2FA disable error:', error);
+      res.status(500).json(createErrorResponse(
+        'Internal server error',
+        'An error occurred while disabling two-factor authentication'
+      ));
+    }
+  }
+
+  /**
+   * Validation rules for starting enrollment
+   */
+  static getSetupValidation() {
+    return [
+      body('currentPassword')
+        .notEmpty()
+        .withMessage('Current password is required'),
+    ];
+  }
+
+  /**
+   * Validation rules for confirming enrollment
+   */
+  static getConfirmValidation() {
+    return [
+      body('code')
+        .isString()
+        .withMessage('Code is required')
+        .matches(/^\s*\d{3}\s?\d{3}\s*$/)
+        .withMessage('Code must be 6 digits'),
+    ];
+  }
+
+  /**
+   * Validation rules for disabling 2FA
+   */
+  static getDisableValidation() {
+    return [
+      body('currentPassword')
+        .notEmpty()
+        .withMessage('Current password is required'),
+
+      body('code')
+        .isString()
+        .withMessage('Code is required')
+        .isLength({ min: 6, max: 20 })
+        .withMessage('Code must be between 6 and 20 characters'),
+    ];
+  }
+}
+
+module.exports = TwoFactorController;
@@ -1,5 +1,14 @@
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const dataStore = require('../models/DataStore');
+const Preferences = require('../models/Preferences');
+const AuthService = require('../services/AuthService');
+const TokenService = require('../services/TokenService');
+const SessionService = require('../services/SessionService');
+const ApiKeyService = require('../services/ApiKeyService');
+const AccountDeletionService = require('../services/AccountDeletionService');
+const ExportService = require('../services/ExportService');
+const EmailService = require('../services/EmailService');
+const AuthController = require('./AuthController');
 const { createResponse, createErrorResponse } = require('../utils/responseHelper');
 const config = require('../config/config');
 
@@ -28,7 +37,8 @@ class UserController {
         {
           preferences: user.preferences,
           availableCategories: config.defaultPreferences.categories,
-          availableLanguages: config.defaultPreferences.languages,
+          availableLanguages: config.languages.supported,
+          limits: Preferences.LIMITS,
         }
       ));
     } catch (error) {
@@ -64,7 +74,9 @@ class UserController {
         ));
       }
 
-      const invalidPreferences = preferences.filter(
+      // A bare array is the legacy format and only replaces the categories
+      const categories = Array.isArray(preferences) ? preferences : (preferences.categories || []);
+      const invalidPreferences = categories.filter(
         pref => !config.defaultPreferences.categories.includes(pref)
       );
 
@@ -78,6 +90,17 @@ class UserController {
         ));
       }
 
+      const conflicts = Preferences.findConflicts(Preferences.normalize(preferences, user.preferences));
+      if (conflicts.sources.length > 0 || conflicts.keywords.length > 0) {
+        return res.status(400).json(createErrorResponse(
+          'Conflicting preferences',
+          {
+            ...conflicts,
+            message: 'A source or keyword cannot be both wanted and excluded',
+          }
+        ));
+      }
+
       user.updatePreferences(preferences);
 
       res.status(200).json(createResponse(
@@ -119,7 +142,7 @@ class UserController {
         statistics: {
           readArticles: readArticles.length,
           favoriteArticles: favoriteArticles.length,
-          preferencesCount: user.preferences.length,
+          preferencesCount: user.preferences.categories.length,
         },
       };
 
@@ -179,7 +202,438 @@ class UserController {
   }
 
   /**
-   * Delete user account (bonus feature)
+   * Change password; requires the current password and signs out every other session
+   * PUT /users/password
+   */
+  static async changePassword(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(createErrorResponse(
+          'Validation failed',
+          errors.array()
+        ));
+      }
+
+      const { currentPassword, newPassword } = req.body;
+      const user = dataStore.getUserById(req.user.userId);
+
+      if (!user) {
+        return res.status(404).json(createErrorResponse(
+          'User not found',
+          'User not found in the system'
+        ));
+      }
+
+      if (!(await AuthService.comparePasswords(currentPassword, user.password))) {
+        return res.status(401).json(createErrorResponse(
+          'Authentication failed',
+          'Current password is incorrect'
+        ));
+      }
+
+      const passwordValidation = AuthService.validatePasswordStrength(newPassword);
+      if (!passwordValidation.isValid) {
+        return res.status(400).json(createErrorResponse(
+          'Password validation failed',
+          passwordValidation.errors
+        ));
+      }
+
+      if (await AuthService.comparePasswords(newPassword, user.password)) {
+        return res.status(400).json(createErrorResponse(
+          'Password validation failed',
+          ['New password must be different from the current password']
+        ));
+      }
+
+      const hashedPassword = await AuthService.hashPassword(newPassword);
+      dataStore.updateUser(user.email, { password: hashedPassword });
+
+      // Old tokens and API keys stop working; the caller continues with a fresh pair
+      TokenService.logoutAll(user);
+      ApiKeyService.revokeAll(user.id);
+      const tokens = TokenService.issueTokens(user, { client: AuthService.getClientInfo(req) });
+      EmailService.sendPasswordChanged(user);
+
+      res.status(200).json(createResponse(
+        'Password changed successfully',
+        AuthController.formatTokens(tokens)
+      ));
+    } catch (error) {
+      console.error('Change password error:', error);
+      res.status(500).json(createErrorResponse(
+        'Internal server error',
+        'An error occurred while changing the password'
+      ));
+    }
+  }
+
+  /**
+   * Change email address; requires the current password. The new address must be
+   * verified again and every other session is signed out
+   * PUT /users/email
+   */
+  static async changeEmail(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(createErrorResponse(
+          'Validation failed',
+          errors.array()
+        ));
+      }
+
+      const { currentPassword } = req.body;
+      const email = req.body.email.toLowerCase().trim();
+      const user = dataStore.getUserById(req.user.userId);
+
+      if (!user) {
+        return res.status(404).json(createErrorResponse(
+          'User not found',
+          'User not found in the system'
+        ));
+      }
+
+      if (!(await AuthService.comparePasswords(currentPassword, user.password))) {
+        return res.status(401).json(createErrorResponse(
+          'Authentication failed',
+          'Current password is incorrect'
+        ));
+      }
+
+      if (email === user.email) {
+        return res.status(400).json(createErrorResponse(
+          'Email unchanged',
+          'The new email address is the same as the current one'
+        ));
+      }
+
+      const previousEmail = user.email;
+      if (!dataStore.changeUserEmail(previousEmail, email)) {
+        return res.status(409).json(createErrorResponse(
+          'User already exists',
+          'A user with this email address already exists'
+        ));
+      }
+
+      user.markEmailUnverified();
+      TokenService.logoutAll(user);
+      ApiKeyService.revokeAll(user.id);
+      const tokens = TokenService.issueTokens(user, { client: AuthService.getClientInfo(req) });
+      AuthController.sendVerificationEmail(user);
+      EmailService.sendEmailChanged(user, previousEmail);
+
+      res.status(200).json(createResponse(
+        'Email changed successfully; please confirm the new address',
+        {
+          user: user.toJSON(),
+          ...AuthController.formatTokens(tokens),
+        }
+      ));
+    } catch (error) {
+      console.error('Change email error:', error);
+      res.status(500).json(createErrorResponse(
+        'Internal server error',
+        'An error occurred while changing the email address'
+      ));
+    }
+  }
+
+  /**
+   * List the user's active sessions (devices signed in)
+   * GET /users/sessions
+   */
+  static async getSessions(req, res) {
+    try {
+      const sessions = SessionService.getActiveSessions(req.user.userId)
+        .map(session => SessionService.toJSON(session, req.user.sid));
+
+      res.status(200).json(createResponse(
+        'Sessions retrieved successfully',
+        { sessions }
+      ));
+    } catch (error) {
+      console.error('Get sessions error:', error);
+      res.status(500).json(createErrorResponse(
+        'Internal server error',
+        'An error occurred while retrieving sessions'
+      ));
+    }
+  }
+
+  /**
+   * Revoke one of the user's sessions; its tokens stop working immediately
+   * DELETE /users/sessions/:id
+   */
+  static async revokeSession(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(createErrorResponse(
+          'Validation failed',
+          errors.array()
+        ));
+      }
+
+      const session = dataStore.getSession(req.params.id);
+      if (!session || session.userId !== req.user.userId || session.revokedAt) {
+        return res.status(404).json(createErrorResponse(
+          'Session not found',
+          'No active session with this ID'
+        ));
+      }
+
+      SessionService.revoke(session.id);
+
+      res.status(200).json(createResponse(
+        'Session revoked successfully',
+        { sessionId: session.id, current: session.id === req.user.sid }
+      ));
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      res.status(500).json(createErrorResponse(
+        'Internal server error',
+        'An error occurred while revoking the session'
+      ));
+    }
+  }
+
+  /**
+   * List the user's API keys with when each was last used
+   * GET /users/api-keys
+   */
+  static async getApiKeys(req, res) {
+    try {
+      const apiKeys = ApiKeyService.list(req.user.userId).map(record => ApiKeyService.toJSON(record));
+
+      res.status(200).json(createResponse(
+        'API keys retrieved successfully',
+        { apiKeys }
+      ));
+    } catch (error) {
+      console.error('Get API keys error:', error);
+      res.status(500).json(createErrorResponse(
+        'Internal server error',
+        'An error occurred while retrieving API keys'
+      ));
+    }
+  }
+
+  /**
+   * Create an API key; the key itself is only returned in this response
+   * POST /users/api-keys
+   */
+  static async createApiKey(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(createErrorResponse(
+          'Validation failed',
+          errors.array()
+        ));
+      }
+
+      const user = dataStore.getUserById(req.user.userId);
+      if (!user) {
+        return res.status(404).json(createErrorResponse(
+          'User not found',
+          'User not found in the system'
+        ));
+      }
+
+      if (ApiKeyService.list(user.id).length >= ApiKeyService.maxKeysPerUser) {
+        return res.status(409).json(createErrorResponse(
+          'API key limit reached',
+          `Revoke an existing key first; at most ${ApiKeyService.maxKeysPerUser} keys are allowed`
+        ));
+      }
+
+      const { key, record } = ApiKeyService.create(user, {
+        name: req.body.name,
+        scopes: req.body.scopes,
+      });
+
+      res.status(201).json(createResponse(
+        'API key created successfully. Store it now, it will not be shown again',
+        { apiKey: { ...ApiKeyService.toJSON(record), key } }
+      ));
+    } catch (error) {
+      console.error('Create API key error:', error);
+      res.status(500).json(createErrorResponse(
+        'Internal server error',
+        'An error occurred while creating the API key'
+      ));
+    }
+  }
+
+  /**
+   * Revoke an API key; requests using it fail immediately
+   * DELETE /users/api-keys/:id
+   */
+  static async revokeApiKey(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(createErrorResponse(
+          'Validation failed',
+          errors.array()
+        ));
+      }
+
+      if (!ApiKeyService.revoke(req.user.userId, req.params.id)) {
+        return res.status(404).json(createErrorResponse(
+          'API key not found',
+          'No active API key with this ID'
+        ));
+      }
+
+      res.status(200).json(createResponse(
+        'API key revoked successfully',
+        { apiKeyId: req.params.id }
+      ));
+    } catch (error) {
+      console.error('Revoke API key error:', error);
+      res.status(500).json(createErrorResponse(
+        'Internal server error',
+        'An error occurred while revoking the API key'
+      ));
+    }
+  }
+
+  /**
+   * Export everything stored about the user as a ZIP archive (JSON plus CSV)
+   * Large exports, or any with ?async=true, start a background job instead
+   * GET /users/export
+   */
+  static async exportData(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(createErrorResponse(
+          'Validation failed',
+          errors.array()
+        ));
+      }
+
+      const user = dataStore.getUserById(req.user.userId);
+      if (!user) {
+        return res.status(404).json(createErrorResponse(
+          'User not found',
+          'User not found in the system'
+        ));
+      }
+
+      if (req.query.async === 'true' || ExportService.isLarge(user)) {
+        const job = ExportService.toJSON(ExportService.createJob(user));
+        res.set('Location', job.statusUrl);
+        return res.status(202).json(createResponse(
+          'Export started. Poll statusUrl and download the archive from downloadUrl when it is completed',
+          { job }
+        ));
+      }
+
+      UserController.sendArchive(res, await ExportService.buildArchive(user));
+    } catch (error) {
+      console.error('Export data error:', error);
+      res.status(500).json(createErrorResponse(
+        'Internal server error',
+        'An error occurred while exporting data'
+      ));
+    }
+  }
+
+  /**
+   * Get the status of an export job
+   * GET /users/export/jobs/:id
+   */
+  static async getExportJob(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(createErrorResponse(
+          'Validation failed',
+          errors.array()
+        ));
+      }
+
+      const job = ExportService.getJob(req.user.userId, req.params.id);
+      if (!job) {
+        return res.status(404).json(createErrorResponse(
+          'Export job not found',
+          'No export job with this ID, or it has expired'
+        ));
+      }
+
+      res.status(200).json(createResponse(
+        'Export job retrieved successfully',
+        { job: ExportService.toJSON(job) }
+      ));
+    } catch (error) {
+      console.error('Get export job error:', error);
+      res.status(500).json(createErrorResponse(
+        'Internal server error',
+        'An error occurred while retrieving the export job'
+      ));
+    }
+  }
+
+  /**
+   * Download the archive of a completed export job
+   * GET /users/export/jobs/:id/download
+   */
+  static async downloadExport(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json(createErrorResponse(
+          'Validation failed',
+          errors.array()
+        ));
+      }
+
+      const job = ExportService.getJob(req.user.userId, req.params.id);
+      if (!job) {
+        return res.status(404).json(createErrorResponse(
+          'Export job not found',
+          'No export job with this ID, or it has expired'
+        ));
+      }
+
+      if (job.status !== 'completed') {
+        return res.status(409).json(createErrorResponse(
+          'Export not ready',
+          `The export job is ${job.status}`
+        ));
+      }
+
+      UserController.sendArchive(res, job);
+    } catch (error) {
+      console.error('Download export error:', error);
+      res.status(500).json(createErrorResponse(
+        'Internal server error',
+        'An error occurred while downloading the export'
+      ));
+    }
+  }
+
+  /**
+   * Send an export archive as a file download
+   * @param {Object} res - Express response object
+   * @param {Object} exportFile - { filename, archive }
+   */
+  static sendArchive(res, { filename, archive }) {
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store',
+    });
+    res.status(200).send(archive);
+  }
+
+  /**
+   * Delete user account: signs out everywhere and purges the account after a
+   * grace period during which it can be restored
    * DELETE /users/account
    */
   static async deleteAccount(req, res) {
@@ -193,12 +647,14 @@ class UserController {
         ));
       }
 
-    
-      user.deletedAt = new Date();
+      const deletionScheduledFor = AccountDeletionService.requestDeletion(user);
 
       res.status(200).json(createResponse(
         'Account deletion requested',
-        'Your account will be deleted within 24 hours'
+        {
+          deletionScheduledFor,
+          message: 'Your account has been signed out everywhere and will be deleted permanently at the time above. Use the link sent by email to restore it before then',
+        }
       ));
     } catch (error) {
       console.error('Delete account error:', error);
@@ -210,28 +666,118 @@ class UserController {
   }
 
   /**
-   * Validation rules for updating preferences
+   * Validation rules for changing password
    */
-  static getPreferencesValidation() {
+  static getChangePasswordValidation() {
     return [
-      body('preferences')
-        .isArray({ min: 0, max: 10 })
-        .withMessage('Preferences must be an array with maximum 10 items')
-        .custom((preferences) => {
-          const uniquePrefs = new Set(preferences);
-          if (uniquePrefs.size !== preferences.length) {
-            throw new Error('Duplicate preferences are not allowed');
-          }
-          
-          const allStrings = preferences.every(pref => typeof pref === 'string');
-          if (!allStrings) {
-            throw new Error('All preferences must be strings');
+      body('currentPassword')
+        .notEmpty()
+        .withMessage('Current password is required'),
+
+      body('newPassword')
+        .isLength({ min: 8, max: 128 })
+        .withMessage('Password must be between 8 and 128 characters'),
+    ];
+  }
+
+  /**
+   * Validation rules for changing email
+   */
+  static getChangeEmailValidation() {
+    return [
+      body('currentPassword')
+        .notEmpty()
+        .withMessage('Current password is required'),
+
+      body('email')
+        .isEmail()
+        .withMessage('Please provide a valid email address')
+        .normalizeEmail()
+        .isLength({ max: 100 })
+        .withMessage('Email must not exceed 100 characters'),
+    ];
+  }
+
+  /**
+   * Validation rules for starting an export
+   */
+  static getExportValidation() {
+    return [
+      query('async')
+        .optional()
+        .isIn(['true', 'false'])
+        .withMessage('Async must be true or false'),
+    ];
+  }
+
+  /**
+   * Validation rules for export job ID parameters
+   */
+  static getExportJobIdValidation() {
+    return [
+      param('id')
+        .isUUID()
+        .withMessage('Invalid export job ID format'),
+    ];
+  }
+
+  /**
+   * Validation rules for session ID parameters
+   */
+  static getSessionIdValidation() {
+    return [
+      param('id')
+        .isUUID()
+        .withMessage('Invalid session ID format'),
+    ];
+  }
+
+  /**
+   * Validation rules for creating an API key
+   */
+  static getCreateApiKeyValidation() {
+    return [
+      body('name')
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Name must be between 1 and 50 characters'),
+
+      body('scopes')
+        .isArray({ min: 1 })
+        .withMessage('Scopes must be a non-empty array')
+        .custom((scopes) => {
+          const unknown = scopes.filter(scope => !ApiKeyService.scopes.includes(scope));
+          if (unknown.length > 0) {
+            throw new Error(`Scopes must be any of: ${ApiKeyService.scopes.join(', ')}`);
           }
-          
           return true;
         }),
     ];
   }
+
+  /**
+   * Validation rules for API key ID parameters
+   */
+  static getApiKeyIdValidation() {
+    return [
+      param('id')
+        .matches(/^[a-f0-9]{12}$/)
+        .withMessage('Invalid API key ID format'),
+    ];
+  }
+
+  /**
+   * Validation rules for updating preferences
+   */
+  static getPreferencesValidation() {
+    return [
+      body('preferences')
+        .exists()
+        .withMessage('Preferences are required')
+        .bail()
+        .custom(Preferences.validate),
+    ];
+  }
 }
 
 module.exports = UserController;
\ No newline at end of file
@@ -1,17 +1,95 @@
 const AuthService = require('../services/AuthService');
+const TokenService = require('../services/TokenService');
+const SessionService = require('../services/SessionService');
+const ApiKeyService = require('../services/ApiKeyService');
 const dataStore = require('../models/DataStore');
+const config = require('../config/config');
 const { createErrorResponse } = require('../utils/responseHelper');
 
 /**
- * Authentication middleware to verify JWT tokens
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next function
+ * Error response for an account that may not be used right now, or null
+ * @param {User} user - Authenticated user
+ * @returns {Object|null}
  */
-const authenticate = (req, res, next) => {
+const getAccountBlock = (user) => {
+  if (user.isSuspended()) {
+    return createErrorResponse(
+      'Account suspended',
+      'This account has been suspended',
+      'ACCOUNT_SUSPENDED'
+    );
+  }
+  if (user.isPendingDeletion()) {
+    return createErrorResponse(
+      'Account scheduled for deletion',
+      'This account is scheduled for deletion',
+      'ACCOUNT_PENDING_DELETION'
+    );
+  }
+  return null;
+};
+
+/**
+ * Resolve an `X-API-Key` header into req.user
+ * Sends the error response itself and returns false when the key cannot be used
+ */
+const authenticateApiKey = (req, res, apiKey, scope) => {
+  const record = ApiKeyService.verify(apiKey, AuthService.getClientInfo(req));
+  const user = record && dataStore.getUserById(record.userId);
+  if (!user) {
+    res.status(401).json(createErrorResponse(
+      'Authentication failed',
+      'Invalid API key'
+    ));
+    return false;
+  }
+
+  if (!scope || !ApiKeyService.hasScope(record, scope)) {
+    res.status(403).json(createErrorResponse(
+      'Access denied',
+      scope
+        ? `This API key lacks the ${scope} scope`
+        : 'This endpoint requires a login token',
+      'INSUFFICIENT_SCOPE'
+    ));
+    return false;
+  }
+
+  const blocked = getAccountBlock(user);
+  if (blocked) {
+    res.status(403).json(blocked);
+    return false;
+  }
+
+  req.user = {
+    userId: user.id,
+    email: user.email,
+    name: user.name,
+    apiKeyId: record.id,
+    scopes: record.scopes,
+  };
+  return true;
+};
+
+/**
+ * Build authentication middleware
+ * Accepts a Bearer JWT or, when no Authorization header is sent, an `X-API-Key`
+ * holding the required scope
+ * @param {string|null} scope - API key scope the route needs; null accepts login tokens only
+ * @returns {Function} - Express middleware
+ */
+const authenticateFor = (scope) => (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
     const token = AuthService.extractTokenFromHeader(authHeader);
+    const apiKey = req.get('x-api-key');
+
+    if (!token && apiKey) {
+      if (authenticateApiKey(req, res, apiKey, scope)) {
+        next();
+      }
+      return;
+    }
 
     if (!token) {
       return res.status(401).json(createErrorResponse(
@@ -32,6 +110,22 @@ const authenticate = (req, res, next) => {
       ));
     }
 
+    if (TokenService.isRevoked(decoded, user)) {
+      return res.status(401).json(createErrorResponse(
+        'Authentication failed',
+        'Token has been revoked'
+      ));
+    }
+
+    const blocked = getAccountBlock(user);
+    if (blocked) {
+      return res.status(403).json(blocked);
+    }
+
+    if (decoded.sid) {
+      SessionService.touch(decoded.sid, AuthService.getClientInfo(req));
+    }
+
     // Add user info to request object
     req.user = decoded;
     next();
@@ -44,6 +138,20 @@ const authenticate = (req, res, next) => {
   }
 };
 
+/**
+ * Authentication middleware to verify JWT tokens or full-account API keys
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const authenticate = authenticateFor('account');
+
+/**
+ * Authentication middleware for session and credential management;
+ * API keys are rejected
+ */
+const authenticateToken = authenticateFor(null);
+
 /**
  * Optional authentication middleware
  * Similar to authenticate but doesn't fail if no token is provided
@@ -56,7 +164,7 @@ const optionalAuthenticate = (req, res, next) => {
     if (token) {
       const decoded = AuthService.verifyToken(token);
       const user = dataStore.getUserById(decoded.userId);
-      if (user) {
+      if (user && !TokenService.isRevoked(decoded, user) && !getAccountBlock(user)) {
         req.user = decoded;
       }
     }
@@ -66,7 +174,53 @@ const optionalAuthenticate = (req, res, next) => {
   }
 };
 
+/**
+ * Restrict a route to users holding one of the given roles
+ * Roles are read from the stored user, so changes apply without a new token
+ * Must run after authenticate
+ * @param {...string} roles - Allowed roles, e.g. 'editor', 'admin'
+ * @returns {Function} - Express middleware
+ */
+const authorize = (...roles) => (req, res, next) => {
+  const user = dataStore.getUserById(req.user.userId);
+  if (!user || !user.hasRole(...roles)) {
+    return res.status(403).json(createErrorResponse(
+      'Access denied',
+      'You do not have permission to perform this action',
+      'FORBIDDEN'
+    ));
+  }
+  next();
+};
+
+/**
+ * Block an action for users who have not confirmed their email address
+ * Only actions listed in config.emailVerification.restrictedActions are blocked
+ * Must run after authenticate
+ * @param {string} action - Action name, e.g. 'favorites'
+ * @returns {Function} - Express middleware
+ */
+const requireVerifiedEmail = (action) => (req, res, next) => {
+  if (!config.emailVerification.restrictedActions.includes(action)) {
+    return next();
+  }
+
+  const user = dataStore.getUserById(req.user.userId);
+  if (user && !user.emailVerified) {
+    return res.status(403).json(createErrorResponse(
+      'Email verification required',
+      'Confirm your email address to use this feature',
+      'EMAIL_NOT_VERIFIED'
+    ));
+  }
+  next();
+};
+
 module.exports = {
   authenticate,
+  authenticateFor,
+  authenticateToken,
   optionalAuthenticate,
+  authorize,
+  requireVerifiedEmail,
 };
\ No newline at end of file
@@ -27,11 +27,12 @@ const rateLimiter = rateLimit({
 });
 
 /**
- * Strict rate limiter for authentication endpoints
+ * Strict per-IP rate limiter for authentication endpoints
+ * Repeated failures against one account are handled by LoginAttemptService
  */
 const authRateLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 5,
+  windowMs: config.rateLimit.authWindowMs,
+  max: config.rateLimit.authMaxRequests,
   message: createErrorResponse(
     'Too many authentication attempts',
     'Please try again later.'
@@ -1,6 +1,15 @@
+const crypto = require('crypto');
+const { detectLanguage } = require('../utils/language');
+
+// Query parameters that only carry campaign/referral tracking and never identify a story
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'igshid', 'mc_cid', 'mc_eid',
+  'ref', 'ref_src', 'ref_url', 'cmpid', 'ocid', 'ncid', 'smid', 'sr_share', '_ga', 'guccounter',
+]);
+
 class Article {
-  constructor({ title, description, url, urlToImage, publishedAt, source, category, language, content = '', author = '' }) {
-    this.id = Article.generateId();
+  constructor({ id, title, description, url, urlToImage, publishedAt, source, category, language, countries = [], content = '', author = '', alternateSources = [] }) {
+    this.id = id || Article.generateId(url, { title, source, publishedAt });
     this.title = title;
     this.description = description;
     this.url = url;
@@ -9,16 +18,130 @@ class Article {
     this.source = source;
     this.category = category;
     this.language = language;
+    // Countries whose headlines included this article (ISO 3166-1 alpha-2); empty when only fetched globally
+    this.countries = countries;
     this.content = content;
     this.author = author;
+    // Other outlets/providers that published the same story ({ source, url, articleId })
+    this.alternateSources = alternateSources;
     this.createdAt = new Date();
+    this.updatedAt = this.createdAt;
+  }
+
+  /**
+   * Derive a stable article ID from its canonical URL
+   * The same story refetched from a provider always maps to the same ID
+   * @param {string} url - Article URL
+   * @param {Object} fallback - Fields used when the article has no URL
+   * @returns {string} - Deterministic article ID
+   */
+  static generateId(url, { title = '', source = '', publishedAt = '' } = {}) {
+    const key = url
+      ? Article.normalizeUrl(url)
+      : `${source}|${title}|${publishedAt}`.toLowerCase();
+
+    return '_' + crypto.createHash('sha256').update(key).digest('hex').substring(0, 16);
+  }
+
+  /**
+   * Normalize a URL so variants of the same link compare equal
+   * Drops tracking parameters, fragments, `www.`, trailing slashes and the scheme difference
+   * @param {string} url - Raw article URL
+   * @returns {string} - Canonical URL
+   */
+  static normalizeUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(String(url).trim());
+    } catch (error) {
+      return String(url).trim();
+    }
+
+    parsed.protocol = 'https:';
+    parsed.hostname = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    parsed.hash = '';
+
+    const params = Array.from(parsed.searchParams.entries())
+      .filter(([key]) => !key.toLowerCase().startsWith('utm_') && !TRACKING_PARAMS.has(key.toLowerCase()))
+      .sort(([a], [b]) => a.localeCompare(b));
+    parsed.search = new URLSearchParams(params).toString();
+
+    let pathname = parsed.pathname.replace(/\/{2,}/g, '/');
+    if (pathname.length > 1 && pathname.endsWith('/')) {
+      pathname = pathname.slice(0, -1);
+    }
+    parsed.pathname = pathname;
+
+    return parsed.toString();
   }
 
-  static generateId() {
-    return '_' + Math.random().toString(36).substring(2, 11);
+  /**
+   * Merge a refetched copy of this article into the stored record
+   * Keeps the ID, first-seen date and category; refreshes content that the provider updated
+   * and adds any new country tags
+   * @param {Article} incoming - Freshly mapped article with the same ID
+   * @returns {Article} - This article
+   */
+  merge(incoming) {
+    const refreshable = ['title', 'description', 'url', 'urlToImage', 'content', 'author', 'language'];
+    refreshable.forEach(field => {
+      if (incoming[field]) {
+        this[field] = incoming[field];
+      }
+    });
+
+    if (incoming.source && incoming.source !== 'Unknown') {
+      this.source = incoming.source;
+    }
+
+    // Search results carry a placeholder category; a real one replaces it
+    if (this.category === 'search' && incoming.category && incoming.category !== 'search') {
+      this.category = incoming.category;
+    }
+
+    this.addAlternateSources(incoming.alternateSources);
+    (incoming.countries || []).forEach(country => this.addCountry(country));
+
+    this.updatedAt = new Date();
+    return this;
   }
 
-  static fromNewsAPI(article, category = 'general') {
+  /**
+   * Record other copies of this story, ignoring ones already known or this article itself
+   * @param {Array} alternates - [{ source, url, articleId }]
+   * @returns {Article} - This article
+   */
+  addAlternateSources(alternates = []) {
+    const current = this.alternateSources || [];
+    const known = new Set(current.map(alternate => alternate.articleId));
+    known.add(this.id);
+
+    alternates.forEach(alternate => {
+      if (!known.has(alternate.articleId)) {
+        known.add(alternate.articleId);
+        current.push(alternate);
+      }
+    });
+
+    this.alternateSources = current;
+    return this;
+  }
+
+  /**
+   * Language of an article whose provider does not report one
+   * @param {Object} fields - { title, description }
+   * @param {string} fallback - Used when detection is inconclusive (e.g. the requested language)
+   * @returns {string} - ISO 639-1 code
+   */
+  static detectLanguage({ title, description }, fallback) {
+    return detectLanguage(`${title || ''}. ${description || ''}`) || fallback || 'en';
+  }
+
+  /**
+   * Provider factories take the language the article was requested in (if any) as a
+   * hint; a language the provider reports wins over detection, which wins over the hint
+   */
+  static fromNewsAPI(article, category = 'general', language = null) {
     return new Article({
       title: article.title,
       description: article.description,
@@ -27,13 +150,13 @@ class Article {
       publishedAt: article.publishedAt,
       source: article.source?.name || 'Unknown',
       category: category,
-      language: 'en',
+      language: Article.detectLanguage(article, language),
       content: article.content,
       author: article.author,
     });
   }
 
-  static fromGNews(article, category = 'general') {
+  static fromGNews(article, category = 'general', language = null) {
     return new Article({
       title: article.title,
       description: article.description,
@@ -42,12 +165,103 @@ class Article {
       publishedAt: article.publishedAt,
       source: article.source?.name || 'Unknown',
       category: category,
-      language: article.language || 'en',
+      language: article.language || Article.detectLanguage(article, language),
       content: article.content,
       author: '',
     });
   }
 
+  static fromNewsCatcher(article, category = 'general', language = null) {
+    const description = article.excerpt || article.summary;
+    return new Article({
+      title: article.title,
+      description,
+      url: article.link,
+      urlToImage: article.media,
+      publishedAt: Article.parseNewsCatcherDate(article.published_date),
+      source: article.clean_url || article.rights || 'Unknown',
+      category: category,
+      language: article.language || Article.detectLanguage({ title: article.title, description }, language),
+      content: article.summary,
+      author: article.author || '',
+    });
+  }
+
+  /**
+   * Build an article from a parsed RSS/Atom item
+   * @param {Object} item - Item produced by utils/feedParser
+   * @param {string} category - Category the feed is mapped to
+   * @param {Object} feed - Feed metadata ({ name, title, language }); without a language
+   *   each item's language is detected
+   * @returns {Article}
+   */
+  static fromFeedItem(item, category = 'general', feed = {}) {
+    return new Article({
+      title: item.title,
+      description: item.description,
+      url: item.link,
+      urlToImage: item.image,
+      publishedAt: item.publishedAt || new Date().toISOString(),
+      source: feed.name || feed.title || 'Unknown',
+      category: category,
+      language: feed.language || Article.detectLanguage(item),
+      content: item.content,
+      author: item.author || '',
+    });
+  }
+
+  /**
+   * NewsCatcher returns "YYYY-MM-DD HH:mm:ss" timestamps in UTC without a zone marker
+   * @param {string} value - Raw published_date value
+   * @returns {string} - ISO 8601 timestamp
+   */
+  static parseNewsCatcherDate(value) {
+    if (!value) return new Date().toISOString();
+    return /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)
+      ? value.replace(' ', 'T') + 'Z'
+      : value;
+  }
+
+  /**
+   * Tag the article with a country it was fetched for
+   * @param {string|null} country - ISO 3166-1 alpha-2 code; null (global) is ignored
+   * @returns {Article} - This article
+   */
+  addCountry(country) {
+    if (!this.countries) {
+      this.countries = [];
+    }
+    if (country && !this.countries.includes(country)) {
+      this.countries.push(country);
+    }
+    return this;
+  }
+
+  /**
+   * Serialize the article for storage
+   * @returns {Object} - Plain object safe to pass to JSON.stringify
+   */
+  toRecord() {
+    return { ...this };
+  }
+
+  /**
+   * Rebuild an article from a stored record without generating a new ID
+   * @param {Object} record - Object previously produced by toRecord()
+   * @returns {Article} - Hydrated article instance
+   */
+  static fromRecord(record) {
+    const article = Object.create(Article.prototype);
+    Object.assign(article, record, {
+      publishedAt: new Date(record.publishedAt),
+      // Articles stored before country tagging have none
+      countries: record.countries || [],
+      createdAt: new Date(record.createdAt),
+      updatedAt: new Date(record.updatedAt || record.createdAt),
+    });
+    return article;
+  }
+
   toJSON() {
     return {
       id: this.id,
@@ -59,9 +273,12 @@ class Article {
       source: this.source,
       category: this.category,
       language: this.language,
+      countries: this.countries || [],
       content: this.content,
       author: this.author,
+      alternateSources: this.alternateSources || [],
       createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
     };
   }
 }
@@ -1,21 +1,133 @@
 const User = require('./User');
 const Article = require('./Article');
+const SearchIndex = require('./SearchIndex');
+const { analyze } = require('../utils/text');
+const { parseQuery, requiresText, createMatcher, createFilter } = require('../utils/queryParser');
+const { compareFeedOrder, isAfterPosition } = require('../utils/cursor');
+const config = require('../config/config');
+const { createStorage } = require('./storage');
 
 /**
- * In-memory data store for users and articles
- * In a production environment, this would be replaced with a database
+ * Data store for users and articles
+ * Records are served from in-memory Maps; a storage adapter (see models/storage)
+ * decides whether they are also persisted between restarts
  */
 class DataStore {
-  constructor() {
+  /**
+   * @param {Object} storage - Storage adapter implementing load(), save() and close()
+   * @param {Object} options - Persistence timing options
+   */
+  constructor(storage = createStorage(), options = {}) {
     this.users = new Map();
     this.articles = new Map();
-    this.userSessions = new Map();
+    this.userSessions = new Map(); // session ID -> { id, userId, userAgent, ip, createdAt, lastSeenAt, expiresAt, revokedAt }
+    this.refreshTokens = new Map(); // jti -> { jti, userId, familyId (= session ID), expiresAt, usedAt, replacedBy, revokedAt }
+    this.revokedTokens = new Map(); // access token jti -> expiresAt (ms)
+    this.oneTimeTokens = new Map(); // token hash -> { hash, userId, purpose, createdAt, expiresAt, usedAt }
+    this.apiKeys = new Map(); // key hash -> { id, hash, prefix, userId, name, scopes, createdAt, lastUsedAt, lastUsedIp, revokedAt }
+    this.loginAttempts = new Map(); // email -> { email, failures, lastFailureAt, retryAt, lockedUntil }
+    this.searchIndex = new SearchIndex();
+
+    this.storage = storage;
+    this.flushDelayMs = options.flushDelayMs || 1000;
+    this.flushTimer = null;
+    this.autosaveTimer = null;
+
+    this.load();
+
+    // Controllers mutate User instances directly (e.g. user.updatePreferences),
+    // so persistent adapters also get a periodic full save
+    if (this.storage.persistent && options.autosaveIntervalMs) {
+      this.autosaveTimer = setInterval(() => this.flush(), options.autosaveIntervalMs);
+      this.autosaveTimer.unref();
+    }
+  }
+
+  // Persistence
+  load() {
+    const snapshot = this.storage.load();
+    if (!snapshot) return;
+
+    (snapshot.users || []).forEach(record => {
+      const user = User.fromRecord(record);
+      this.users.set(user.email, user);
+    });
+
+    (snapshot.articles || []).forEach(record => {
+      const article = Article.fromRecord(record);
+      this.articles.set(article.id, article);
+      this.indexArticle(article);
+    });
+
+    this.userSessions = new Map(snapshot.userSessions || []);
+    this.refreshTokens = new Map(snapshot.refreshTokens || []);
+    this.revokedTokens = new Map(snapshot.revokedTokens || []);
+    this.oneTimeTokens = new Map(snapshot.oneTimeTokens || []);
+    this.apiKeys = new Map(snapshot.apiKeys || []);
+    this.loginAttempts = new Map(snapshot.loginAttempts || []);
+  }
+
+  toSnapshot() {
+    return {
+      version: 1,
+      savedAt: new Date().toISOString(),
+      users: Array.from(this.users.values()).map(user => user.toRecord()),
+      articles: Array.from(this.articles.values()).map(article => article.toRecord()),
+      userSessions: Array.from(this.userSessions.entries()),
+      refreshTokens: Array.from(this.refreshTokens.entries()),
+      revokedTokens: Array.from(this.revokedTokens.entries()),
+      oneTimeTokens: Array.from(this.oneTimeTokens.entries()),
+      apiKeys: Array.from(this.apiKeys.entries()),
+      loginAttempts: Array.from(this.loginAttempts.entries()),
+    };
+  }
+
+  /**
+   * Schedule a save after a mutation; bursts of writes are coalesced into one
+   */
+  persist() {
+    if (!this.storage.persistent || this.flushTimer) return;
+
+    this.flushTimer = setTimeout(() => this.flush(), this.flushDelayMs);
+    this.flushTimer.unref();
+  }
+
+  /**
+   * Write the current state to the storage adapter immediately
+   */
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    try {
+      this.storage.save(this.toSnapshot());
+    } catch (error) {
+      console.error('DataStore flush error:', error.message);
+    }
+  }
+
+  /**
+   * Flush pending writes and release the storage adapter
+   */
+  close() {
+    if (this.autosaveTimer) {
+      clearInterval(this.autosaveTimer);
+      this.autosaveTimer = null;
+    }
+
+    if (this.storage.persistent) {
+      this.flush();
+    }
+    this.storage.close();
   }
 
   // User operations
   createUser(userData) {
     const user = new User(userData);
     this.users.set(user.email, user);
+    this.persist();
     return user;
   }
 
@@ -32,27 +144,103 @@ class DataStore {
     return null;
   }
 
+  /**
+   * Permanently remove a user and every record that belongs to them
+   * (sessions, refresh tokens, one-time tokens, API keys, login attempts).
+   * Read and favorite lists live on the user record and go with it
+   * @param {string} userId - User ID
+   * @returns {boolean} - False if the user does not exist
+   */
+  deleteUser(userId) {
+    const user = this.getUserById(userId);
+    if (!user) return false;
+
+    this.users.delete(user.email);
+    this.loginAttempts.delete(user.email);
+    [this.userSessions, this.refreshTokens, this.oneTimeTokens, this.apiKeys].forEach(map => {
+      map.forEach((record, key) => {
+        if (record.userId === userId) {
+          map.delete(key);
+        }
+      });
+    });
+
+    this.persist();
+    return true;
+  }
+
   updateUser(email, updates) {
     const user = this.users.get(email);
     if (user) {
       Object.assign(user, updates);
       user.updatedAt = new Date();
+      this.persist();
       return user;
     }
     return null;
   }
 
+  /**
+   * Move a user to a new email address; users are keyed by email
+   * @param {string} currentEmail - Current email
+   * @param {string} newEmail - New email
+   * @returns {User|null} - Updated user, or null if not found or the new email is taken
+   */
+  changeUserEmail(currentEmail, newEmail) {
+    const user = this.users.get(currentEmail);
+    if (!user || (newEmail !== currentEmail && this.users.has(newEmail))) {
+      return null;
+    }
+
+    this.users.delete(currentEmail);
+    user.email = newEmail;
+    user.updatedAt = new Date();
+    this.users.set(newEmail, user);
+    this.persist();
+    return user;
+  }
+
+  getAllUsers() {
+    return Array.from(this.users.values());
+  }
+
   userExists(email) {
     return this.users.has(email);
   }
 
   // Article operations
+  /**
+   * Insert an article or merge it into the stored record with the same ID
+   * @param {Article|Object} articleData - Article instance or raw article fields
+   * @returns {Article} - The stored article
+   */
   storeArticle(articleData) {
     const article = articleData instanceof Article ? articleData : new Article(articleData);
+    const existing = this.articles.get(article.id);
+
+    if (existing) {
+      if (existing !== article) {
+        existing.merge(article);
+        this.indexArticle(existing);
+        this.persist();
+      }
+      return existing;
+    }
+
     this.articles.set(article.id, article);
+    this.indexArticle(article);
+    this.persist();
     return article;
   }
 
+  indexArticle(article) {
+    this.searchIndex.add(article.id, {
+      title: article.title,
+      description: article.description,
+      content: article.content,
+    });
+  }
+
   storeArticles(articlesArray) {
     return articlesArray.map(article => this.storeArticle(article));
   }
@@ -65,13 +253,47 @@ class DataStore {
     return Array.from(this.articles.values());
   }
 
-  searchArticles(query) {
-    const searchTerm = query.toLowerCase();
-    return Array.from(this.articles.values()).filter(article => 
-      article.title?.toLowerCase().includes(searchTerm) ||
-      article.description?.toLowerCase().includes(searchTerm) ||
-      article.content?.toLowerCase().includes(searchTerm)
-    );
+  /**
+   * Full-text search over stored articles
+   * Candidates come from the inverted index (or every article when the query can match
+   * without its text), the query's boolean/field logic and the filters are then applied,
+   * and results are ranked by BM25 relevance
+   * @param {string|Object} query - Query text or result of parseQuery (see utils/queryParser)
+   * @param {Object} options - { language, from, to, limit }
+   * @returns {Array<Article>} - Matching articles, most relevant first
+   * @throws {QuerySyntaxError} - If query text is malformed
+   */
+  searchArticles(query, { language, from, to, limit } = {}) {
+    const parsed = typeof query === 'string' ? parseQuery(query) : query;
+    const matches = createMatcher(parsed.ast);
+    const passesFilters = createFilter({ language, from, to });
+
+    let results;
+    if (requiresText(parsed.ast)) {
+      results = this.searchIndex.search(parsed.positiveText, { requireAll: false })
+        .map(({ id }) => this.articles.get(id))
+        .filter(article => article && passesFilters(article) && matches(article));
+    } else {
+      // The query can match on field filters or exclusions alone (e.g. `tech OR source:x`),
+      // so every article is checked and the index only ranks the matches; ties stay newest first
+      const scores = new Map();
+      results = this.getLatestArticles().filter(article => passesFilters(article) && matches(article));
+      results.forEach(article => scores.set(article.id, this.getSearchScore(article.id, parsed)));
+      results.sort((a, b) => scores.get(b.id) - scores.get(a.id));
+    }
+
+    return limit ? results.slice(0, limit) : results;
+  }
+
+  /**
+   * BM25 relevance of a stored article for a parsed query
+   * @param {string} articleId - Article ID
+   * @param {Object} parsed - Result of parseQuery
+   * @returns {number} - 0 if the article is not indexed or nothing matches
+   */
+  getSearchScore(articleId, parsed) {
+    const terms = Array.from(new Set(analyze(parsed.positiveText)));
+    return this.searchIndex.score(articleId, terms);
   }
 
   getArticlesByCategory(categories) {
@@ -83,6 +305,23 @@ class DataStore {
     );
   }
 
+  /**
+   * Newest stored articles for a set of categories
+   * @param {Object} options - { categories, language, languages, countries, limit, after: feed cursor position }
+   *   countries keeps articles fetched for any of them; empty or omitted applies no country filter
+   * @returns {Array<Article>} - Articles in feed order (newest first, ties by ID)
+   */
+  getLatestArticles({ categories, language, languages, countries = [], limit, after = null } = {}) {
+    const accepted = languages || (language && [language]);
+    const articles = (categories ? this.getArticlesByCategory(categories) : this.getAllArticles())
+      .filter(article => !accepted || accepted.includes(article.language))
+      .filter(article => countries.length === 0 || (article.countries || []).some(country => countries.includes(country)))
+      .filter(article => !after || isAfterPosition(article, after))
+      .sort(compareFeedOrder);
+
+    return limit ? articles.slice(0, limit) : articles;
+  }
+
   getUserReadArticles(userId) {
     const user = this.getUserById(userId);
     if (!user) return [];
@@ -101,6 +340,7 @@ class DataStore {
     const user = this.getUserById(userId);
     if (user) {
       user.markAsRead(articleId);
+      this.persist();
       return true;
     }
     return false;
@@ -110,6 +350,7 @@ class DataStore {
     const user = this.getUserById(userId);
     if (user) {
       user.markAsFavorite(articleId);
+      this.persist();
       return true;
     }
     return false;
@@ -119,31 +360,264 @@ class DataStore {
     const user = this.getUserById(userId);
     if (user) {
       user.removeFavorite(articleId);
+      this.persist();
       return true;
     }
     return false;
   }
 
+  // Session operations
+  saveSession(session) {
+    this.userSessions.set(session.id, session);
+    this.persist();
+    return session;
+  }
+
+  getSession(id) {
+    return this.userSessions.get(id);
+  }
+
+  getUserSessions(userId) {
+    return Array.from(this.userSessions.values()).filter(session => session.userId === userId);
+  }
+
+  /**
+   * Drop sessions whose last refresh token has expired
+   * @returns {number} - Sessions removed
+   */
+  pruneSessions() {
+    const now = Date.now();
+    let removed = 0;
+    this.userSessions.forEach((session, id) => {
+      if (session.expiresAt <= now) {
+        this.userSessions.delete(id);
+        removed++;
+      }
+    });
+    if (removed > 0) {
+      this.persist();
+    }
+    return removed;
+  }
+
+  // Refresh token operations
+  saveRefreshToken(record) {
+    this.refreshTokens.set(record.jti, record);
+    this.persist();
+    return record;
+  }
+
+  getRefreshToken(jti) {
+    return this.refreshTokens.get(jti);
+  }
+
+  /**
+   * Revoke every refresh token issued in a rotation family
+   * @param {string} familyId - Family shared by a login and all its rotations
+   * @returns {number} - Tokens newly revoked
+   */
+  revokeRefreshTokenFamily(familyId) {
+    const now = Date.now();
+    let revoked = 0;
+    this.refreshTokens.forEach(record => {
+      if (record.familyId === familyId && !record.revokedAt) {
+        record.revokedAt = now;
+        revoked++;
+      }
+    });
+    this.persist();
+    return revoked;
+  }
+
+  /**
+   * Revoke every refresh token belonging to a user
+   * @param {string} userId - User ID
+   * @returns {number} - Tokens newly revoked
+   */
+  revokeUserRefreshTokens(userId) {
+    const now = Date.now();
+    let revoked = 0;
+    this.refreshTokens.forEach(record => {
+      if (record.userId === userId && !record.revokedAt) {
+        record.revokedAt = now;
+        revoked++;
+      }
+    });
+    this.persist();
+    return revoked;
+  }
+
+  /**
+   * Drop refresh token records and access token revocations that have expired
+   * @returns {number} - Records removed
+   */
+  pruneRefreshTokens() {
+    const now = Date.now();
+    let removed = 0;
+    this.refreshTokens.forEach((record, jti) => {
+      if (record.expiresAt <= now) {
+        this.refreshTokens.delete(jti);
+        removed++;
+      }
+    });
+    this.revokedTokens.forEach((expiresAt, jti) => {
+      if (expiresAt <= now) {
+        this.revokedTokens.delete(jti);
+        removed++;
+      }
+    });
+    if (removed > 0) {
+      this.persist();
+    }
+    return removed;
+  }
+
+  // Access token revocation
+  /**
+   * Revoke a single access token until it would have expired anyway
+   * @param {string} jti - Token ID
+   * @param {number} expiresAt - Token expiry (ms since epoch)
+   */
+  revokeToken(jti, expiresAt) {
+    this.revokedTokens.set(jti, expiresAt);
+    this.persist();
+  }
+
+  isTokenRevoked(jti) {
+    return this.revokedTokens.has(jti);
+  }
+
+  // One-time token operations (password reset and similar emailed links)
+  saveOneTimeToken(record) {
+    this.oneTimeTokens.set(record.hash, record);
+    this.persist();
+    return record;
+  }
+
+  getOneTimeToken(hash) {
+    return this.oneTimeTokens.get(hash);
+  }
+
+  /**
+   * Most recent unused token a user holds for a purpose
+   * @param {string} userId - User ID
+   * @param {string} purpose - Token purpose
+   * @returns {Object|null} - Token record
+   */
+  findOneTimeToken(userId, purpose) {
+    let latest = null;
+    this.oneTimeTokens.forEach(record => {
+      if (record.userId === userId && record.purpose === purpose && !record.usedAt &&
+          (!latest || record.createdAt > latest.createdAt)) {
+        latest = record;
+      }
+    });
+    return latest;
+  }
+
+  /**
+   * Delete a user's tokens for a purpose, plus any expired token
+   * @param {string} userId - User ID
+   * @param {string} purpose - Token purpose, e.g. 'password-reset'
+   */
+  deleteOneTimeTokens(userId, purpose) {
+    const now = Date.now();
+    this.oneTimeTokens.forEach((record, hash) => {
+      if ((record.userId === userId && record.purpose === purpose) || record.expiresAt <= now) {
+        this.oneTimeTokens.delete(hash);
+      }
+    });
+    this.persist();
+  }
+
+  // API key operations
+  saveApiKey(record) {
+    this.apiKeys.set(record.hash, record);
+    this.persist();
+    return record;
+  }
+
+  getApiKeyByHash(hash) {
+    return this.apiKeys.get(hash);
+  }
+
+  getUserApiKeys(userId) {
+    return Array.from(this.apiKeys.values()).filter(record => record.userId === userId);
+  }
+
+  // Failed login tracking (keyed by email, whether or not an account exists)
+  getLoginAttempts(email) {
+    return this.loginAttempts.get(email);
+  }
+
+  saveLoginAttempts(record) {
+    this.loginAttempts.set(record.email, record);
+    this.persist();
+    return record;
+  }
+
+  clearLoginAttempts(email) {
+    if (this.loginAttempts.delete(email)) {
+      this.persist();
+    }
+  }
+
+  /**
+   * Forget failures that no longer affect logins
+   * @param {number} staleBefore - Records last failing before this time (ms) are removed
+   * @returns {number} - Number of records removed
+   */
+  pruneLoginAttempts(staleBefore) {
+    const now = Date.now();
+    let removed = 0;
+    this.loginAttempts.forEach((record, email) => {
+      if (record.lastFailureAt < staleBefore && (!record.lockedUntil || record.lockedUntil <= now)) {
+        this.loginAttempts.delete(email);
+        removed++;
+      }
+    });
+    if (removed > 0) {
+      this.persist();
+    }
+    return removed;
+  }
+
   // Statistics and cleanup
   getStats() {
     return {
       totalUsers: this.users.size,
       totalArticles: this.articles.size,
+      indexedArticles: this.searchIndex.size,
+      indexedTerms: this.searchIndex.postings.size,
+      activeSessions: Array.from(this.userSessions.values()).filter(session => !session.revokedAt).length,
+      lockedAccounts: Array.from(this.loginAttempts.values()).filter(record => record.lockedUntil > Date.now()).length,
+      storageDriver: config.storage.driver,
       memoryUsage: process.memoryUsage()
     };
   }
 
   clearArticles() {
     this.articles.clear();
+    this.searchIndex.clear();
+    this.persist();
   }
 
   clearUsers() {
     this.users.clear();
     this.userSessions.clear();
+    this.refreshTokens.clear();
+    this.revokedTokens.clear();
+    this.oneTimeTokens.clear();
+    this.apiKeys.clear();
+    this.loginAttempts.clear();
+    this.persist();
   }
 }
 
 // Create singleton instance
-const dataStore = new DataStore();
+const dataStore = new DataStore(createStorage(config.storage), {
+  flushDelayMs: config.storage.flushDelayMs,
+  autosaveIntervalMs: config.storage.autosaveIntervalMs,
+});
 
 module.exports = dataStore;
\ No newline at end of file
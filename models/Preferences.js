@@ -0,0 +1,241 @@
+const config = require('../config/config');
+const { normalizeText } = require('../utils/text');
+
+/**
+ * News Preferences
+ * A user's preferences are a plain object:
+ *   {
+ *     categories: ['technology'],
+ *     languages: ['en'],
+ *     homeCountry: 'us',
+ *     countries: ['gb'],            // followed countries
+ *     sources: { preferred: [], excluded: [] },
+ *     keywords: { include: [], exclude: [] },
+ *   }
+ * Accounts created before this format stored a flat array of categories; normalize()
+ * migrates that shape and toLegacy() produces it for the legacy endpoints
+ */
+class Preferences {
+  /**
+   * Defaults for new accounts and for fields missing from older records
+   * @returns {Object}
+   */
+  static defaults() {
+    return {
+      categories: [],
+      languages: config.defaultPreferences.languages.slice(),
+      homeCountry: null,
+      countries: [],
+      sources: { preferred: [], excluded: [] },
+      keywords: { include: [], exclude: [] },
+    };
+  }
+
+  /**
+   * Build a complete preferences object
+   * @param {Array|Object} value - Legacy category array, or a (partial) preferences object
+   * @param {Object} base - Preferences supplying fields that value omits
+   * @returns {Object}
+   */
+  static normalize(value, base = Preferences.defaults()) {
+    if (Array.isArray(value)) {
+      return Preferences.normalize({ categories: value }, base);
+    }
+
+    const input = value && typeof value === 'object' ? value : {};
+    const list = (items, fallback, transform = item => item.trim()) => (
+      Array.isArray(items)
+        ? Array.from(new Set(items.filter(item => typeof item === 'string').map(transform).filter(Boolean)))
+        : fallback.slice()
+    );
+    const lower = item => item.trim().toLowerCase();
+    const homeCountry = input.homeCountry === undefined ? base.homeCountry : input.homeCountry;
+    const sources = input.sources || {};
+    const keywords = input.keywords || {};
+
+    return {
+      categories: list(input.categories, base.categories),
+      languages: list(input.languages, base.languages, lower),
+      homeCountry: typeof homeCountry === 'string' && homeCountry.trim() ? lower(homeCountry) : null,
+      countries: list(input.countries, base.countries, lower),
+      sources: {
+        preferred: list(sources.preferred, base.sources.preferred),
+        excluded: list(sources.excluded, base.sources.excluded),
+      },
+      keywords: {
+        include: list(keywords.include, base.keywords.include, lower),
+        exclude: list(keywords.exclude, base.keywords.exclude, lower),
+      },
+    };
+  }
+
+  /**
+   * The flat category array returned by the legacy endpoints
+   * @param {Object} preferences - Preferences
+   * @returns {Array<string>}
+   */
+  static toLegacy(preferences) {
+    return preferences.categories.slice();
+  }
+
+  /**
+   * Preferences as used for fetching: empty categories mean 'general', empty
+   * languages mean the configured default languages, and countries lists the home
+   * country first followed by the followed countries (empty: no country restriction)
+   * @param {Array|Object} preferences - Preferences or category array
+   * @returns {Object} - Normalized preferences
+   */
+  static forFeed(preferences) {
+    const normalized = Preferences.normalize(preferences);
+    normalized.countries = Array.from(new Set([normalized.homeCountry, ...normalized.countries].filter(Boolean)));
+    if (normalized.categories.length === 0) {
+      normalized.categories = ['general'];
+    }
+    if (normalized.languages.length === 0) {
+      normalized.languages = config.defaultPreferences.languages.slice();
+    }
+    return normalized;
+  }
+
+  /**
+   * Whether an article passes the source and keyword filters
+   * Preferred sources and include keywords narrow the feed only when set; excluded
+   * sources and exclude keywords always apply
+   * @param {Article} article - Article
+   * @param {Object} preferences - Preferences
+   * @returns {boolean}
+   */
+  static matches(article, preferences) {
+    const { sources, keywords } = preferences;
+    const source = String(article.source || '').toLowerCase();
+    const sameSource = name => name.toLowerCase() === source;
+
+    if (sources.excluded.some(sameSource)) return false;
+    if (sources.preferred.length > 0 && !sources.preferred.some(sameSource)) return false;
+
+    if (keywords.include.length === 0 && keywords.exclude.length === 0) return true;
+
+    // Pad with spaces so keywords only match whole words and phrases
+    const text = ` ${normalizeText(`${article.title || ''} ${article.description || ''}`)} `;
+    const mentions = keyword => text.includes(` ${normalizeText(keyword)} `);
+
+    if (keywords.exclude.some(mentions)) return false;
+    return keywords.include.length === 0 || keywords.include.some(mentions);
+  }
+
+  /**
+   * Check the shape of submitted preferences (express-validator custom validator)
+   * Category names are checked by the caller, which reports the unknown ones
+   * @param {Array|Object} value - Category array or (partial) preferences object
+   * @returns {boolean} - true, or throws with the first problem found
+   */
+  static validate(value) {
+    const { LIMITS } = Preferences;
+    const checkList = (items, name, { max, pattern, minLength = 1, maxLength = 100, unique = true }) => {
+      if (items === undefined) return;
+      if (!Array.isArray(items) || items.length > max) {
+        throw new Error(`${name} must be an array with maximum ${max} items`);
+      }
+      if (!items.every(item => typeof item === 'string')) {
+        throw new Error(`All ${name} must be strings`);
+      }
+      if (unique && new Set(items.map(item => item.trim().toLowerCase())).size !== items.length) {
+        throw new Error(`Duplicate ${name} are not allowed`);
+      }
+      items.forEach(item => {
+        const trimmed = item.trim();
+        if (trimmed.length < minLength || trimmed.length > maxLength) {
+          throw new Error(`Each of ${name} must be between ${minLength} and ${maxLength} characters`);
+        }
+        if (pattern && !pattern.test(trimmed.toLowerCase())) {
+          throw new Error(`Invalid value in ${name}: ${item}`);
+        }
+      });
+    };
+    const checkGroup = (group, name, keys) => {
+      if (group === undefined) return {};
+      if (!group || typeof group !== 'object' || Array.isArray(group)) {
+        throw new Error(`${name} must be an object with ${keys.join(' and/or ')}`);
+      }
+      return group;
+    };
+
+    // Legacy clients may repeat a category; repeats are dropped rather than rejected
+    if (Array.isArray(value)) {
+      checkList(Array.from(new Set(value)), 'preferences', { max: LIMITS.categories, unique: false });
+      return true;
+    }
+    if (!value || typeof value !== 'object') {
+      throw new Error('Preferences must be an array of categories or a preferences object');
+    }
+
+    checkList(value.categories, 'categories', { max: LIMITS.categories });
+    checkList(value.languages, 'languages', { max: LIMITS.languages, pattern: /^[a-z]{2}$/ });
+    const unsupported = (value.languages || []).filter(code => !config.languages.supported.includes(code.trim().toLowerCase()));
+    if (unsupported.length > 0) {
+      throw new Error(`Unsupported languages: ${unsupported.join(', ')} (supported: ${config.languages.supported.join(', ')})`);
+    }
+    checkList(value.countries, 'countries', { max: LIMITS.countries, pattern: /^[a-z]{2}$/ });
+    if (value.homeCountry !== undefined && value.homeCountry !== null &&
+      !(typeof value.homeCountry === 'string' && /^[a-z]{2}$/i.test(value.homeCountry.trim()))) {
+      throw new Error('homeCountry must be a two-letter ISO 3166-1 code or null');
+    }
+
+    const sources = checkGroup(value.sources, 'sources', ['preferred', 'excluded']);
+    const sourceRules = { max: LIMITS.sources, maxLength: LIMITS.sourceLength };
+    checkList(sources.preferred, 'preferred sources', sourceRules);
+    checkList(sources.excluded, 'excluded sources', sourceRules);
+
+    const keywords = checkGroup(value.keywords, 'keywords', ['include', 'exclude']);
+    const keywordRules = { max: LIMITS.keywords, minLength: 2, maxLength: LIMITS.keywordLength };
+    checkList(keywords.include, 'include keywords', keywordRules);
+    checkList(keywords.exclude, 'exclude keywords', keywordRules);
+
+    const conflicts = Preferences.findConflicts(Preferences.normalize(value));
+    const conflicting = [...conflicts.sources, ...conflicts.keywords];
+    if (conflicting.length > 0) {
+      throw new Error(`Cannot both want and exclude: ${conflicting.join(', ')}`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Values listed both as wanted and unwanted (e.g. a source that is preferred and excluded)
+   * @param {Object} preferences - Normalized preferences
+   * @returns {Object} - { sources, keywords }, each an array of conflicting values
+   */
+  static findConflicts({ sources, keywords }) {
+    const overlap = (wanted, unwanted) => {
+      const lowered = new Set(unwanted.map(item => item.toLowerCase()));
+      return wanted.filter(item => lowered.has(item.toLowerCase()));
+    };
+    return {
+      sources: overlap(sources.preferred, sources.excluded),
+      keywords: overlap(keywords.include, keywords.exclude),
+    };
+  }
+
+  /**
+   * Whether the source or keyword filters are in use
+   * @param {Object} preferences - Preferences
+   * @returns {boolean}
+   */
+  static hasFilters({ sources, keywords }) {
+    return sources.preferred.length > 0 || sources.excluded.length > 0 ||
+      keywords.include.length > 0 || keywords.exclude.length > 0;
+  }
+}
+
+// Upper bounds enforced when preferences are updated
+Preferences.LIMITS = {
+  categories: 10,
+  languages: 5,
+  countries: 10,
+  sources: 20,
+  keywords: 20,
+  keywordLength: 50,
+  sourceLength: 100,
+};
+
+module.exports = Preferences;
@@ -0,0 +1,142 @@
+const { analyze } = require('../utils/text');
+
+/**
+ * In-process inverted index over article text with BM25 ranking
+ * Term frequencies are weighted per field so title matches outrank body matches
+ */
+class SearchIndex {
+  /**
+   * @param {Object} options - Ranking options
+   * @param {Object} options.fieldWeights - Weight per indexed field
+   * @param {number} options.k1 - BM25 term frequency saturation
+   * @param {number} options.b - BM25 document length normalization
+   */
+  constructor({ fieldWeights = { title: 3, description: 2, content: 1 }, k1 = 1.2, b = 0.75 } = {}) {
+    this.fieldWeights = fieldWeights;
+    this.k1 = k1;
+    this.b = b;
+
+    this.postings = new Map(); // term -> Map(docId -> weighted term frequency)
+    this.documents = new Map(); // docId -> { length, terms }
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  /**
+   * Index (or re-index) a document
+   * @param {string} id - Document ID
+   * @param {Object} fields - Text per field, e.g. { title, description, content }
+   */
+  add(id, fields) {
+    this.remove(id);
+
+    const frequencies = new Map();
+    let length = 0;
+
+    Object.entries(this.fieldWeights).forEach(([field, weight]) => {
+      analyze(fields[field]).forEach(term => {
+        frequencies.set(term, (frequencies.get(term) || 0) + weight);
+        length += weight;
+      });
+    });
+
+    frequencies.forEach((frequency, term) => {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(id, frequency);
+    });
+
+    this.documents.set(id, { length, terms: Array.from(frequencies.keys()) });
+    this.totalLength += length;
+  }
+
+  /**
+   * Remove a document from the index
+   * @param {string} id - Document ID
+   */
+  remove(id) {
+    const document = this.documents.get(id);
+    if (!document) return;
+
+    document.terms.forEach(term => {
+      const posting = this.postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+      }
+    });
+
+    this.totalLength -= document.length;
+    this.documents.delete(id);
+  }
+
+  clear() {
+    this.postings.clear();
+    this.documents.clear();
+    this.totalLength = 0;
+  }
+
+  /**
+   * Inverse document frequency of a term (BM25 variant, never negative)
+   * @param {string} term - Analyzed term
+   * @returns {number}
+   */
+  idf(term) {
+    const documentFrequency = this.postings.has(term) ? this.postings.get(term).size : 0;
+    return Math.log(1 + (this.size - documentFrequency + 0.5) / (documentFrequency + 0.5));
+  }
+
+  /**
+   * BM25 score of a document for a list of analyzed terms
+   * @param {string} id - Document ID
+   * @param {Array<string>} terms - Analyzed query terms
+   * @returns {number} - 0 when no term matches
+   */
+  score(id, terms) {
+    const document = this.documents.get(id);
+    if (!document) return 0;
+
+    const averageLength = this.totalLength / this.size || 1;
+    return terms.reduce((total, term) => {
+      const posting = this.postings.get(term);
+      const frequency = posting ? posting.get(id) || 0 : 0;
+      if (frequency === 0) return total;
+
+      const normalization = this.k1 * (1 - this.b + this.b * document.length / averageLength);
+      return total + this.idf(term) * (frequency * (this.k1 + 1)) / (frequency + normalization);
+    }, 0);
+  }
+
+  /**
+   * Search the index
+   * @param {string} query - Free text query
+   * @param {Object} options - { requireAll: every term must match, filter: (id) => boolean, limit }
+   * @returns {Array<Object>} - [{ id, score }] best first
+   */
+  search(query, { requireAll = true, filter = null, limit = 0 } = {}) {
+    const terms = Array.from(new Set(analyze(query)));
+    if (terms.length === 0) return [];
+
+    // Start from the rarest term's postings to keep the candidate set small
+    const postings = terms
+      .map(term => this.postings.get(term) || new Map())
+      .sort((a, b) => a.size - b.size);
+
+    const candidates = requireAll
+      ? Array.from(postings[0].keys()).filter(id => postings.every(posting => posting.has(id)))
+      : Array.from(new Set(postings.flatMap(posting => Array.from(posting.keys()))));
+
+    const results = candidates
+      .filter(id => !filter || filter(id))
+      .map(id => ({ id, score: this.score(id, terms) }))
+      .sort((a, b) => b.score - a.score);
+
+    return limit ? results.slice(0, limit) : results;
+  }
+}
+
+module.exports = SearchIndex;
@@ -1,37 +1,123 @@
+const Preferences = require('./Preferences');
+
 class User {
-  constructor({ name, email, password, preferences = [] }) {
+  constructor({ name, email, password, preferences = [], role = 'user' }) {
     this.id = User.generateId();
     this.name = name;
     this.email = email;
     this.password = password; // This will be hashed
-    this.preferences = preferences;
+    this.preferences = Preferences.normalize(preferences);
     this.readArticles = new Set();
     this.favoriteArticles = new Set();
+    this.readTimestamps = new Map(); // articleId -> when it was (last) marked read, ms
+    this.favoriteTimestamps = new Map(); // articleId -> when it was favorited, ms
     this.createdAt = new Date();
     this.updatedAt = new Date();
+    this.tokensValidAfter = null; // Tokens issued before this are rejected ("logout everywhere")
+    this.emailVerified = false;
+    this.emailVerifiedAt = null;
+    this.role = role;
+    this.suspendedAt = null;
+    this.suspensionReason = null;
+    this.twoFactor = null; // { enabled, secret, recoveryCodes, enabledAt, lastUsedStep }, see TwoFactorService
+    this.deletedAt = null; // Deletion requested; the account is purged at deletionScheduledFor unless restored
+    this.deletionScheduledFor = null;
   }
 
   static generateId() {
     return '_' + Math.random().toString(36).substr(2, 9);
   }
 
+  /**
+   * Replace the fields present in newPreferences; a legacy category array replaces categories only
+   * @param {Array|Object} newPreferences - Preferences or category array
+   */
   updatePreferences(newPreferences) {
-    this.preferences = newPreferences;
+    this.preferences = Preferences.normalize(newPreferences, this.preferences);
     this.updatedAt = new Date();
   }
 
   markAsRead(articleId) {
     this.readArticles.add(articleId);
+    this.readTimestamps.set(articleId, Date.now());
     this.updatedAt = new Date();
   }
 
   markAsFavorite(articleId) {
+    if (!this.favoriteArticles.has(articleId)) {
+      this.favoriteTimestamps.set(articleId, Date.now());
+    }
     this.favoriteArticles.add(articleId);
     this.updatedAt = new Date();
   }
 
   removeFavorite(articleId) {
     this.favoriteArticles.delete(articleId);
+    this.favoriteTimestamps.delete(articleId);
+    this.updatedAt = new Date();
+  }
+
+  hasRole(...roles) {
+    return roles.includes(this.role);
+  }
+
+  isSuspended() {
+    return Boolean(this.suspendedAt);
+  }
+
+  suspend(reason = null) {
+    this.suspendedAt = new Date();
+    this.suspensionReason = reason;
+    this.updatedAt = new Date();
+  }
+
+  unsuspend() {
+    this.suspendedAt = null;
+    this.suspensionReason = null;
+    this.updatedAt = new Date();
+  }
+
+  isPendingDeletion() {
+    return Boolean(this.deletedAt);
+  }
+
+  /**
+   * Schedule the account for purging
+   * @param {number} graceMs - How long the account can still be restored
+   */
+  markForDeletion(graceMs) {
+    this.deletedAt = new Date();
+    this.deletionScheduledFor = new Date(this.deletedAt.getTime() + graceMs);
+    this.updatedAt = new Date();
+  }
+
+  cancelDeletion() {
+    this.deletedAt = null;
+    this.deletionScheduledFor = null;
+    this.updatedAt = new Date();
+  }
+
+  isTwoFactorEnabled() {
+    return Boolean(this.twoFactor && this.twoFactor.enabled);
+  }
+
+  markEmailUnverified() {
+    this.emailVerified = false;
+    this.emailVerifiedAt = null;
+    this.updatedAt = new Date();
+  }
+
+  markEmailVerified() {
+    this.emailVerified = true;
+    this.emailVerifiedAt = new Date();
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Invalidate every token issued so far
+   */
+  revokeAllTokens() {
+    this.tokensValidAfter = new Date();
     this.updatedAt = new Date();
   }
 
@@ -43,11 +129,62 @@ class User {
     return this.favoriteArticles.has(articleId);
   }
 
+  /**
+   * Serialize the full user record for storage, including the password hash
+   * @returns {Object} - Plain object safe to pass to JSON.stringify
+   */
+  toRecord() {
+    return {
+      ...this,
+      readArticles: Array.from(this.readArticles),
+      favoriteArticles: Array.from(this.favoriteArticles),
+      readTimestamps: Array.from(this.readTimestamps.entries()),
+      favoriteTimestamps: Array.from(this.favoriteTimestamps.entries()),
+    };
+  }
+
+  /**
+   * Rebuild a user from a stored record
+   * @param {Object} record - Object previously produced by toRecord()
+   * @returns {User} - Hydrated user instance
+   */
+  static fromRecord(record) {
+    const user = Object.create(User.prototype);
+    Object.assign(user, record, {
+      readArticles: new Set(record.readArticles || []),
+      favoriteArticles: new Set(record.favoriteArticles || []),
+      // Articles marked before timestamps were tracked have none
+      readTimestamps: new Map(record.readTimestamps || []),
+      favoriteTimestamps: new Map(record.favoriteTimestamps || []),
+      // Older records store a flat array of categories
+      preferences: Preferences.normalize(record.preferences),
+    });
+
+    User.dateFields.forEach(field => {
+      if (record[field]) {
+        user[field] = new Date(record[field]);
+      }
+    });
+
+    // Accounts stored before email verification existed are treated as verified
+    if (record.emailVerified === undefined) {
+      user.emailVerified = true;
+    }
+    if (!record.role) {
+      user.role = 'user';
+    }
+
+    return user;
+  }
+
   toJSON() {
     return {
       id: this.id,
       name: this.name,
       email: this.email,
+      emailVerified: this.emailVerified,
+      role: this.role,
+      twoFactorEnabled: this.isTwoFactorEnabled(),
       preferences: this.preferences,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
@@ -55,4 +192,12 @@ class User {
   }
 }
 
+// Fields restored as Date objects when loading from storage
+User.dateFields = [
+  'createdAt', 'updatedAt', 'deletedAt', 'deletionScheduledFor', 'tokensValidAfter', 'emailVerifiedAt', 'suspendedAt',
+];
+
+// Roles in ascending order of privilege
+User.ROLES = ['user', 'editor', 'admin'];
+
 module.exports = User;
\ No newline at end of file
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File storage adapter
+ * Persists the whole data store as a single JSON document on local disk
+ */
+class FileStorage {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.filePath - Path of the JSON file to read and write
+   */
+  constructor({ filePath }) {
+    if (!filePath) {
+      throw new Error('FileStorage requires a filePath');
+    }
+
+    this.persistent = true;
+    this.filePath = path.resolve(filePath);
+  }
+
+  /**
+   * Load the last saved snapshot from disk
+   * @returns {Object|null} - Parsed snapshot or null if no file exists yet
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return null;
+    }
+
+    const raw = fs.readFileSync(this.filePath, 'utf8');
+    if (!raw.trim()) {
+      return null;
+    }
+
+    return JSON.parse(raw);
+  }
+
+  /**
+   * Write a snapshot to disk
+   * Writes to a temporary file first so a crash mid-write never leaves a truncated store
+   * @param {Object} snapshot - Serialized data store contents
+   */
+  save(snapshot) {
+    const directory = path.dirname(this.filePath);
+    fs.mkdirSync(directory, { recursive: true });
+
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(snapshot));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * Release any resources held by the adapter
+   */
+  close() {}
+}
+
+module.exports = FileStorage;
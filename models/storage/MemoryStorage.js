@@ -0,0 +1,30 @@
+/**
+ * In-memory storage adapter
+ * Nothing survives a restart; this is the default and what the test suite uses
+ */
+class MemoryStorage {
+  constructor() {
+    this.persistent = false;
+  }
+
+  /**
+   * Load a previously saved snapshot
+   * @returns {Object|null} - Always null, there is nothing to restore
+   */
+  load() {
+    return null;
+  }
+
+  /**
+   * Save a snapshot of the data store (no-op)
+   * @param {Object} snapshot - Serialized data store contents
+   */
+  save(snapshot) {}
+
+  /**
+   * Release any resources held by the adapter (no-op)
+   */
+  close() {}
+}
+
+module.exports = MemoryStorage;
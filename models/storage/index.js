@@ -0,0 +1,33 @@
+const MemoryStorage = require('./MemoryStorage');
+const FileStorage = require('./FileStorage');
+
+/**
+ * Storage adapters available to the data store
+ * Every adapter implements load(), save(snapshot) and close()
+ */
+const drivers = {
+  memory: MemoryStorage,
+  file: FileStorage,
+};
+
+/**
+ * Create the storage adapter selected in configuration
+ * @param {Object} storageConfig - The `storage` section of config
+ * @returns {Object} - Storage adapter instance
+ */
+function createStorage(storageConfig = {}) {
+  const driver = storageConfig.driver || 'memory';
+  const Adapter = drivers[driver];
+
+  if (!Adapter) {
+    throw new Error(`Unknown storage driver "${driver}". Available drivers: ${Object.keys(drivers).join(', ')}`);
+  }
+
+  return new Adapter(storageConfig);
+}
+
+module.exports = {
+  createStorage,
+  MemoryStorage,
+  FileStorage,
+};
@@ -0,0 +1,119 @@
+const express = require('express');
+const AdminController = require('../controllers/AdminController');
+const { authenticateToken, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * Admin Routes
+ * User administration is admin-only; editors may inspect and flush the cache and read stats.
+ * API keys are refused so admin access always goes through a login (and its second factor)
+ */
+router.use(authenticateToken);
+
+/**
+ * @route   GET /admin/users
+ * @desc    List users (filters: role, status, q)
+ * @access  Admin
+ */
+router.get(
+  '/users',
+  authorize('admin'),
+  AdminController.getListUsersValidation(),
+  AdminController.listUsers
+);
+
+/**
+ * @route   POST /admin/users/:id/suspend
+ * @desc    Suspend a user and revoke their tokens
+ * @access  Admin
+ */
+router.post(
+  '/users/:id/suspend',
+  authorize('admin'),
+  AdminController.getSuspendValidation(),
+  AdminController.suspendUser
+);
+
+/**
+ * @route   POST /admin/users/:id/unsuspend
+ * @desc    Lift a user's suspension
+ * @access  Admin
+ */
+router.post(
+  '/users/:id/unsuspend',
+  authorize('admin'),
+  AdminController.getUserIdValidation(),
+  AdminController.unsuspendUser
+);
+
+/**
+ * @route   POST /admin/users/:id/restore
+ * @desc    Cancel a pending account deletion
+ * @access  Admin
+ */
+router.post(
+  '/users/:id/restore',
+  authorize('admin'),
+  AdminController.getUserIdValidation(),
+  AdminController.restoreUser
+);
+
+/**
+ * @route   POST /admin/users/:id/unlock
+ * @desc    Lift a lockout caused by failed logins
+ * @access  Admin
+ */
+router.post(
+  '/users/:id/unlock',
+  authorize('admin'),
+  AdminController.getUserIdValidation(),
+  AdminController.unlockUser
+);
+
+/**
+ * @route   PUT /admin/users/:id/role
+ * @desc    Assign a role (user, editor, admin)
+ * @access  Admin
+ */
+router.put(
+  '/users/:id/role',
+  authorize('admin'),
+  AdminController.getRoleValidation(),
+  AdminController.updateRole
+);
+
+/**
+ * @route   GET /admin/cache
+ * @desc    Inspect the upstream response cache
+ * @access  Editor, Admin
+ */
+router.get(
+  '/cache',
+  authorize('editor', 'admin'),
+  AdminController.getCache
+);
+
+/**
+ * @route   DELETE /admin/cache
+ * @desc    Flush the upstream response cache
+ * @access  Editor, Admin
+ */
+router.delete(
+  '/cache',
+  authorize('editor', 'admin'),
+  AdminController.clearCache
+);
+
+/**
+ * @route   GET /admin/stats
+ * @desc    Datastore, user, cache and ingestion statistics
+ * @access  Editor, Admin
+ */
+router.get(
+  '/stats',
+  authorize('editor', 'admin'),
+  AdminController.getStats
+);
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
 const AuthController = require('../controllers/AuthController');
+const { authenticateToken } = require('../middleware/auth');
 const { authRateLimiter } = require('../middleware/security');
 
 const router = express.Router();
@@ -22,7 +23,7 @@ router.post(
 
 /**
  * @route   POST /users/login
- * @desc    Login user and return JWT token
+ * @desc    Login user and return access and refresh tokens, or a 2FA challenge
  * @access  Public
  */
 router.post(
@@ -32,4 +33,119 @@ router.post(
   AuthController.login
 );
 
+/**
+ * @route   POST /users/login/2fa
+ * @desc    Complete a 2FA login with the challenge token and a TOTP or recovery code
+ * @access  Public
+ */
+router.post(
+  '/login/2fa',
+  authRateLimiter,
+  AuthController.getTwoFactorLoginValidation(),
+  AuthController.completeTwoFactorLogin
+);
+
+/**
+ * @route   POST /users/token/refresh
+ * @desc    Rotate a refresh token and return a new access/refresh token pair
+ * @access  Public
+ */
+router.post(
+  '/token/refresh',
+  AuthController.getRefreshValidation(),
+  AuthController.refreshToken
+);
+
+/**
+ * @route   POST /users/verify-email
+ * @desc    Confirm an email address with a verification token
+ * @access  Public
+ */
+router.post(
+  '/verify-email',
+  AuthController.getVerifyEmailValidation(),
+  AuthController.verifyEmail
+);
+
+/**
+ * @route   POST /users/unlock
+ * @desc    Lift a login lockout with the emailed unlock token
+ * @access  Public
+ */
+router.post(
+  '/unlock',
+  authRateLimiter,
+  AuthController.getUnlockValidation(),
+  AuthController.unlockAccount
+);
+
+/**
+ * @route   POST /users/account/restore
+ * @desc    Cancel a pending account deletion with the emailed restore token
+ * @access  Public
+ */
+router.post(
+  '/account/restore',
+  authRateLimiter,
+  AuthController.getRestoreAccountValidation(),
+  AuthController.restoreAccount
+);
+
+/**
+ * @route   POST /users/verify-email/resend
+ * @desc    Send a new verification email
+ * @access  Private
+ */
+router.post(
+  '/verify-email/resend',
+  authenticateToken,
+  AuthController.resendVerificationEmail
+);
+
+/**
+ * @route   POST /users/password/forgot
+ * @desc    Email a one-time password reset token
+ * @access  Public
+ */
+router.post(
+  '/password/forgot',
+  authRateLimiter,
+  AuthController.getForgotPasswordValidation(),
+  AuthController.forgotPassword
+);
+
+/**
+ * @route   POST /users/password/reset
+ * @desc    Set a new password with a reset token and sign out all sessions
+ * @access  Public
+ */
+router.post(
+  '/password/reset',
+  authRateLimiter,
+  AuthController.getResetPasswordValidation(),
+  AuthController.resetPassword
+);
+
+/**
+ * @route   POST /users/logout
+ * @desc    Revoke the current access token and its refresh tokens
+ * @access  Private
+ */
+router.post(
+  '/logout',
+  authenticateToken,
+  AuthController.logout
+);
+
+/**
+ * @route   POST /users/logout-all
+ * @desc    Revoke every token issued to the user so far
+ * @access  Private
+ */
+router.post(
+  '/logout-all',
+  authenticateToken,
+  AuthController.logoutAll
+);
+
 module.exports = router;
\ No newline at end of file
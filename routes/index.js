@@ -10,11 +10,13 @@ const router = express.Router();
 const authRoutes = require('./auth');
 const userRoutes = require('./users');
 const newsRoutes = require('./news');
+const adminRoutes = require('./admin');
 
 // Mount routes
 router.use('/users', authRoutes);
 router.use('/users', userRoutes);
 router.use('/news', newsRoutes);
+router.use('/admin', adminRoutes);
 
 // API information endpoint
 router.get('/', (req, res) => {
@@ -24,7 +26,17 @@ router.get('/', (req, res) => {
     endpoints: {
       auth: {
         'POST /api/users/signup': 'Register a new user',
-        'POST /api/users/login': 'Login user and get JWT token',
+        'POST /api/users/login': 'Login user and get access and refresh tokens',
+        'POST /api/users/login/2fa': 'Complete a login with a two-factor code',
+        'POST /api/users/token/refresh': 'Exchange a refresh token for a new token pair',
+        'POST /api/users/verify-email': 'Confirm an email address',
+        'POST /api/users/account/restore': 'Cancel a pending account deletion with an emailed token',
+        'POST /api/users/unlock': 'Lift a login lockout with an emailed token',
+        'POST /api/users/verify-email/resend': 'Resend the verification email',
+        'POST /api/users/password/forgot': 'Email a password reset token',
+        'POST /api/users/password/reset': 'Reset the password with a reset token',
+        'POST /api/users/logout': 'Revoke the current token',
+        'POST /api/users/logout-all': 'Revoke every token issued to the user',
       },
       users: {
         'GET /api/users/preferences': 'Get user preferences',
@@ -32,17 +44,45 @@ router.get('/', (req, res) => {
         'GET /api/users/profile': 'Get user profile with statistics',
         'GET /api/users/read-articles': 'Get user read articles',
         'GET /api/users/favorite-articles': 'Get user favorite articles',
+        'GET /api/users/export': 'Export all personal data as a ZIP (JSON and CSV)',
+        'GET /api/users/export/jobs/:id': 'Get the status of an export job',
+        'GET /api/users/export/jobs/:id/download': 'Download a finished export',
+        'PUT /api/users/password': 'Change password',
+        'PUT /api/users/email': 'Change email address',
+        'GET /api/users/sessions': 'List active sessions (signed-in devices)',
+        'DELETE /api/users/sessions/:id': 'Revoke a session',
+        'DELETE /api/users/account': 'Schedule the account for deletion',
+        'GET /api/users/2fa': 'Get two-factor status',
+        'POST /api/users/2fa/setup': 'Start two-factor enrollment',
+        'POST /api/users/2fa/confirm': 'Enable two-factor authentication',
+        'POST /api/users/2fa/disable': 'Disable two-factor authentication',
+        'GET /api/users/api-keys': 'List API keys with last-used timestamps',
+        'POST /api/users/api-keys': 'Create a scoped API key',
+        'DELETE /api/users/api-keys/:id': 'Revoke an API key',
       },
       news: {
         'GET /api/news': 'Get personalized news',
         'GET /api/news/search/:keyword': 'Search news articles',
+        'GET /api/news/search?q=': 'Search news articles (query language, filters: from, to, language, sortBy)',
         'GET /api/news/read': 'Get read articles',
         'GET /api/news/favorites': 'Get favorite articles',
+        'GET /api/news/ingestion/status': 'Get background ingestion status',
         'GET /api/news/:id': 'Get specific article',
         'POST /api/news/:id/read': 'Mark article as read',
         'POST /api/news/:id/favorite': 'Mark article as favorite',
         'DELETE /api/news/:id/favorite': 'Remove article from favorites',
       },
+      admin: {
+        'GET /api/admin/users': 'List users (admin)',
+        'POST /api/admin/users/:id/suspend': 'Suspend a user (admin)',
+        'POST /api/admin/users/:id/unsuspend': 'Lift a suspension (admin)',
+        'POST /api/admin/users/:id/restore': 'Cancel a pending account deletion (admin)',
+        'POST /api/admin/users/:id/unlock': 'Lift a login lockout (admin)',
+        'PUT /api/admin/users/:id/role': 'Assign a role (admin)',
+        'GET /api/admin/cache': 'Inspect the response cache (editor, admin)',
+        'DELETE /api/admin/cache': 'Flush the response cache (editor, admin)',
+        'GET /api/admin/stats': 'Datastore and system statistics (editor, admin)',
+      },
     },
     documentation: 'See README.md for detailed API documentation',
   });
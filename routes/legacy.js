@@ -2,7 +2,8 @@ const express = require('express');
 const AuthController = require('../controllers/AuthController');
 const UserController = require('../controllers/UserController');
 const NewsController = require('../controllers/NewsController');
-const { authenticate } = require('../middleware/auth');
+const Preferences = require('../models/Preferences');
+const { authenticate, authenticateFor } = require('../middleware/auth');
 const { authRateLimiter } = require('../middleware/security');
 
 const router = express.Router();
@@ -56,7 +57,8 @@ router.get(
     const originalJson = res.json;
     res.json = function(data) {
       if (data.success && data.data && data.data.preferences !== undefined) {
-        return originalJson.call(this, { preferences: data.data.preferences });
+        // Legacy clients only know the flat category array
+        return originalJson.call(this, { preferences: Preferences.toLegacy(data.data.preferences) });
       }
       return originalJson.call(this, data);
     };
@@ -68,13 +70,22 @@ router.put(
   '/users/preferences',
   authenticate,
   UserController.getPreferencesValidation(),
-  UserController.updatePreferences
+  async (req, res) => {
+    const originalJson = res.json;
+    res.json = function(data) {
+      if (data.success && data.data && data.data.preferences !== undefined) {
+        data.data.preferences = Preferences.toLegacy(data.data.preferences);
+      }
+      return originalJson.call(this, data);
+    };
+    return UserController.updatePreferences(req, res);
+  }
 );
 
 // News routes
 router.get(
   '/news',
-  authenticate,
+  authenticateFor('news:read'),
   NewsController.getQueryValidation(),
   async (req, res) => {
     // Custom response wrapper for tests
@@ -1,11 +1,12 @@
 const express = require('express');
 const NewsController = require('../controllers/NewsController');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, authenticateFor, requireVerifiedEmail } = require('../middleware/auth');
 
 const router = express.Router();
 
 /**
  * News Routes (all require authentication)
+ * Read-only routes also accept API keys with the news:read scope
  */
 
 /**
@@ -15,11 +16,29 @@ const router = express.Router();
  */
 router.get(
   '/',
-  authenticate,
-  NewsController.getQueryValidation(),
+  authenticateFor('news:read'),
+  [
+    ...NewsController.getFeedValidation(),
+    ...NewsController.getQueryValidation()
+  ],
   NewsController.getNews
 );
 
+/**
+ * @route   GET /news/search
+ * @desc    Search news articles with the query passed as ?q=
+ * @access  Private
+ */
+router.get(
+  '/search',
+  authenticateFor('news:read'),
+  [
+    ...NewsController.getSearchValidation(),
+    ...NewsController.getQueryValidation()
+  ],
+  NewsController.searchNews
+);
+
 /**
  * @route   GET /news/search/:keyword
  * @desc    Search news articles by keyword
@@ -27,7 +46,7 @@ router.get(
  */
 router.get(
   '/search/:keyword',
-  authenticate,
+  authenticateFor('news:read'),
   [
     ...NewsController.getSearchValidation(),
     ...NewsController.getQueryValidation()
@@ -59,6 +78,17 @@ router.get(
   NewsController.getFavoriteArticles
 );
 
+/**
+ * @route   GET /news/ingestion/status
+ * @desc    Get background ingestion status and per-job timings
+ * @access  Private
+ */
+router.get(
+  '/ingestion/status',
+  authenticateFor('news:read'),
+  NewsController.getIngestionStatus
+);
+
 /**
  * @route   GET /news/:id
  * @desc    Get a specific article by ID
@@ -66,7 +96,7 @@ router.get(
  */
 router.get(
   '/:id',
-  authenticate,
+  authenticateFor('news:read'),
   NewsController.getArticleIdValidation(),
   NewsController.getArticle
 );
@@ -91,6 +121,7 @@ router.post(
 router.post(
   '/:id/favorite',
   authenticate,
+  requireVerifiedEmail('favorites'),
   NewsController.getArticleIdValidation(),
   NewsController.markAsFavorite
 );
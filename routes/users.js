@@ -1,6 +1,8 @@
 const express = require('express');
 const UserController = require('../controllers/UserController');
-const { authenticate } = require('../middleware/auth');
+const TwoFactorController = require('../controllers/TwoFactorController');
+const { authenticate, authenticateToken } = require('../middleware/auth');
+const { authRateLimiter } = require('../middleware/security');
 
 const router = express.Router();
 
@@ -64,14 +66,183 @@ router.get(
   UserController.getFavoriteArticles
 );
 
+/**
+ * @route   GET /users/export
+ * @desc    Download a ZIP of all personal data, or start an export job for large accounts
+ * @access  Private
+ */
+router.get(
+  '/export',
+  authenticate,
+  UserController.getExportValidation(),
+  UserController.exportData
+);
+
+/**
+ * @route   GET /users/export/jobs/:id
+ * @desc    Get the status of an export job
+ * @access  Private
+ */
+router.get(
+  '/export/jobs/:id',
+  authenticate,
+  UserController.getExportJobIdValidation(),
+  UserController.getExportJob
+);
+
+/**
+ * @route   GET /users/export/jobs/:id/download
+ * @desc    Download the archive of a completed export job
+ * @access  Private
+ */
+router.get(
+  '/export/jobs/:id/download',
+  authenticate,
+  UserController.getExportJobIdValidation(),
+  UserController.downloadExport
+);
+
+/**
+ * @route   PUT /users/password
+ * @desc    Change password (requires the current password)
+ * @access  Private
+ */
+router.put(
+  '/password',
+  authenticateToken,
+  authRateLimiter,
+  UserController.getChangePasswordValidation(),
+  UserController.changePassword
+);
+
+/**
+ * @route   PUT /users/email
+ * @desc    Change email address (requires the current password)
+ * @access  Private
+ */
+router.put(
+  '/email',
+  authenticateToken,
+  authRateLimiter,
+  UserController.getChangeEmailValidation(),
+  UserController.changeEmail
+);
+
+/**
+ * @route   GET /users/sessions
+ * @desc    List devices the user is signed in on
+ * @access  Private
+ */
+router.get(
+  '/sessions',
+  authenticateToken,
+  UserController.getSessions
+);
+
+/**
+ * @route   DELETE /users/sessions/:id
+ * @desc    Sign out a device by revoking its session
+ * @access  Private
+ */
+router.delete(
+  '/sessions/:id',
+  authenticateToken,
+  UserController.getSessionIdValidation(),
+  UserController.revokeSession
+);
+
+/**
+ * @route   GET /users/api-keys
+ * @desc    List API keys with last-used timestamps
+ * @access  Private (login token only)
+ */
+router.get(
+  '/api-keys',
+  authenticateToken,
+  UserController.getApiKeys
+);
+
+/**
+ * @route   POST /users/api-keys
+ * @desc    Create a named, scoped API key for server-to-server clients
+ * @access  Private (login token only)
+ */
+router.post(
+  '/api-keys',
+  authenticateToken,
+  UserController.getCreateApiKeyValidation(),
+  UserController.createApiKey
+);
+
+/**
+ * @route   DELETE /users/api-keys/:id
+ * @desc    Revoke an API key
+ * @access  Private (login token only)
+ */
+router.delete(
+  '/api-keys/:id',
+  authenticateToken,
+  UserController.getApiKeyIdValidation(),
+  UserController.revokeApiKey
+);
+
+/**
+ * @route   GET /users/2fa
+ * @desc    Get two-factor authentication status
+ * @access  Private (login token only)
+ */
+router.get(
+  '/2fa',
+  authenticateToken,
+  TwoFactorController.getStatus
+);
+
+/**
+ * @route   POST /users/2fa/setup
+ * @desc    Start TOTP enrollment and return the secret and otpauth URI
+ * @access  Private (login token only)
+ */
+router.post(
+  '/2fa/setup',
+  authenticateToken,
+  authRateLimiter,
+  TwoFactorController.getSetupValidation(),
+  TwoFactorController.setup
+);
+
+/**
+ * @route   POST /users/2fa/confirm
+ * @desc    Enable 2FA with a code from the authenticator and return recovery codes
+ * @access  Private (login token only)
+ */
+router.post(
+  '/2fa/confirm',
+  authenticateToken,
+  TwoFactorController.getConfirmValidation(),
+  TwoFactorController.confirm
+);
+
+/**
+ * @route   POST /users/2fa/disable
+ * @desc    Disable 2FA (requires the current password and a TOTP or recovery code)
+ * @access  Private (login token only)
+ */
+router.post(
+  '/2fa/disable',
+  authenticateToken,
+  authRateLimiter,
+  TwoFactorController.getDisableValidation(),
+  TwoFactorController.disable
+);
+
 /**
  * @route   DELETE /users/account
- * @desc    Delete user account (bonus feature)
+ * @desc    Schedule the account for deletion after a grace period
  * @access  Private
  */
 router.delete(
   '/account',
-  authenticate,
+  authenticateToken,
   UserController.deleteAccount
 );
 
@@ -0,0 +1,123 @@
+const config = require('../config/config');
+const dataStore = require('../models/DataStore');
+const TokenService = require('./TokenService');
+const OneTimeTokenService = require('./OneTimeTokenService');
+const EmailService = require('./EmailService');
+
+/**
+ * Account Deletion Service
+ * A deletion request signs the user out everywhere and schedules the account for
+ * purging. Until then it is blocked but can be restored with an emailed link (or by
+ * an admin); a periodic job purges accounts whose grace period has passed
+ */
+class AccountDeletionService {
+  constructor(settings = config.accountDeletion) {
+    this.settings = settings;
+    this.timer = null;
+    this.lastRun = null;
+  }
+
+  /**
+   * Mark an account for deletion and email a restore link
+   * @param {User} user - Account to delete
+   * @returns {Date} - When the account will be purged
+   */
+  requestDeletion(user) {
+    user.markForDeletion(this.settings.graceMs);
+    TokenService.logoutAll(user);
+    dataStore.persist();
+
+    this.sendRestoreLink(user);
+    return user.deletionScheduledFor;
+  }
+
+  /**
+   * Email a fresh restore link; earlier links stop working
+   * @param {User} user - Account pending deletion
+   */
+  sendRestoreLink(user) {
+    const ttlMs = Math.max(this.getPurgeDate(user).getTime() - Date.now(), 0);
+    const token = OneTimeTokenService.issue(user, 'account-restore', ttlMs);
+    EmailService.sendAccountDeletionScheduled(user, token);
+  }
+
+  /**
+   * Cancel a pending deletion
+   * @param {User} user - Account pending deletion
+   */
+  restore(user) {
+    user.cancelDeletion();
+    dataStore.deleteOneTimeTokens(user.id, 'account-restore');
+    dataStore.persist();
+  }
+
+  /**
+   * When a pending account will be purged
+   * Accounts flagged before scheduling existed count their grace period from deletedAt
+   * @param {User} user - Account pending deletion
+   * @returns {Date}
+   */
+  getPurgeDate(user) {
+    return user.deletionScheduledFor || new Date(user.deletedAt.getTime() + this.settings.graceMs);
+  }
+
+  /**
+   * Purge every account whose grace period has passed
+   * @returns {Object} - { purged, runAt }
+   */
+  purgeDue() {
+    const now = Date.now();
+    const due = dataStore.getAllUsers()
+      .filter(user => user.isPendingDeletion() && this.getPurgeDate(user).getTime() <= now);
+
+    due.forEach(user => dataStore.deleteUser(user.id));
+
+    this.lastRun = { runAt: new Date(now), purged: due.length };
+    return this.lastRun;
+  }
+
+  /**
+   * Start the periodic purge job; the first run begins immediately
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.runOnce(), this.settings.purgeIntervalMs);
+    this.timer.unref();
+
+    this.runOnce();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  runOnce() {
+    try {
+      return this.purgeDue();
+    } catch (error) {
+      console.error('Account purge failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Describe the purge job state
+   * @returns {Object} - Status report
+   */
+  getStatus() {
+    return {
+      enabled: this.settings.purgeEnabled,
+      running: this.timer !== null,
+      intervalMs: this.settings.purgeIntervalMs,
+      graceMs: this.settings.graceMs,
+      pendingDeletion: dataStore.getAllUsers().filter(user => user.isPendingDeletion()).length,
+      lastRun: this.lastRun,
+    };
+  }
+}
+
+module.exports = new AccountDeletionService();
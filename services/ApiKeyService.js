@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const dataStore = require('../models/DataStore');
+
+const KEY_PREFIX = 'nak';
+const MAX_KEYS_PER_USER = 20;
+
+/**
+ * API Key Service
+ * Long-lived credentials for server-to-server clients, sent as `X-API-Key`.
+ * Keys look like `nak_<id>_<secret>`; only a SHA-256 hash is stored, so the full
+ * key is shown once at creation. Scopes limit what a key can do:
+ *   news:read - read the news feed, search and articles
+ *   account   - everything the owner can do with a login token
+ */
+class ApiKeyService {
+  constructor() {
+    this.scopes = ['news:read', 'account'];
+    this.maxKeysPerUser = MAX_KEYS_PER_USER;
+  }
+
+  hash(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+  }
+
+  /**
+   * Create a key
+   * @param {User} user - Key owner
+   * @param {Object} options - { name, scopes }
+   * @returns {Object} - { key, record }; the raw key cannot be recovered later
+   */
+  create(user, { name, scopes }) {
+    const id = crypto.randomBytes(6).toString('hex');
+    const key = `${KEY_PREFIX}_${id}_${crypto.randomBytes(32).toString('base64url')}`;
+
+    const record = dataStore.saveApiKey({
+      id,
+      hash: this.hash(key),
+      prefix: `${KEY_PREFIX}_${id}`,
+      userId: user.id,
+      name,
+      scopes: Array.from(new Set(scopes)),
+      createdAt: Date.now(),
+      lastUsedAt: null,
+      lastUsedIp: null,
+      revokedAt: null,
+    });
+
+    return { key, record };
+  }
+
+  /**
+   * Look up an active key and record its use
+   * @param {string} key - Raw key from the request
+   * @param {Object} client - { ip } of the current request
+   * @returns {Object|null} - Key record, or null if unknown or revoked
+   */
+  verify(key, { ip = null } = {}) {
+    const record = dataStore.getApiKeyByHash(this.hash(key));
+    if (!record || record.revokedAt) {
+      return null;
+    }
+
+    record.lastUsedAt = Date.now();
+    record.lastUsedIp = ip;
+    dataStore.persist();
+    return record;
+  }
+
+  /**
+   * Whether a key may be used for a scope; `account` covers every scope
+   * @param {Object} record - Key record
+   * @param {string} scope - Required scope
+   * @returns {boolean}
+   */
+  hasScope(record, scope) {
+    return record.scopes.includes('account') || record.scopes.includes(scope);
+  }
+
+  /**
+   * Active keys of a user, newest first
+   * @param {string} userId - User ID
+   * @returns {Array<Object>} - Key records
+   */
+  list(userId) {
+    return dataStore.getUserApiKeys(userId)
+      .filter(record => !record.revokedAt)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Revoke one of a user's keys
+   * @param {string} userId - Key owner
+   * @param {string} id - Key ID
+   * @returns {boolean} - False if the user has no such active key
+   */
+  revoke(userId, id) {
+    const record = this.list(userId).find(candidate => candidate.id === id);
+    if (!record) return false;
+
+    record.revokedAt = Date.now();
+    dataStore.persist();
+    return true;
+  }
+
+  /**
+   * Revoke every active key of a user (after a password or email change)
+   * @param {string} userId - Key owner
+   * @returns {number} - Keys revoked
+   */
+  revokeAll(userId) {
+    const now = Date.now();
+    const active = this.list(userId);
+    active.forEach(record => {
+      record.revokedAt = now;
+    });
+    if (active.length > 0) {
+      dataStore.persist();
+    }
+    return active.length;
+  }
+
+  /**
+   * Public view of a key (never includes the key itself)
+   * @param {Object} record - Key record
+   * @returns {Object}
+   */
+  toJSON(record) {
+    return {
+      id: record.id,
+      name: record.name,
+      prefix: record.prefix,
+      scopes: record.scopes,
+      createdAt: new Date(record.createdAt),
+      lastUsedAt: record.lastUsedAt ? new Date(record.lastUsedAt) : null,
+      lastUsedIp: record.lastUsedIp,
+    };
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -76,6 +76,18 @@ class AuthService {
     return authHeader.substring(7); // Remove 'Bearer ' prefix
   }
 
+  /**
+   * Describe the client making a request, for session records
+   * @param {Object} req - Express request object
+   * @returns {Object} - { userAgent, ip }
+   */
+  static getClientInfo(req) {
+    return {
+      userAgent: (req.get('user-agent') || '').slice(0, 256) || null,
+      ip: req.ip || null,
+    };
+  }
+
   /**
    * Validate password strength
    * @param {string} password - Password to validate
@@ -111,15 +123,64 @@ class AuthService {
   }
 
   /**
-   * Generate a refresh token (for future enhancement)
-   * @param {Object} payload - User data to include in token
+   * Generate a refresh token
+   * @param {Object} payload - { userId, jti, familyId }
    * @returns {string} - Refresh token
    */
   static generateRefreshToken(payload) {
-    return jwt.sign(payload, config.jwt.secret + '_refresh', {
-      expiresIn: '7d', // Refresh tokens typically last longer
+    return jwt.sign(payload, config.jwt.refreshSecret, {
+      expiresIn: config.jwt.refreshExpiresIn,
+      issuer: 'news-aggregator-api',
+      audience: 'news-aggregator-refresh',
+    });
+  }
+
+  /**
+   * Verify and decode a refresh token
+   * @param {string} token - Refresh token to verify
+   * @returns {Object} - Decoded token payload
+   * @throws {Error} - If token is invalid or expired
+   */
+  static verifyRefreshToken(token) {
+    try {
+      return jwt.verify(token, config.jwt.refreshSecret, {
+        issuer: 'news-aggregator-api',
+        audience: 'news-aggregator-refresh',
+      });
+    } catch (error) {
+      throw new Error(error.name === 'TokenExpiredError' ? 'Refresh token has expired' : 'Invalid refresh token');
+    }
+  }
+
+  /**
+   * Generate a login challenge token, proving the password step of a 2FA login
+   * @param {Object} payload - { userId, jti }
+   * @returns {string} - Challenge token
+   */
+  static generateChallengeToken(payload) {
+    return jwt.sign(payload, config.jwt.secret, {
+      expiresIn: config.twoFactor.challengeExpiresIn,
+      issuer: 'news-aggregator-api',
+      audience: 'news-aggregator-2fa',
     });
   }
+
+  /**
+   * Verify and decode a login challenge token
+   * @param {string} token - Challenge token to verify
+   * @returns {Object} - Decoded token payload
+   * @throws {Error} - If token is invalid or expired
+   */
+  static verifyChallengeToken(token) {
+    try {
+      return jwt.verify(token, config.jwt.secret, {
+        issuer: 'news-aggregator-api',
+        audience: 'news-aggregator-2fa',
+      });
+    } catch (error) {
+      throw new Error(error.name === 'TokenExpiredError' ? 'Challenge has expired' : 'Invalid challenge token');
+    }
+  }
 }
 
 module.exports = AuthService;
\ No newline at end of file
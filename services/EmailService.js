@@ -0,0 +1,158 @@
+const config = require('../config/config');
+const { createMailer } = require('./mailers');
+
+/**
+ * Email Service
+ * Composes account emails and hands them to the configured mailer (see services/mailers)
+ */
+class EmailService {
+  constructor(mailer = createMailer(config.mail)) {
+    this.mailer = mailer;
+  }
+
+  /**
+   * Send a message; delivery failures are logged rather than thrown so they never
+   * reveal to the caller whether an account exists
+   * @param {Object} message - { to, subject, text }
+   * @returns {Promise<boolean>} - Whether the mailer accepted the message
+   */
+  async send(message) {
+    try {
+      await this.mailer.send(message);
+      return true;
+    } catch (error) {
+      console.error('Email delivery error:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Build an absolute link to the app
+   * @param {string} pathname - Path, e.g. '/reset-password'
+   * @param {Object} params - Query parameters
+   * @returns {string}
+   */
+  link(pathname, params = {}) {
+    const url = new URL(pathname, config.mail.appUrl);
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url.toString();
+  }
+
+  async sendPasswordReset(user, token) {
+    const minutes = Math.round(config.passwordReset.tokenTtlMs / 60000);
+    return this.send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        'Someone asked to reset the password for your News Aggregator account.',
+        `Follow this link within ${minutes} minutes to choose a new one:`,
+        '',
+        this.link('/reset-password', { token }),
+        '',
+        `Or send this token to POST /api/users/password/reset: ${token}`,
+        '',
+        'If you did not ask for this, you can ignore this email.',
+      ].join('\n'),
+    });
+  }
+
+  async sendEmailVerification(user, token) {
+    const hours = Math.round(config.emailVerification.tokenTtlMs / 3600000);
+    return this.send({
+      to: user.email,
+      subject: 'Confirm your email address',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        'Please confirm this email address for your News Aggregator account.',
+        `The link is valid for ${hours} hours:`,
+        '',
+        this.link('/verify-email', { token }),
+        '',
+        `Or send this token to POST /api/users/verify-email: ${token}`,
+      ].join('\n'),
+    });
+  }
+
+  async sendAccountLocked(user, token) {
+    const minutes = Math.round(config.loginLockout.lockoutMs / 60000);
+    return this.send({
+      to: user.email,
+      subject: 'Your account was locked',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        `After too many failed login attempts your News Aggregator account is locked for ${minutes} minutes.`,
+        'If it was you, follow this link to unlock it now:',
+        '',
+        this.link('/unlock', { token }),
+        '',
+        `Or send this token to POST /api/users/unlock: ${token}`,
+        '',
+        'If it was not you, someone may be guessing your password. Consider changing it.',
+      ].join('\n'),
+    });
+  }
+
+  async sendAccountDeletionScheduled(user, token) {
+    return this.send({
+      to: user.email,
+      subject: 'Your account is scheduled for deletion',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        `Your News Aggregator account and all its data will be deleted permanently on ${user.deletionScheduledFor.toUTCString()}.`,
+        'Changed your mind? Follow this link before then to keep your account:',
+        '',
+        this.link('/restore-account', { token }),
+        '',
+        `Or send this token to POST /api/users/account/restore: ${token}`,
+      ].join('\n'),
+    });
+  }
+
+  async sendEmailChanged(user, previousEmail) {
+    return this.send({
+      to: previousEmail,
+      subject: 'Your email address was changed',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        `The email address for your News Aggregator account was changed to ${user.email} and all devices were signed out.`,
+        'If this was not you, contact support immediately.',
+      ].join('\n'),
+    });
+  }
+
+  async sendPasswordChanged(user) {
+    return this.send({
+      to: user.email,
+      subject: 'Your password was changed',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        'The password for your News Aggregator account was just changed and all devices were signed out.',
+        'If this was not you, reset your password immediately.',
+      ].join('\n'),
+    });
+  }
+
+  async sendTwoFactorChanged(user, enabled) {
+    return this.send({
+      to: user.email,
+      subject: enabled ? 'Two-factor authentication enabled' : 'Two-factor authentication disabled',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        enabled
+          ? 'Two-factor authentication was turned on for your News Aggregator account.'
+          : 'Two-factor authentication was turned off for your News Aggregator account.',
+        'If this was not you, reset your password immediately.',
+      ].join('\n'),
+    });
+  }
+}
+
+module.exports = new EmailService();
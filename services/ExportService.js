@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const dataStore = require('../models/DataStore');
+const SessionService = require('./SessionService');
+const ApiKeyService = require('./ApiKeyService');
+const TwoFactorService = require('./TwoFactorService');
+const { createZip } = require('../utils/zip');
+const { toCsv } = require('../utils/csv');
+
+/**
+ * Export Service
+ * Builds a ZIP archive of everything stored about a user (JSON plus CSV).
+ * Small exports are built inline; large ones run as jobs after the response is sent,
+ * with archives kept in memory until they expire (they do not survive a restart).
+ * Jobs run in this process: compression happens off the event loop, but collecting the
+ * data and serializing it to JSON/CSV still run synchronously on it
+ */
+class ExportService {
+  constructor(settings = config.dataExport) {
+    this.settings = settings;
+    this.jobs = new Map(); // job id -> { id, userId, status, createdAt, completedAt, expiresAt, filename, archive, error }
+  }
+
+  /**
+   * Everything stored about a user, as plain data
+   * @param {User} user - User
+   * @returns {Object}
+   */
+  collect(user) {
+    const toDate = (ms) => (ms ? new Date(ms) : null);
+    const articleSummary = (article) => article && {
+      title: article.title,
+      url: article.url,
+      source: article.source,
+      publishedAt: article.publishedAt,
+    };
+
+    const readHistory = Array.from(user.readArticles).map(articleId => ({
+      articleId,
+      readAt: toDate(user.readTimestamps.get(articleId)),
+      ...articleSummary(dataStore.getArticle(articleId)),
+    }));
+
+    const favorites = Array.from(user.favoriteArticles).map(articleId => {
+      const article = dataStore.getArticle(articleId);
+      return {
+        articleId,
+        favoritedAt: toDate(user.favoriteTimestamps.get(articleId)),
+        article: article ? article.toJSON() : null,
+      };
+    });
+
+    const sessions = dataStore.getUserSessions(user.id).map(session => ({
+      ...SessionService.toJSON(session),
+      expiresAt: toDate(session.expiresAt),
+      revokedAt: toDate(session.revokedAt),
+    }));
+
+    const apiKeys = dataStore.getUserApiKeys(user.id).map(record => ({
+      ...ApiKeyService.toJSON(record),
+      revokedAt: toDate(record.revokedAt),
+    }));
+
+    return {
+      exportedAt: new Date(),
+      profile: {
+        ...user.toJSON(),
+        emailVerifiedAt: user.emailVerifiedAt || null,
+        twoFactor: TwoFactorService.getStatus(user),
+      },
+      preferences: user.preferences,
+      readHistory,
+      favorites,
+      sessions,
+      apiKeys,
+    };
+  }
+
+  /**
+   * Build the archive for a user
+   * @param {User} user - User
+   * @returns {Promise<Object>} - { filename, archive }
+   */
+  async buildArchive(user) {
+    const data = this.collect(user);
+
+    const favoriteRows = data.favorites.map(({ articleId, favoritedAt, article }) => ({
+      articleId,
+      favoritedAt,
+      ...(article && {
+        title: article.title,
+        url: article.url,
+        source: article.source,
+        publishedAt: article.publishedAt,
+      }),
+    }));
+
+    const archive = await createZip([
+      { name: 'export.json', content: JSON.stringify(data, null, 2) },
+      { name: 'profile.json', content: JSON.stringify(data.profile, null, 2) },
+      { name: 'preferences.json', content: JSON.stringify(data.preferences, null, 2) },
+      {
+        name: 'read_history.csv',
+        content: toCsv(['articleId', 'readAt', 'title', 'url', 'source', 'publishedAt'], data.readHistory),
+      },
+      {
+        name: 'favorites.csv',
+        content: toCsv(['articleId', 'favoritedAt', 'title', 'url', 'source', 'publishedAt'], favoriteRows),
+      },
+      {
+        name: 'sessions.csv',
+        content: toCsv(['id', 'userAgent', 'ip', 'createdAt', 'lastSeenAt', 'expiresAt', 'revokedAt'], data.sessions),
+      },
+      {
+        name: 'api_keys.csv',
+        content: toCsv(['id', 'name', 'prefix', 'scopes', 'createdAt', 'lastUsedAt', 'lastUsedIp', 'revokedAt'],
+          data.apiKeys.map(key => ({ ...key, scopes: key.scopes.join(' ') }))),
+      },
+    ], data.exportedAt);
+
+    const date = data.exportedAt.toISOString().slice(0, 10);
+    return { filename: `news-aggregator-export-${date}.zip`, archive };
+  }
+
+  /**
+   * Whether an export is big enough to run as a background job
+   * @param {User} user - User
+   * @returns {boolean}
+   */
+  isLarge(user) {
+    const records = user.readArticles.size
+      + user.favoriteArticles.size
+      + dataStore.getUserSessions(user.id).length;
+    return records > this.settings.syncMaxRecords;
+  }
+
+  /**
+   * Start an export job; a job already queued or running for the user is reused
+   * @param {User} user - User
+   * @returns {Object} - Job
+   */
+  createJob(user) {
+    this.pruneJobs();
+
+    const active = Array.from(this.jobs.values())
+      .find(job => job.userId === user.id && (job.status === 'pending' || job.status === 'processing'));
+    if (active) return active;
+
+    const job = {
+      id: crypto.randomUUID(),
+      userId: user.id,
+      status: 'pending',
+      createdAt: Date.now(),
+      completedAt: null,
+      expiresAt: null,
+      filename: null,
+      archive: null,
+      error: null,
+    };
+    this.jobs.set(job.id, job);
+
+    setImmediate(() => this.runJob(job));
+    return job;
+  }
+
+  async runJob(job) {
+    job.status = 'processing';
+    try {
+      const user = dataStore.getUserById(job.userId);
+      if (!user) {
+        throw new Error('User no longer exists');
+      }
+      Object.assign(job, await this.buildArchive(user), { status: 'completed' });
+    } catch (error) {
+      console.error(`Export job ${job.id} failed:`, error.message);
+      job.status = 'failed';
+      job.error = error.message;
+    }
+    job.completedAt = Date.now();
+    job.expiresAt = job.completedAt + this.settings.jobTtlMs;
+  }
+
+  /**
+   * A user's job, if it exists and has not expired
+   * @param {string} userId - Job owner
+   * @param {string} id - Job ID
+   * @returns {Object|null}
+   */
+  getJob(userId, id) {
+    this.pruneJobs();
+    const job = this.jobs.get(id);
+    return job && job.userId === userId ? job : null;
+  }
+
+  pruneJobs() {
+    const now = Date.now();
+    this.jobs.forEach((job, id) => {
+      if (job.expiresAt && job.expiresAt <= now) {
+        this.jobs.delete(id);
+      }
+    });
+  }
+
+  /**
+   * Public view of a job
+   * @param {Object} job - Job
+   * @returns {Object}
+   */
+  toJSON(job) {
+    const statusUrl = `/api/users/export/jobs/${job.id}`;
+    return {
+      id: job.id,
+      status: job.status,
+      createdAt: new Date(job.createdAt),
+      completedAt: job.completedAt ? new Date(job.completedAt) : null,
+      expiresAt: job.expiresAt ? new Date(job.expiresAt) : null,
+      size: job.archive ? job.archive.length : null,
+      error: job.error,
+      statusUrl,
+      downloadUrl: job.status === 'completed' ? `${statusUrl}/download` : null,
+    };
+  }
+}
+
+module.exports = new ExportService();
@@ -0,0 +1,118 @@
+const config = require('../config/config');
+const NewsService = require('./NewsService');
+const IngestionScheduler = require('./IngestionScheduler');
+const dataStore = require('../models/DataStore');
+const Preferences = require('../models/Preferences');
+const { encodeCursor, decodeCursor, compareFeedOrder } = require('../utils/cursor');
+
+/**
+ * Feed Service
+ * Pages through the personalized feed in a stable order (newest first, ties by ID).
+ * Pages are read from the stored corpus; when it runs out, further upstream pages are
+ * pulled into the corpus on demand. Because an article's position depends only on its
+ * publish date and ID, articles arriving between requests never shift later pages
+ */
+class FeedService {
+  constructor(settings = config.feed) {
+    this.settings = settings;
+  }
+
+  /**
+   * Get one page of the feed
+   * @param {Object} options - { preferences, limit, cursor, page }
+   *   preferences is a preferences object (see models/Preferences) or category array;
+   *   cursor continues after a previous page; page (1-based) is the offset-based fallback
+   * @returns {Promise<Object>} - { articles, nextCursor }
+   * @throws {InvalidCursorError} - If the cursor is malformed or belongs to another feed
+   */
+  async getFeedPage({ preferences = ['general'], limit = 20, cursor = null, page = 1 }) {
+    const { categories, languages, countries, sources, keywords } = Preferences.forFeed(preferences);
+    const filters = { sources, keywords };
+    const feed = {
+      categories: categories.slice().sort(),
+      languages: languages.slice().sort(),
+      ...(countries.length > 0 && { countries: countries.slice().sort() }),
+      ...(Preferences.hasFilters(filters) && filters),
+    };
+    let position = null;
+    let upstreamPage = 1;
+
+    if (cursor) {
+      const decoded = decodeCursor(cursor, feed);
+      position = { publishedAt: decoded.publishedAt, id: decoded.id };
+      upstreamPage = decoded.upstreamPage;
+    }
+
+    const offset = position ? 0 : (page - 1) * limit;
+    // One extra article tells whether another page exists
+    const needed = offset + limit + 1;
+
+    const readCorpus = () => dataStore.getLatestArticles({ categories, languages, countries, after: position })
+      .filter(article => Preferences.matches(article, filters));
+
+    // Corpus not populated yet (first run pending or ingestion disabled), or languages and
+    // countries beyond the ingestion caps: fetch inline, relying on the provider cache
+    const ingested = IngestionScheduler.isRunning() && IngestionScheduler.covers(languages, countries);
+    if (!position && (!ingested || readCorpus().length === 0)) {
+      // Only real upstream articles go into the corpus, never the mock fallback
+      const articles = await NewsService.fetchHeadlines(categories, languages, this.getUpstreamPageSize(), {
+        country: countries,
+      });
+
+      // Upsert so refetched stories resolve to the records users already marked
+      dataStore.storeArticles(articles);
+    }
+
+    let candidates = readCorpus();
+
+    // Dig deeper upstream until the page can be filled or providers run dry
+    while (candidates.length < needed && upstreamPage < this.settings.maxUpstreamPages) {
+      upstreamPage++;
+      // Unfiltered, so an upstream page full of excluded articles does not look like the end
+      const articles = await NewsService.fetchHeadlines(categories, languages, this.getUpstreamPageSize(), {
+        country: countries,
+        page: upstreamPage,
+      });
+
+      if (articles.length === 0) {
+        // Remember that upstream is exhausted so later pages do not ask again
+        upstreamPage = this.settings.maxUpstreamPages;
+        break;
+      }
+
+      dataStore.storeArticles(articles);
+      candidates = readCorpus();
+    }
+
+    // No providers configured (or all failing) and nothing stored: show mock articles,
+    // which are served as-is and never stored
+    if (candidates.length === 0 && !position) {
+      const mock = NewsService.getMockArticles(categories)
+        .filter(article => Preferences.matches(article, filters));
+      return { articles: mock.slice(offset, offset + limit), nextCursor: null };
+    }
+
+    // Near-duplicates can arrive in different ingestion runs, so collapse them here too
+    const window = candidates.slice(0, needed + limit);
+    const unique = NewsService.removeDuplicates(window).sort(compareFeedOrder);
+    const articles = unique.slice(offset, offset + limit);
+    const hasMore = unique.length > offset + limit || candidates.length > window.length;
+
+    const last = articles[articles.length - 1];
+    const nextCursor = hasMore && last
+      ? encodeCursor({ publishedAt: last.publishedAt, id: last.id, upstreamPage, feed })
+      : null;
+
+    return { articles, nextCursor };
+  }
+
+  /**
+   * Upstream page size; matches ingestion so page 2 continues where ingestion stopped
+   * @returns {number}
+   */
+  getUpstreamPageSize() {
+    return config.ingestion.pageSize;
+  }
+}
+
+module.exports = new FeedService();
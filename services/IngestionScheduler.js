@@ -0,0 +1,244 @@
+const config = require('../config/config');
+const NewsService = require('./NewsService');
+const dataStore = require('../models/DataStore');
+
+/**
+ * Ingestion Scheduler
+ * Periodically pulls headlines for every configured category/language/country from the
+ * active providers into the DataStore, so feeds are served from the stored corpus
+ * instead of calling upstream APIs on each request
+ */
+class IngestionScheduler {
+  constructor(settings = config.ingestion) {
+    this.settings = settings;
+    this.timer = null;
+    this.currentRun = null;
+    this.startedAt = null;
+    this.runCount = 0;
+    this.lastRun = null;
+    this.jobs = new Map();
+    this.coverage = null;
+  }
+
+  /**
+   * Languages to ingest: the configured ones plus, unless disabled, the supported
+   * languages found in user preferences, most common first, up to settings.maxLanguages
+   * @returns {Array<string>}
+   */
+  getLanguages() {
+    const wanted = this.settings.includeUserLanguages
+      ? dataStore.getAllUsers().map(user => user.preferences.languages
+        .filter(language => config.languages.supported.includes(language)))
+      : [];
+
+    return this.selectMostWanted(this.settings.languages, wanted, this.settings.maxLanguages);
+  }
+
+  /**
+   * Countries to ingest besides the global headlines: the configured ones plus, unless
+   * disabled, users' home and followed countries, most common first, up to
+   * settings.maxCountries. Feeds for countries left out are fetched on demand by FeedService
+   * @returns {Array<string>}
+   */
+  getCountries() {
+    const wanted = this.settings.includeUserCountries
+      ? dataStore.getAllUsers().map(({ preferences }) => [preferences.homeCountry, ...preferences.countries]
+        .filter(Boolean))
+      : [];
+
+    return this.selectMostWanted(this.settings.countries, wanted, this.settings.maxCountries);
+  }
+
+  /**
+   * Configured values first, then user values by how many users want them
+   * @param {Array<string>} configured - Values from the settings
+   * @param {Array<Array<string>>} wanted - Each user's values
+   * @param {number} max - Maximum number of values returned
+   * @returns {Array<string>}
+   */
+  selectMostWanted(configured, wanted, max) {
+    const counts = new Map();
+    wanted.forEach(values => {
+      new Set(values).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    });
+    const popular = Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a));
+
+    return Array.from(new Set([...configured, ...popular])).slice(0, max);
+  }
+
+  /**
+   * Build the category/language/country jobs that make up one run
+   * @returns {Array<Object>} - [{ key, category, language, country }], country null for global headlines
+   */
+  getJobs() {
+    const categories = this.settings.categories.length > 0
+      ? this.settings.categories
+      : config.defaultPreferences.categories;
+    const languages = this.getLanguages();
+    const countries = [null, ...this.getCountries()];
+
+    const jobs = [];
+    categories.forEach(category => {
+      languages.forEach(language => {
+        countries.forEach(country => {
+          const key = country ? `${category}_${language}_${country}` : `${category}_${language}`;
+          jobs.push({ key, category, language, country });
+        });
+      });
+    });
+    return jobs;
+  }
+
+  /**
+   * Start periodic ingestion; the first run begins immediately
+   */
+  start() {
+    if (this.timer) return;
+
+    this.startedAt = new Date();
+    this.timer = setInterval(() => this.runOnce(), this.settings.intervalMs);
+    this.timer.unref();
+
+    this.runOnce();
+  }
+
+  /**
+   * Stop periodic ingestion; a run already in progress finishes on its own
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  isRunning() {
+    return this.timer !== null;
+  }
+
+  /**
+   * Whether the latest run ingests every given language and country
+   * @param {Array<string>} languages - Language codes
+   * @param {Array<string>} countries - Country codes (empty: global headlines only)
+   * @returns {boolean}
+   */
+  covers(languages, countries) {
+    if (!this.coverage) return false;
+    return languages.every(language => this.coverage.languages.has(language)) &&
+      countries.every(country => this.coverage.countries.has(country));
+  }
+
+  /**
+   * Run every job once; concurrent calls share the run already in progress
+   * @returns {Promise<Object>} - Summary of the run
+   */
+  runOnce() {
+    if (!this.currentRun) {
+      this.currentRun = this.executeRun().finally(() => {
+        this.currentRun = null;
+      });
+    }
+    return this.currentRun;
+  }
+
+  async executeRun() {
+    const startedAt = new Date();
+    const summary = {
+      startedAt,
+      finishedAt: null,
+      durationMs: 0,
+      jobs: 0,
+      failedJobs: 0,
+      articlesStored: 0,
+      skipped: false,
+    };
+
+    // Nothing to ingest without an active provider; avoid logging every job as failed
+    if (NewsService.providers.getActive().length === 0) {
+      summary.skipped = true;
+      summary.reason = 'No active news providers';
+    } else {
+      const jobs = this.getJobs();
+      this.coverage = {
+        languages: new Set(jobs.map(job => job.language)),
+        countries: new Set(jobs.map(job => job.country).filter(Boolean)),
+      };
+
+      // Jobs run one after another to stay inside provider rate limits
+      for (const job of jobs) {
+        const result = await this.runJob(job);
+        summary.jobs++;
+        summary.articlesStored += result.stored;
+        if (result.error) {
+          summary.failedJobs++;
+        }
+      }
+    }
+
+    summary.finishedAt = new Date();
+    summary.durationMs = summary.finishedAt - startedAt;
+
+    this.runCount++;
+    this.lastRun = summary;
+    return summary;
+  }
+
+  /**
+   * Fetch and store one category/language/country combination
+   * @param {Object} job - { key, category, language, country }
+   * @returns {Promise<Object>} - Per-job status
+   */
+  async runJob({ key, category, language, country = null }) {
+    const previous = this.jobs.get(key) || {};
+    const startedAt = Date.now();
+    const status = {
+      category,
+      language,
+      country,
+      lastRunAt: new Date(startedAt),
+      lastSuccessAt: previous.lastSuccessAt || null,
+      durationMs: 0,
+      fetched: 0,
+      stored: 0,
+      error: null,
+    };
+
+    try {
+      const articles = await NewsService.fetchHeadlines(
+        [category],
+        language,
+        this.settings.pageSize,
+        { refresh: true, country }
+      );
+      status.fetched = articles.length;
+      status.stored = dataStore.storeArticles(articles).length;
+      status.lastSuccessAt = new Date();
+    } catch (error) {
+      console.error(`Ingestion job ${key} failed:`, error.message);
+      status.error = error.message;
+    }
+
+    status.durationMs = Date.now() - startedAt;
+    this.jobs.set(key, status);
+    return status;
+  }
+
+  /**
+   * Describe the scheduler state, the last run and per-job timings
+   * @returns {Object} - Status report
+   */
+  getStatus() {
+    return {
+      enabled: this.settings.enabled,
+      running: this.isRunning(),
+      inProgress: this.currentRun !== null,
+      intervalMs: this.settings.intervalMs,
+      startedAt: this.startedAt,
+      runCount: this.runCount,
+      lastRun: this.lastRun,
+      jobs: Array.from(this.jobs.values()),
+    };
+  }
+}
+
+module.exports = new IngestionScheduler();
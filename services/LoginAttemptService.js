@@ -0,0 +1,127 @@
+const dataStore = require('../models/DataStore');
+const config = require('../config/config');
+
+/**
+ * Login Attempt Service
+ * Per-account brute-force protection, independent of the client IP. After a few
+ * failures every further attempt has to wait a doubling delay, and too many failures
+ * lock the account for a while. Attempts are keyed by email whether or not the
+ * account exists, so responses do not reveal which emails are registered
+ */
+class LoginAttemptService {
+  constructor(options = config.loginLockout) {
+    this.options = options;
+  }
+
+  normalize(email) {
+    return String(email).toLowerCase().trim();
+  }
+
+  /**
+   * Current failure record for an email, dropping it once it no longer applies
+   * @param {string} email - Email
+   * @returns {Object|null}
+   */
+  getRecord(email) {
+    const key = this.normalize(email);
+    const record = dataStore.getLoginAttempts(key);
+    if (!record) return null;
+
+    const now = Date.now();
+    const lockExpired = record.lockedUntil && record.lockedUntil <= now;
+    const stale = !record.lockedUntil && record.lastFailureAt + this.options.failureWindowMs <= now;
+    if (lockExpired || stale) {
+      dataStore.clearLoginAttempts(key);
+      return null;
+    }
+    return record;
+  }
+
+  /**
+   * Whether a login attempt may be evaluated right now
+   * @param {string} email - Email being logged into
+   * @returns {Object} - { allowed, locked, retryAfterMs }
+   */
+  check(email) {
+    const record = this.getRecord(email);
+    const now = Date.now();
+
+    if (record && record.lockedUntil) {
+      return { allowed: false, locked: true, retryAfterMs: record.lockedUntil - now };
+    }
+    if (record && record.retryAt > now) {
+      return { allowed: false, locked: false, retryAfterMs: record.retryAt - now };
+    }
+    return { allowed: true, locked: false, retryAfterMs: 0 };
+  }
+
+  /**
+   * Record a failed attempt (wrong password or second factor)
+   * @param {string} email - Email being logged into
+   * @returns {Object} - { locked: true if this failure locked the account, retryAfterMs }
+   */
+  recordFailure(email) {
+    const key = this.normalize(email);
+    const now = Date.now();
+    const previous = this.getRecord(key);
+    const failures = (previous ? previous.failures : 0) + 1;
+
+    dataStore.pruneLoginAttempts(now - this.options.failureWindowMs);
+
+    const record = {
+      email: key,
+      failures,
+      lastFailureAt: now,
+      retryAt: now + this.getDelay(failures),
+      lockedUntil: failures >= this.options.maxFailures ? now + this.options.lockoutMs : null,
+    };
+    dataStore.saveLoginAttempts(record);
+
+    return {
+      locked: Boolean(record.lockedUntil),
+      retryAfterMs: (record.lockedUntil || record.retryAt) - now,
+    };
+  }
+
+  /**
+   * Wait required after a number of failures
+   * @param {number} failures - Consecutive failures
+   * @returns {number} - Delay in milliseconds
+   */
+  getDelay(failures) {
+    const delayed = failures - this.options.freeAttempts;
+    if (delayed <= 0) return 0;
+    return Math.min(this.options.baseDelayMs * 2 ** (delayed - 1), this.options.maxDelayMs);
+  }
+
+  /**
+   * Forget failures after a successful login
+   * @param {string} email - Email
+   */
+  recordSuccess(email) {
+    dataStore.clearLoginAttempts(this.normalize(email));
+  }
+
+  /**
+   * Lift a lockout (unlock link or admin)
+   * @param {string} email - Email
+   * @returns {boolean} - Whether the account was locked
+   */
+  unlock(email) {
+    const record = this.getRecord(email);
+    dataStore.clearLoginAttempts(this.normalize(email));
+    return Boolean(record && record.lockedUntil);
+  }
+
+  /**
+   * When an account's lockout ends
+   * @param {string} email - Email
+   * @returns {Date|null} - Null if the account is not locked
+   */
+  getLockedUntil(email) {
+    const record = this.getRecord(email);
+    return record && record.lockedUntil ? new Date(record.lockedUntil) : null;
+  }
+}
+
+module.exports = new LoginAttemptService();
@@ -1,208 +1,121 @@
-const axios = require('axios');
 const NodeCache = require('node-cache');
 const config = require('../config/config');
 const Article = require('../models/Article');
+const Preferences = require('../models/Preferences');
+const providerRegistry = require('./providers');
+const { createSignature, compareSignatures } = require('../utils/similarity');
+const { parseQuery, createMatcher, createFilter, toProviderQuery } = require('../utils/queryParser');
 
 /**
  * News Service for fetching articles from external APIs
- * Implements caching and error handling
+ * Providers are pluggable adapters (see services/providers); this service
+ * handles caching, budget splitting, aggregation and error handling
  */
 class NewsService {
-  constructor() {
+  constructor(providers = providerRegistry) {
     // Initialize cache with TTL
     this.cache = new NodeCache({ stdTTL: config.cache.ttl });
-    
-    // Set up axios defaults
-    this.axiosConfig = {
-      timeout: 10000, // 10 second timeout
-      headers: {
-        'User-Agent': 'News-Aggregator-API/1.0',
-      },
-    };
+    this.providers = providers;
   }
 
   /**
-   * Fetch news from NewsAPI
+   * Fetch top headlines from a single provider for several categories
+   * @param {BaseProvider} provider - Provider adapter
    * @param {Array} categories - News categories
    * @param {string} language - Language code
-   * @param {number} pageSize - Number of articles to fetch
+   * @param {number} pageSize - Number of articles to fetch per category
+   * @param {Object} options - { refresh: skip cached results and refetch, page: upstream page number,
+   *   country: ISO 3166-1 alpha-2 code, or null for global headlines }
    * @returns {Promise<Array>} - Array of articles
    */
-  async fetchFromNewsAPI(categories = ['general'], language = 'en', pageSize = 20) {
-    if (!config.newsApi.newsApiKey) {
-      console.warn('NewsAPI key not configured');
+  async fetchFromProvider(provider, categories = ['general'], language = 'en', pageSize = 20, options = {}) {
+    if (!provider.isConfigured()) {
+      console.warn(`${provider.displayName} is not configured`);
+      return [];
+    }
+
+    const page = options.page || 1;
+    const country = options.country || null;
+    if (page > 1 && !provider.limits.supportsPaging) {
       return [];
     }
 
     try {
       const articles = [];
-      
+
       for (const category of categories) {
-        const cacheKey = `newsapi_${category}_${language}_${pageSize}`;
-        let cachedArticles = this.cache.get(cacheKey);
-        
+        const cacheKey = `${provider.name}_${category}_${language}_${country || 'global'}_${pageSize}_${page}`;
+        let cachedArticles = options.refresh ? null : this.cache.get(cacheKey);
+
         if (cachedArticles) {
           articles.push(...cachedArticles);
           continue;
         }
 
-        const url = `${config.newsApiUrls.newsApi}/top-headlines`;
-        const params = {
-          apiKey: config.newsApi.newsApiKey,
-          category: category,
-          language: language,
-          pageSize: Math.min(pageSize, 100), // NewsAPI limit
-        };
-
-        const response = await axios.get(url, { 
-          ...this.axiosConfig, 
-          params 
-        });
+        const formattedArticles = await provider.fetchHeadlines({ category, language, country, pageSize, page });
 
-        if (response.data && response.data.articles) {
-          const formattedArticles = response.data.articles
-            .filter(article => article.title && article.url)
-            .map(article => Article.fromNewsAPI(article, category));
-          
-          this.cache.set(cacheKey, formattedArticles);
-          articles.push(...formattedArticles);
-        }
+        this.cache.set(cacheKey, formattedArticles);
+        articles.push(...formattedArticles);
       }
 
       return articles;
     } catch (error) {
-      console.error('NewsAPI fetch error:', error.message);
+      console.error(`${provider.displayName} fetch error:`, error.message);
       return [];
     }
   }
 
   /**
-   * Fetch news from GNews
-   * @param {Array} categories - News categories
-   * @param {string} language - Language code
-   * @param {number} max - Maximum articles to fetch
+   * Search news articles upstream
+   * Active providers are queried in configured order until enough results are collected.
+   * The query is translated to each provider's boolean syntax; what providers cannot
+   * express (field filters, date range, language) is applied locally to the results
+   * @param {string|Object} query - Query text or result of parseQuery
+   * @param {Object} options - { language, pageSize, from, to, sortBy }
+   *   language is a code, an array of codes or null for every language
    * @returns {Promise<Array>} - Array of articles
+   * @throws {QuerySyntaxError} - If query text is malformed
    */
-  async fetchFromGNews(categories = ['general'], language = 'en', max = 20) {
-    if (!config.newsApi.gnewsApiKey) {
-      console.warn('GNews API key not configured');
-      return [];
-    }
-
-    try {
-      const articles = [];
-      
-      for (const category of categories) {
-        const cacheKey = `gnews_${category}_${language}_${max}`;
-        let cachedArticles = this.cache.get(cacheKey);
-        
-        if (cachedArticles) {
-          articles.push(...cachedArticles);
-          continue;
-        }
-
-        const url = `${config.newsApiUrls.gnews}/top-headlines`;
-        const params = {
-          token: config.newsApi.gnewsApiKey,
-          category: category,
-          lang: language,
-          max: Math.min(max, 100), // GNews limit
-        };
-
-        const response = await axios.get(url, { 
-          ...this.axiosConfig, 
-          params 
-        });
+  async searchNews(query, { language = null, pageSize = 20, from = null, to = null, sortBy = 'date' } = {}) {
+    const parsed = typeof query === 'string' ? parseQuery(query) : query;
+    const providerQuery = toProviderQuery(parsed.ast);
 
-        if (response.data && response.data.articles) {
-          const formattedArticles = response.data.articles
-            .filter(article => article.title && article.url)
-            .map(article => Article.fromGNews(article, category));
-          
-          this.cache.set(cacheKey, formattedArticles);
-          articles.push(...formattedArticles);
-        }
-      }
-
-      return articles;
-    } catch (error) {
-      console.error('GNews fetch error:', error.message);
+    // Nothing providers can search for (e.g. only field filters)
+    if (!providerQuery) {
       return [];
     }
-  }
 
-  /**
-   * Search news articles by keyword
-   * @param {string} keyword - Search keyword
-   * @param {string} language - Language code
-   * @param {number} pageSize - Number of articles
-   * @returns {Promise<Array>} - Array of articles
-   */
-  async searchNews(keyword, language = 'en', pageSize = 20) {
-    const cacheKey = `search_${keyword}_${language}_${pageSize}`;
+    // Providers take a single language; several are searched together and filtered locally
+    const languages = language ? [].concat(language) : [];
+    const providerLanguage = languages.length === 1 ? languages[0] : null;
+
+    const cacheKey = ['search', parsed.text, languages.join(','), from && from.toISOString(), to && to.toISOString(), sortBy, pageSize].join('_');
     let cachedResults = this.cache.get(cacheKey);
     
     if (cachedResults) {
       return cachedResults;
     }
 
+    const matches = createMatcher(parsed.ast);
+    const passesFilters = createFilter({ language, from, to });
     const articles = [];
 
-    // Search using NewsAPI if available
-    if (config.newsApi.newsApiKey) {
-      try {
-        const url = `${config.newsApiUrls.newsApi}/everything`;
-        const params = {
-          apiKey: config.newsApi.newsApiKey,
-          q: keyword,
-          language: language,
-          pageSize: Math.min(pageSize, 100),
-          sortBy: 'publishedAt',
-        };
-
-        const response = await axios.get(url, { 
-          ...this.axiosConfig, 
-          params 
-        });
-
-        if (response.data && response.data.articles) {
-          const formattedArticles = response.data.articles
-            .filter(article => article.title && article.url)
-            .map(article => Article.fromNewsAPI(article, 'search'));
-          
-          articles.push(...formattedArticles);
-        }
-      } catch (error) {
-        console.error('NewsAPI search error:', error.message);
-      }
-    }
+    for (const provider of this.providers.getActive()) {
+      if (articles.length >= pageSize) break;
+      if (!provider.limits.supportsSearch) continue;
 
-    // Search using GNews if available
-    if (config.newsApi.gnewsApiKey && articles.length < pageSize) {
       try {
-        const url = `${config.newsApiUrls.gnews}/search`;
-        const params = {
-          token: config.newsApi.gnewsApiKey,
-          q: keyword,
-          lang: language,
-          max: Math.min(pageSize - articles.length, 100),
-          sortby: 'publishdate',
-        };
-
-        const response = await axios.get(url, { 
-          ...this.axiosConfig, 
-          params 
+        const formattedArticles = await provider.search({
+          query: providerQuery,
+          language: providerLanguage,
+          pageSize: pageSize - articles.length,
+          from,
+          to,
+          sortBy,
         });
-
-        if (response.data && response.data.articles) {
-          const formattedArticles = response.data.articles
-            .filter(article => article.title && article.url)
-            .map(article => Article.fromGNews(article, 'search'));
-          
-          articles.push(...formattedArticles);
-        }
+        articles.push(...formattedArticles.filter(article => passesFilters(article) && matches(article)));
       } catch (error) {
-        console.error('GNews search error:', error.message);
+        console.error(`${provider.displayName} search error:`, error.message);
       }
     }
 
@@ -211,61 +124,174 @@ class NewsService {
     return articles;
   }
 
+  /**
+   * Order search results
+   * @param {Array} articles - Articles to order
+   * @param {string} sortBy - 'relevance', 'date' or 'popularity'
+   * @param {Function} getRelevance - (article) => relevance score
+   * @returns {Array} - Sorted copy
+   */
+  rankSearchResults(articles, sortBy = 'relevance', getRelevance = () => 0) {
+    const byDate = (a, b) => new Date(b.publishedAt) - new Date(a.publishedAt);
+    const relevance = new Map(articles.map(article => [article.id, getRelevance(article)]));
+
+    // Popularity is approximated by how many outlets covered the story
+    const coverage = (article) => (article.alternateSources || []).length;
+
+    const comparators = {
+      relevance: (a, b) => relevance.get(b.id) - relevance.get(a.id) || byDate(a, b),
+      date: byDate,
+      popularity: (a, b) => coverage(b) - coverage(a) || relevance.get(b.id) - relevance.get(a.id) || byDate(a, b),
+    };
+
+    return articles.slice().sort(comparators[sortBy] || comparators.relevance);
+  }
+
+  /**
+   * Fetch headlines from every active provider, each with its weighted share of the limit
+   * Unlike getPersonalizedNews this never substitutes mock data
+   * @param {Array} categories - News categories
+   * @param {string|Array} language - Language code, or several (each gets the full budget)
+   * @param {number} limit - Article budget shared between providers
+   * @param {Object} options - Passed to fetchFromProvider; options.country may also be an
+   *   array, fetching each country like each language
+   * @returns {Promise<Array>} - Deduplicated articles, newest first
+   */
+  async fetchHeadlines(categories = ['general'], language = 'en', limit = 50, options = {}) {
+    const allocation = this.providers.allocate(limit);
+    const countries = [].concat(options.country || []);
+    if (countries.length === 0) {
+      countries.push(null); // Global headlines
+    }
+
+    const requests = [];
+    [].concat(language).forEach(code => {
+      countries.forEach(country => {
+        allocation.forEach(({ provider, pageSize }) => {
+          requests.push(this.fetchFromProvider(provider, categories, code, pageSize, { ...options, country }));
+        });
+      });
+    });
+    const results = await Promise.all(requests);
+
+    // Results keep provider priority order, so deduplication favours higher-priority providers
+    const allArticles = [];
+    results.forEach(articles => allArticles.push(...articles));
+
+    const uniqueArticles = this.removeDuplicates(allArticles);
+    uniqueArticles.sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+    return uniqueArticles;
+  }
+
   /**
    * Get aggregated news based on user preferences
-   * @param {Array} preferences - User preferences
-   * @param {string} language - Language code
+   * @param {Object|Array} preferences - Preferences object (see models/Preferences) or category array
    * @param {number} limit - Maximum articles to return
-   * @returns {Promise<Array>} - Array of articles
+   * @returns {Promise<Array>} - Array of articles matching the source and keyword filters
    */
-  async getPersonalizedNews(preferences = ['general'], language = 'en', limit = 50) {
-    try {
-      const allArticles = [];
+  async getPersonalizedNews(preferences = ['general'], limit = 50) {
+    const feed = Preferences.forFeed(preferences);
+    const matching = articles => articles.filter(article => Preferences.matches(article, feed));
 
-      // Fetch from multiple sources
-      const [newsApiArticles, gnewsArticles] = await Promise.all([
-        this.fetchFromNewsAPI(preferences, language, Math.ceil(limit / 2)),
-        this.fetchFromGNews(preferences, language, Math.ceil(limit / 2)),
-      ]);
-
-      allArticles.push(...newsApiArticles, ...gnewsArticles);
+    try {
+      const articles = await this.fetchHeadlines(feed.categories, feed.languages, limit, { country: feed.countries });
 
       // If no articles from external APIs, use mock data for testing
-      if (allArticles.length === 0) {
+      if (articles.length === 0) {
         console.log('No external API articles found, returning mock data for testing');
-        const mockArticles = this.getMockArticles(preferences);
-        allArticles.push(...mockArticles);
+        return matching(this.getMockArticles(feed.categories)).slice(0, limit);
       }
 
-      // Remove duplicates based on URL
-      const uniqueArticles = this.removeDuplicates(allArticles);
-
-      // Sort by publish date (newest first)
-      uniqueArticles.sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
-
-      // Limit results
-      return uniqueArticles.slice(0, limit);
+      return matching(articles).slice(0, limit);
     } catch (error) {
       console.error('Get personalized news error:', error);
       // Return mock data as fallback
-      return this.getMockArticles(preferences).slice(0, limit);
+      return matching(this.getMockArticles(feed.categories)).slice(0, limit);
     }
   }
 
   /**
-   * Remove duplicate articles based on URL
-   * @param {Array} articles - Array of articles
+   * Remove duplicate articles
+   * Exact duplicates share an ID (derived from the canonical URL). Near-duplicates are the
+   * same story under different URLs, detected by title/description similarity; each group
+   * keeps its most complete article, which lists the others in `alternateSources`
+   * @param {Array} articles - Array of articles, highest-priority provider first
    * @returns {Array} - Deduplicated articles
    */
   removeDuplicates(articles) {
-    const seen = new Set();
-    return articles.filter(article => {
-      if (seen.has(article.url)) {
-        return false;
+    const threshold = config.deduplication.similarityThreshold;
+    const seen = new Map();
+    const groups = [];
+
+    articles.forEach((article, index) => {
+      if (seen.has(article.id)) {
+        // The same article fetched for another country keeps both tags
+        (article.countries || []).forEach(country => seen.get(article.id).addCountry(country));
+        return;
       }
-      seen.add(article.url);
-      return true;
+      seen.set(article.id, article);
+
+      const signature = createSignature(article);
+      const group = groups.find(candidate =>
+        compareSignatures(candidate.signature, signature) >= threshold
+      );
+
+      if (group) {
+        group.members.push({ article, index });
+      } else {
+        groups.push({ signature, members: [{ article, index }] });
+      }
+    });
+
+    return groups.map(group => this.pickRepresentative(group.members));
+  }
+
+  /**
+   * Choose the article to keep from a group of near-duplicates
+   * @param {Array} members - [{ article, index }] in input order
+   * @returns {Article} - The kept article, with the others as alternate sources
+   */
+  pickRepresentative(members) {
+    if (members.length === 1) {
+      return members[0].article;
+    }
+
+    // Most complete article wins; ties go to the earlier (higher-priority) one
+    const [best, ...others] = members
+      .slice()
+      .sort((a, b) => this.scoreArticle(b.article) - this.scoreArticle(a.article) || a.index - b.index)
+      .map(member => member.article);
+
+    const alternates = [];
+    others.forEach(article => {
+      alternates.push({ source: article.source, url: article.url, articleId: article.id });
+      alternates.push(...(article.alternateSources || []));
+      (article.countries || []).forEach(country => best.addCountry(country));
     });
+
+    return best.addAlternateSources(alternates);
+  }
+
+  /**
+   * Score how complete an article is
+   * @param {Article} article - Article to score
+   * @returns {number} - Higher is better
+   */
+  scoreArticle(article) {
+    let score = 0;
+    if (article.description) score += 2 + Math.min(article.description.length, 300) / 300;
+    if (article.urlToImage) score += 1;
+    if (article.content) score += 1;
+    if (article.author) score += 0.5;
+    return score;
+  }
+
+  /**
+   * Describe registered providers and whether they are active
+   * @returns {Array<Object>} - Provider descriptions
+   */
+  getProviderStatus() {
+    return this.providers.describe();
   }
 
   /**
@@ -280,6 +306,22 @@ class NewsService {
     };
   }
 
+  /**
+   * List cached entries
+   * @returns {Array<Object>} - [{ key, items, expiresAt }]
+   */
+  inspectCache() {
+    return this.cache.keys().map(key => {
+      const value = this.cache.get(key);
+      const ttl = this.cache.getTtl(key);
+      return {
+        key,
+        items: Array.isArray(value) ? value.length : null,
+        expiresAt: ttl ? new Date(ttl) : null,
+      };
+    });
+  }
+
   /**
    * Clear cache
    */
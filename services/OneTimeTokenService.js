@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const dataStore = require('../models/DataStore');
+
+/**
+ * One-Time Token Service
+ * Random tokens for emailed links (password reset, ...). Only a SHA-256 hash is
+ * stored, each token is bound to one purpose, expires, and can be used once.
+ * Issuing a new token for a purpose invalidates the user's previous ones
+ */
+class OneTimeTokenService {
+  hash(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Issue a token
+   * @param {User} user - Token owner
+   * @param {string} purpose - What the token may be used for, e.g. 'password-reset'
+   * @param {number} ttlMs - Lifetime in milliseconds
+   * @returns {string} - The raw token; it cannot be recovered later
+   */
+  issue(user, purpose, ttlMs) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+
+    dataStore.deleteOneTimeTokens(user.id, purpose);
+    dataStore.saveOneTimeToken({
+      hash: this.hash(token),
+      userId: user.id,
+      purpose,
+      createdAt: now,
+      expiresAt: now + ttlMs,
+      usedAt: null,
+    });
+
+    return token;
+  }
+
+  /**
+   * Redeem a token
+   * @param {string} token - Raw token
+   * @param {string} purpose - Purpose the caller expects
+   * @returns {Object|null} - The token record, or null if unknown, expired, used or for another purpose
+   */
+  consume(token, purpose) {
+    const record = dataStore.getOneTimeToken(this.hash(token));
+    if (!record || record.purpose !== purpose || record.usedAt || record.expiresAt <= Date.now()) {
+      return null;
+    }
+
+    record.usedAt = Date.now();
+    dataStore.persist();
+    return record;
+  }
+}
+
+module.exports = new OneTimeTokenService();
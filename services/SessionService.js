@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const dataStore = require('../models/DataStore');
+
+// lastSeenAt is refreshed at most this often to avoid a write on every request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Session Service
+ * One session per login, recording the device it came from. The session ID is also
+ * the refresh token family ID and is carried in access tokens as the `sid` claim,
+ * so revoking a session cuts off both its access and refresh tokens
+ */
+class SessionService {
+  /**
+   * Start a session for a new login
+   * @param {User} user - Authenticated user
+   * @param {Object} client - { userAgent, ip }
+   * @returns {Object} - Session record
+   */
+  createSession(user, { userAgent = null, ip = null } = {}) {
+    const now = Date.now();
+    dataStore.pruneSessions();
+
+    return dataStore.saveSession({
+      id: crypto.randomUUID(),
+      userId: user.id,
+      userAgent,
+      ip,
+      createdAt: now,
+      lastSeenAt: now,
+      expiresAt: now,
+      revokedAt: null,
+    });
+  }
+
+  /**
+   * Whether a session exists and has not been revoked
+   * @param {string} sessionId - Session ID
+   * @returns {boolean}
+   */
+  isActive(sessionId) {
+    const session = dataStore.getSession(sessionId);
+    return Boolean(session) && !session.revokedAt;
+  }
+
+  /**
+   * Record activity on a session
+   * @param {string} sessionId - Session ID
+   * @param {Object} client - { userAgent, ip } of the current request
+   */
+  touch(sessionId, { userAgent, ip } = {}) {
+    const session = dataStore.getSession(sessionId);
+    if (!session) return;
+
+    const now = Date.now();
+    if (now - session.lastSeenAt < TOUCH_INTERVAL_MS && session.ip === ip) return;
+
+    session.lastSeenAt = now;
+    if (ip) session.ip = ip;
+    if (userAgent) session.userAgent = userAgent;
+    dataStore.persist();
+  }
+
+  /**
+   * Extend a session to cover a newly issued refresh token
+   * @param {string} sessionId - Session ID
+   * @param {number} expiresAt - Refresh token expiry (ms)
+   */
+  extend(sessionId, expiresAt) {
+    const session = dataStore.getSession(sessionId);
+    if (session && expiresAt > session.expiresAt) {
+      session.expiresAt = expiresAt;
+      dataStore.persist();
+    }
+  }
+
+  /**
+   * Active sessions of a user, most recently used first
+   * @param {string} userId - User ID
+   * @returns {Array<Object>} - Session records
+   */
+  getActiveSessions(userId) {
+    const now = Date.now();
+    return dataStore.getUserSessions(userId)
+      .filter(session => !session.revokedAt && session.expiresAt > now)
+      .sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+  }
+
+  /**
+   * Revoke a session and its refresh tokens
+   * @param {string} sessionId - Session ID
+   * @returns {boolean} - False if the session does not exist
+   */
+  revoke(sessionId) {
+    const session = dataStore.getSession(sessionId);
+    if (!session) return false;
+
+    if (!session.revokedAt) {
+      session.revokedAt = Date.now();
+    }
+    dataStore.revokeRefreshTokenFamily(sessionId);
+    return true;
+  }
+
+  /**
+   * Revoke every session of a user
+   * @param {string} userId - User ID
+   * @param {string|null} exceptSessionId - Session to keep (e.g. the one making the request)
+   * @returns {number} - Sessions revoked
+   */
+  revokeAll(userId, exceptSessionId = null) {
+    const sessions = dataStore.getUserSessions(userId)
+      .filter(session => !session.revokedAt && session.id !== exceptSessionId);
+    sessions.forEach(session => this.revoke(session.id));
+    return sessions.length;
+  }
+
+  /**
+   * Public view of a session
+   * @param {Object} session - Session record
+   * @param {string} currentSessionId - Session of the requesting token
+   * @returns {Object}
+   */
+  toJSON(session, currentSessionId = null) {
+    return {
+      id: session.id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: new Date(session.createdAt),
+      lastSeenAt: new Date(session.lastSeenAt),
+      current: session.id === currentSessionId,
+    };
+  }
+}
+
+module.exports = new SessionService();
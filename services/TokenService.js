@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+const AuthService = require('./AuthService');
+const SessionService = require('./SessionService');
+const dataStore = require('../models/DataStore');
+
+class TokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TokenError';
+  }
+}
+
+/**
+ * Token Service
+ * Issues access/refresh token pairs. Refresh tokens rotate on every use and are
+ * tracked server-side per family (one login session and all of its rotations);
+ * presenting an already-rotated token means it leaked, so the session is revoked.
+ * Access tokens carry a jti so they can be revoked individually before they expire,
+ * and a sid so revoking their session cuts them off immediately
+ */
+class TokenService {
+  /**
+   * Issue an access token and a refresh token for a user
+   * @param {User} user - Authenticated user
+   * @param {Object} options - { sessionId: continue an existing session, client: { userAgent, ip } for a new one }
+   * @returns {Object} - { token, refreshToken, tokenType, expiresIn, sessionId, refreshJti }
+   */
+  issueTokens(user, { sessionId = null, client = {} } = {}) {
+    if (!sessionId) {
+      sessionId = SessionService.createSession(user, client).id;
+    }
+
+    const token = AuthService.generateToken({
+      userId: user.id,
+      email: user.email,
+      name: user.name,
+      jti: crypto.randomUUID(),
+      sid: sessionId,
+    });
+
+    const jti = crypto.randomUUID();
+    const refreshToken = AuthService.generateRefreshToken({ userId: user.id, jti, familyId: sessionId });
+    const expiresAt = jwt.decode(refreshToken).exp * 1000;
+
+    dataStore.saveRefreshToken({
+      jti,
+      userId: user.id,
+      familyId: sessionId,
+      createdAt: Date.now(),
+      expiresAt,
+      usedAt: null,
+      replacedBy: null,
+      revokedAt: null,
+    });
+    SessionService.extend(sessionId, expiresAt);
+
+    return {
+      token,
+      refreshToken,
+      tokenType: 'Bearer',
+      expiresIn: config.jwt.expiresIn,
+      sessionId,
+      refreshJti: jti,
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * @param {string} refreshToken - Refresh token from a previous issue
+   * @param {Object} client - { userAgent, ip } of the current request
+   * @returns {Object} - { user, tokens }
+   * @throws {TokenError} - If the token is invalid, revoked or being reused
+   */
+  refresh(refreshToken, client = {}) {
+    let decoded;
+    try {
+      decoded = AuthService.verifyRefreshToken(refreshToken);
+    } catch (error) {
+      throw new TokenError(error.message);
+    }
+
+    const record = dataStore.getRefreshToken(decoded.jti);
+    if (!record || record.userId !== decoded.userId) {
+      throw new TokenError('Invalid refresh token');
+    }
+
+    if (record.revokedAt || !SessionService.isActive(record.familyId)) {
+      throw new TokenError('Refresh token has been revoked');
+    }
+
+    if (record.replacedBy) {
+      SessionService.revoke(record.familyId);
+      throw new TokenError('Refresh token reuse detected; the session was revoked');
+    }
+
+    const user = dataStore.getUserById(record.userId);
+    if (!user) {
+      throw new TokenError('Invalid refresh token');
+    }
+
+    if (user.isSuspended()) {
+      throw new TokenError('Account suspended');
+    }
+
+    if (user.isPendingDeletion()) {
+      throw new TokenError('Account scheduled for deletion');
+    }
+
+    const tokens = this.issueTokens(user, { sessionId: record.familyId });
+    record.usedAt = Date.now();
+    record.replacedBy = tokens.refreshJti;
+    SessionService.touch(record.familyId, client);
+    dataStore.pruneRefreshTokens();
+
+    return { user, tokens };
+  }
+
+  /**
+   * Whether a verified access token has been revoked
+   * @param {Object} decoded - Verified access token payload
+   * @param {User} user - Token owner
+   * @returns {boolean}
+   */
+  isRevoked(decoded, user) {
+    if (decoded.jti && dataStore.isTokenRevoked(decoded.jti)) {
+      return true;
+    }
+
+    if (decoded.sid && !SessionService.isActive(decoded.sid)) {
+      return true;
+    }
+
+    // iat has one-second resolution, so compare in whole seconds
+    return Boolean(user.tokensValidAfter) &&
+      decoded.iat < Math.floor(user.tokensValidAfter.getTime() / 1000);
+  }
+
+  /**
+   * Log out one login: revoke the access token and its session
+   * @param {Object} decoded - Verified access token payload
+   */
+  logout(decoded) {
+    if (decoded.jti) {
+      dataStore.revokeToken(decoded.jti, decoded.exp * 1000);
+    }
+    if (decoded.sid) {
+      SessionService.revoke(decoded.sid);
+    }
+    dataStore.pruneRefreshTokens();
+  }
+
+  /**
+   * Log out everywhere: every token issued to the user so far stops working
+   * @param {User} user - Token owner
+   */
+  logoutAll(user) {
+    user.revokeAllTokens();
+    SessionService.revokeAll(user.id);
+    dataStore.revokeUserRefreshTokens(user.id);
+  }
+}
+
+module.exports = new TokenService();
+module.exports.TokenError = TokenError;
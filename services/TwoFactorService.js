@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const dataStore = require('../models/DataStore');
+const AuthService = require('./AuthService');
+const config = require('../config/config');
+const totp = require('../utils/totp');
+
+/**
+ * Two-Factor Service
+ * Optional TOTP second factor. Enrollment stores a pending secret that only takes
+ * effect once the user proves their authenticator produces matching codes. Each code
+ * is accepted once; one-time recovery codes (stored hashed) stand in for a lost device
+ */
+class TwoFactorService {
+  hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Start (or restart) enrollment with a fresh secret
+   * @param {User} user - User enrolling
+   * @returns {Object} - { secret, otpauthUri } to show or render as a QR code
+   */
+  beginEnrollment(user) {
+    const secret = totp.generateSecret();
+    user.twoFactor = {
+      enabled: false,
+      secret,
+      recoveryCodes: [],
+      enabledAt: null,
+      lastUsedStep: null,
+    };
+    dataStore.persist();
+
+    return {
+      secret,
+      otpauthUri: totp.buildOtpauthUri({
+        secret,
+        account: user.email,
+        issuer: config.twoFactor.issuer,
+      }),
+    };
+  }
+
+  /**
+   * Turn 2FA on after the user enters a code for the pending secret
+   * @param {User} user - User enrolling
+   * @param {string} code - Current TOTP code
+   * @returns {Array<string>|null} - Recovery codes to show once, or null if the code is wrong
+   */
+  confirmEnrollment(user, code) {
+    const step = totp.verifyCode(user.twoFactor.secret, code);
+    if (step === null) {
+      return null;
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    user.twoFactor = {
+      ...user.twoFactor,
+      enabled: true,
+      recoveryCodes: recoveryCodes.map(recoveryCode => this.hashRecoveryCode(recoveryCode)),
+      enabledAt: Date.now(),
+      lastUsedStep: step,
+    };
+    user.updatedAt = new Date();
+    dataStore.persist();
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Check a second factor: a TOTP code or an unused recovery code
+   * Accepted codes are spent, so neither can be replayed
+   * @param {User} user - User with 2FA enabled
+   * @param {string} code - TOTP or recovery code
+   * @returns {string|null} - 'totp' or 'recovery', or null if the code is not accepted
+   */
+  verify(user, code) {
+    if (!user.isTwoFactorEnabled() || !code) {
+      return null;
+    }
+
+    const step = totp.verifyCode(user.twoFactor.secret, code);
+    if (step !== null) {
+      if (user.twoFactor.lastUsedStep !== null && step <= user.twoFactor.lastUsedStep) {
+        return null;
+      }
+      user.twoFactor.lastUsedStep = step;
+      dataStore.persist();
+      return 'totp';
+    }
+
+    const hash = this.hashRecoveryCode(code);
+    const index = user.twoFactor.recoveryCodes.indexOf(hash);
+    if (index === -1) {
+      return null;
+    }
+    user.twoFactor.recoveryCodes.splice(index, 1);
+    dataStore.persist();
+    return 'recovery';
+  }
+
+  /**
+   * Turn 2FA off and forget the secret and recovery codes
+   * @param {User} user - User
+   */
+  disable(user) {
+    user.twoFactor = null;
+    user.updatedAt = new Date();
+    dataStore.persist();
+  }
+
+  generateRecoveryCodes() {
+    return Array.from({ length: config.twoFactor.recoveryCodeCount }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+  }
+
+  /**
+   * Issue the challenge a password login returns when 2FA is on
+   * @param {User} user - User who passed the password step
+   * @returns {string} - Challenge token
+   */
+  issueChallenge(user) {
+    return AuthService.generateChallengeToken({ userId: user.id, jti: crypto.randomUUID() });
+  }
+
+  /**
+   * Decode a challenge token that has not been redeemed yet
+   * @param {string} challengeToken - Token from issueChallenge
+   * @returns {Object} - Decoded payload
+   * @throws {Error} - If the token is invalid, expired or already used
+   */
+  readChallenge(challengeToken) {
+    const decoded = AuthService.verifyChallengeToken(challengeToken);
+    if (dataStore.isTokenRevoked(decoded.jti)) {
+      throw new Error('Challenge has already been used');
+    }
+    return decoded;
+  }
+
+  /**
+   * Spend a challenge so it cannot complete a second login
+   * @param {Object} decoded - Payload from readChallenge
+   */
+  redeemChallenge(decoded) {
+    dataStore.revokeToken(decoded.jti, decoded.exp * 1000);
+  }
+
+  /**
+   * Public view of a user's 2FA state
+   * @param {User} user - User
+   * @returns {Object}
+   */
+  getStatus(user) {
+    const enabled = user.isTwoFactorEnabled();
+    return {
+      enabled,
+      pending: Boolean(user.twoFactor && !enabled),
+      enabledAt: enabled ? new Date(user.twoFactor.enabledAt) : null,
+      recoveryCodesRemaining: enabled ? user.twoFactor.recoveryCodes.length : 0,
+    };
+  }
+}
+
+module.exports = new TwoFactorService();
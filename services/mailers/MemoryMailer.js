@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+
+/**
+ * In-memory mailer
+ * Keeps sent messages in an array; useful in tests that need to read a token from an email
+ */
+class MemoryMailer {
+  constructor({ from } = {}) {
+    this.from = from;
+    this.messages = [];
+  }
+
+  /**
+   * Record a message
+   * @param {Object} message - { to, subject, text, from }
+   * @returns {Promise<Object>} - { messageId }
+   */
+  async send({ to, subject, text, from = this.from }) {
+    const messageId = `${crypto.randomUUID()}@memory`;
+    this.messages.push({ messageId, from, to, subject, text, sentAt: new Date() });
+    return { messageId };
+  }
+}
+
+module.exports = MemoryMailer;
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Outbox mailer
+ * Writes every message to a local directory as an .eml file instead of sending it,
+ * so email flows work offline; the files open in any mail client
+ */
+class OutboxMailer {
+  /**
+   * @param {Object} options - Mailer options
+   * @param {string} options.outboxDir - Directory messages are written to
+   * @param {string} options.from - Default sender address
+   */
+  constructor({ outboxDir, from }) {
+    if (!outboxDir) {
+      throw new Error('OutboxMailer requires an outboxDir');
+    }
+
+    this.outboxDir = path.resolve(outboxDir);
+    this.from = from;
+  }
+
+  /**
+   * Deliver a message to the outbox
+   * @param {Object} message - { to, subject, text, from }
+   * @returns {Promise<Object>} - { messageId, path }
+   */
+  async send({ to, subject, text, from = this.from }) {
+    const messageId = `${crypto.randomUUID()}@outbox`;
+    const date = new Date();
+
+    const eml = [
+      `Message-ID: <${messageId}>`,
+      `Date: ${date.toUTCString()}`,
+      `From: ${from}`,
+      `To: ${to}`,
+      `Subject: ${subject}`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      text,
+      '',
+    ].join('\r\n');
+
+    await fs.promises.mkdir(this.outboxDir, { recursive: true });
+    const filePath = path.join(this.outboxDir, `${date.getTime()}-${messageId.split('@')[0]}.eml`);
+    await fs.promises.writeFile(filePath, eml);
+
+    return { messageId, path: filePath };
+  }
+}
+
+module.exports = OutboxMailer;
@@ -0,0 +1,33 @@
+const OutboxMailer = require('./OutboxMailer');
+const MemoryMailer = require('./MemoryMailer');
+
+/**
+ * Mailers available for outgoing email
+ * Every mailer implements send({ to, subject, text, from })
+ */
+const drivers = {
+  outbox: OutboxMailer,
+  memory: MemoryMailer,
+};
+
+/**
+ * Create the mailer selected in configuration
+ * @param {Object} mailConfig - The `mail` section of config
+ * @returns {Object} - Mailer instance
+ */
+function createMailer(mailConfig = {}) {
+  const driver = mailConfig.driver || 'outbox';
+  const Mailer = drivers[driver];
+
+  if (!Mailer) {
+    throw new Error(`Unknown mail driver "${driver}". Available drivers: ${Object.keys(drivers).join(', ')}`);
+  }
+
+  return new Mailer(mailConfig);
+}
+
+module.exports = {
+  createMailer,
+  OutboxMailer,
+  MemoryMailer,
+};
@@ -0,0 +1,161 @@
+const axios = require('axios');
+
+/**
+ * Base class for news provider adapters
+ * An adapter describes its HTTP requests, how to map a raw article and its limits;
+ * fetching, filtering and page-size clamping are shared here
+ */
+class BaseProvider {
+  /**
+   * @param {Object} options - Provider description
+   * @param {string} options.name - Registry key used in configuration (e.g. 'newsapi')
+   * @param {string} options.displayName - Human readable name for logs
+   * @param {Object} options.limits - Provider limits
+   * @param {number} options.limits.maxPageSize - Maximum articles per request
+   * @param {boolean} options.limits.supportsSearch - Whether keyword search is available
+   * @param {boolean} options.limits.supportsPaging - Whether headlines beyond page 1 can be requested
+   */
+  constructor({ name, displayName, limits = {} }) {
+    if (!name) {
+      throw new Error('A news provider must have a name');
+    }
+
+    this.name = name;
+    this.displayName = displayName || name;
+    this.limits = {
+      maxPageSize: 100,
+      supportsSearch: true,
+      supportsPaging: true,
+      ...limits,
+    };
+
+    this.httpConfig = {
+      timeout: 10000, // 10 second timeout
+      headers: {
+        'User-Agent': 'News-Aggregator-API/1.0',
+      },
+    };
+  }
+
+  /**
+   * Whether the provider has the credentials it needs
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Describe the top headlines request
+   * @param {Object} options - { category, language, country, pageSize, page }
+   *   country is an ISO 3166-1 alpha-2 code, or null for the provider's global headlines
+   * @returns {Object} - { url, params, headers }
+   */
+  buildHeadlinesRequest(options) {
+    throw new Error(`${this.displayName} does not implement headlines`);
+  }
+
+  /**
+   * Describe the keyword search request
+   * @param {Object} options - { query, language, pageSize, from, to, sortBy }
+   *   `query` uses boolean syntax (quotes, AND/OR/NOT, parentheses); `from`/`to` are Dates
+   *   or null; `sortBy` is 'relevance', 'date' or 'popularity'
+   * @returns {Object} - { url, params, headers }
+   */
+  buildSearchRequest(options) {
+    throw new Error(`${this.displayName} does not implement search`);
+  }
+
+  /**
+   * Map a raw provider article to an Article
+   * @param {Object} raw - Article as returned by the provider
+   * @param {string} category - Category the article was fetched for
+   * @param {string|null} language - Language requested, a hint for articles without one
+   * @returns {Article}
+   */
+  mapArticle(raw, category, language) {
+    throw new Error(`${this.displayName} does not implement mapArticle`);
+  }
+
+  /**
+   * Pull the raw article list out of a response body
+   * @param {Object} data - Response body
+   * @returns {Array} - Raw articles
+   */
+  extractArticles(data) {
+    return data && Array.isArray(data.articles) ? data.articles : [];
+  }
+
+  /**
+   * Skip raw articles that cannot be shown to users
+   * @param {Object} raw - Raw article
+   * @returns {boolean}
+   */
+  isValidArticle(raw) {
+    return Boolean(raw.title && raw.url);
+  }
+
+  /**
+   * Fetch top headlines for a single category
+   * @param {Object} options - { category, language, country, pageSize, page }
+   * @returns {Promise<Array>} - Array of articles, tagged with the country
+   */
+  async fetchHeadlines({ category = 'general', language = 'en', country = null, pageSize = 20, page = 1 }) {
+    const request = this.buildHeadlinesRequest({
+      category,
+      language,
+      country,
+      pageSize: this.clampPageSize(pageSize),
+      page,
+    });
+    const articles = await this.execute(request, category, language);
+    return articles.map(article => article.addCountry(country));
+  }
+
+  /**
+   * Search articles by keyword
+   * @param {Object} options - { query, language, pageSize, from, to, sortBy }; language null searches all
+   * @returns {Promise<Array>} - Array of articles
+   */
+  async search({ query, language = 'en', pageSize = 20, from = null, to = null, sortBy = 'date' }) {
+    const request = this.buildSearchRequest({
+      query,
+      language,
+      pageSize: this.clampPageSize(pageSize),
+      from,
+      to,
+      sortBy,
+    });
+    return this.execute(request, 'search', language);
+  }
+
+  clampPageSize(pageSize) {
+    return Math.max(1, Math.min(pageSize, this.limits.maxPageSize));
+  }
+
+  /**
+   * Format a date filter as an ISO 8601 timestamp without milliseconds
+   * @param {Date|null} date - Date filter
+   * @returns {string|undefined} - Formatted date, undefined when not set (axios omits it)
+   */
+  formatDate(date) {
+    return date ? date.toISOString().split('.')[0] + 'Z' : undefined;
+  }
+
+  async execute({ url, params = {}, headers = {} }, category, language = null) {
+    const response = await axios.get(url, {
+      ...this.httpConfig,
+      headers: {
+        ...this.httpConfig.headers,
+        ...headers,
+      },
+      params,
+    });
+
+    return this.extractArticles(response.data)
+      .filter(raw => this.isValidArticle(raw))
+      .map(raw => this.mapArticle(raw, category, language));
+  }
+}
+
+module.exports = BaseProvider;
@@ -0,0 +1,61 @@
+const BaseProvider = require('./BaseProvider');
+const config = require('../../config/config');
+const Article = require('../../models/Article');
+
+// GNews has no popularity ordering; popularity is applied locally on top of date order
+const SORT_OPTIONS = {
+  relevance: 'relevance',
+  date: 'publishedAt',
+};
+
+/**
+ * GNews adapter (https://gnews.io)
+ */
+class GNewsProvider extends BaseProvider {
+  constructor() {
+    super({
+      name: 'gnews',
+      displayName: 'GNews',
+      limits: { maxPageSize: 100 },
+    });
+  }
+
+  isConfigured() {
+    return Boolean(config.newsApi.gnewsApiKey);
+  }
+
+  buildHeadlinesRequest({ category, language, country, pageSize, page }) {
+    return {
+      url: `${config.newsApiUrls.gnews}/top-headlines`,
+      params: {
+        token: config.newsApi.gnewsApiKey,
+        category: category,
+        lang: language,
+        country: country || undefined,
+        max: pageSize,
+        page: page,
+      },
+    };
+  }
+
+  buildSearchRequest({ query, language, pageSize, from, to, sortBy }) {
+    return {
+      url: `${config.newsApiUrls.gnews}/search`,
+      params: {
+        token: config.newsApi.gnewsApiKey,
+        q: query,
+        lang: language,
+        max: pageSize,
+        sortby: SORT_OPTIONS[sortBy] || 'publishedAt',
+        from: this.formatDate(from),
+        to: this.formatDate(to),
+      },
+    };
+  }
+
+  mapArticle(raw, category, language) {
+    return Article.fromGNews(raw, category, language);
+  }
+}
+
+module.exports = GNewsProvider;
@@ -0,0 +1,61 @@
+const BaseProvider = require('./BaseProvider');
+const config = require('../../config/config');
+const Article = require('../../models/Article');
+
+const SORT_OPTIONS = {
+  relevance: 'relevancy',
+  date: 'publishedAt',
+  popularity: 'popularity',
+};
+
+/**
+ * NewsAPI adapter (https://newsapi.org)
+ */
+class NewsApiProvider extends BaseProvider {
+  constructor() {
+    super({
+      name: 'newsapi',
+      displayName: 'NewsAPI',
+      limits: { maxPageSize: 100 },
+    });
+  }
+
+  isConfigured() {
+    return Boolean(config.newsApi.newsApiKey);
+  }
+
+  buildHeadlinesRequest({ category, language, country, pageSize, page }) {
+    return {
+      url: `${config.newsApiUrls.newsApi}/top-headlines`,
+      params: {
+        apiKey: config.newsApi.newsApiKey,
+        category: category,
+        language: language,
+        country: country || undefined,
+        pageSize: pageSize,
+        page: page,
+      },
+    };
+  }
+
+  buildSearchRequest({ query, language, pageSize, from, to, sortBy }) {
+    return {
+      url: `${config.newsApiUrls.newsApi}/everything`,
+      params: {
+        apiKey: config.newsApi.newsApiKey,
+        q: query,
+        language: language,
+        pageSize: pageSize,
+        sortBy: SORT_OPTIONS[sortBy] || 'publishedAt',
+        from: this.formatDate(from),
+        to: this.formatDate(to),
+      },
+    };
+  }
+
+  mapArticle(raw, category, language) {
+    return Article.fromNewsAPI(raw, category, language);
+  }
+}
+
+module.exports = NewsApiProvider;
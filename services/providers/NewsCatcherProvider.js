@@ -0,0 +1,88 @@
+const BaseProvider = require('./BaseProvider');
+const config = require('../../config/config');
+const Article = require('../../models/Article');
+
+// NewsCatcher uses its own topic names instead of NewsAPI/GNews categories
+const TOPICS = {
+  general: 'news',
+  technology: 'tech',
+  business: 'business',
+  science: 'science',
+  sports: 'sport',
+  entertainment: 'entertainment',
+  movies: 'entertainment',
+  comics: 'entertainment',
+  games: 'gaming',
+};
+
+const SORT_OPTIONS = {
+  relevance: 'relevancy',
+  date: 'date',
+  popularity: 'rank',
+};
+
+/**
+ * NewsCatcher adapter (https://newscatcherapi.com)
+ */
+class NewsCatcherProvider extends BaseProvider {
+  constructor() {
+    super({
+      name: 'newscatcher',
+      displayName: 'NewsCatcher',
+      limits: { maxPageSize: 100 },
+    });
+  }
+
+  isConfigured() {
+    return Boolean(config.newsApi.newscatcherApiKey);
+  }
+
+  getHeaders() {
+    return { 'x-api-key': config.newsApi.newscatcherApiKey };
+  }
+
+  buildHeadlinesRequest({ category, language, country, pageSize, page }) {
+    const params = {
+      lang: language,
+      countries: country ? country.toUpperCase() : undefined,
+      page_size: pageSize,
+      page: page,
+    };
+
+    // Categories without a matching topic fall back to all latest headlines
+    if (TOPICS[category]) {
+      params.topic = TOPICS[category];
+    }
+
+    return {
+      url: `${config.newsApiUrls.newscatcher}/latest_headlines`,
+      params,
+      headers: this.getHeaders(),
+    };
+  }
+
+  buildSearchRequest({ query, language, pageSize, from, to, sortBy }) {
+    return {
+      url: `${config.newsApiUrls.newscatcher}/search`,
+      params: {
+        q: query,
+        lang: language,
+        page_size: pageSize,
+        sort_by: SORT_OPTIONS[sortBy] || 'date',
+        from: this.formatDate(from),
+        to: this.formatDate(to),
+      },
+      headers: this.getHeaders(),
+    };
+  }
+
+  isValidArticle(raw) {
+    return Boolean(raw.title && raw.link);
+  }
+
+  mapArticle(raw, category, language) {
+    return Article.fromNewsCatcher(raw, category, language);
+  }
+}
+
+module.exports = NewsCatcherProvider;
@@ -0,0 +1,92 @@
+/**
+ * Registry of news provider adapters
+ * Configuration decides which registered providers are active, in which order, and
+ * how the article budget of a request is shared between them
+ */
+class ProviderRegistry {
+  /**
+   * @param {Object} settings - The `providers` section of config
+   * @param {Array<string>} settings.enabled - Provider names in priority order
+   * @param {Object} settings.weights - Relative share per provider name (default 1)
+   */
+  constructor(settings = {}) {
+    this.providers = new Map();
+    this.settings = {
+      enabled: settings.enabled || [],
+      weights: settings.weights || {},
+    };
+  }
+
+  /**
+   * Add a provider adapter
+   * @param {BaseProvider} provider - Provider instance
+   * @returns {ProviderRegistry} - The registry, for chaining
+   */
+  register(provider) {
+    if (this.providers.has(provider.name)) {
+      throw new Error(`News provider "${provider.name}" is already registered`);
+    }
+    this.providers.set(provider.name, provider);
+    return this;
+  }
+
+  unregister(name) {
+    return this.providers.delete(name);
+  }
+
+  get(name) {
+    return this.providers.get(name);
+  }
+
+  getAll() {
+    return Array.from(this.providers.values());
+  }
+
+  /**
+   * Providers that are enabled in config and have credentials, in configured order
+   * @returns {Array<BaseProvider>}
+   */
+  getActive() {
+    return this.settings.enabled
+      .map(name => this.providers.get(name))
+      .filter(provider => provider && provider.isConfigured());
+  }
+
+  getWeight(name) {
+    const weight = this.settings.weights[name];
+    return typeof weight === 'number' && weight > 0 ? weight : 1;
+  }
+
+  /**
+   * Split an article budget between the active providers according to their weights
+   * @param {number} total - Number of articles wanted overall
+   * @returns {Array<Object>} - [{ provider, pageSize }] in priority order
+   */
+  allocate(total) {
+    const active = this.getActive();
+    const totalWeight = active.reduce((sum, provider) => sum + this.getWeight(provider.name), 0);
+
+    return active.map(provider => ({
+      provider,
+      pageSize: Math.max(1, Math.ceil(total * this.getWeight(provider.name) / totalWeight)),
+    }));
+  }
+
+  /**
+   * Describe every registered provider for diagnostics
+   * @returns {Array<Object>}
+   */
+  describe() {
+    return this.getAll().map(provider => ({
+      name: provider.name,
+      displayName: provider.displayName,
+      enabled: this.settings.enabled.includes(provider.name),
+      configured: provider.isConfigured(),
+      order: this.settings.enabled.indexOf(provider.name),
+      weight: this.getWeight(provider.name),
+      limits: provider.limits,
+    }));
+  }
+}
+
+module.exports = ProviderRegistry;
@@ -0,0 +1,120 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { fileURLToPath } = require('url');
+const axios = require('axios');
+const BaseProvider = require('./BaseProvider');
+const config = require('../../config/config');
+const Article = require('../../models/Article');
+const { parseFeed } = require('../../utils/feedParser');
+const { parseQuery, createMatcher, createFilter } = require('../../utils/queryParser');
+
+/**
+ * RSS/Atom feed adapter
+ * Reads the feeds listed in config.rss.feeds, each mapped to one category.
+ * Feed URLs may be http(s), file:// or local paths, so fixtures work offline
+ */
+class RssProvider extends BaseProvider {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {Array} options.feeds - Feed list override ([{ url, category, language, country, name }])
+   */
+  constructor({ feeds } = {}) {
+    super({
+      name: 'rss',
+      displayName: 'RSS/Atom feeds',
+      limits: { maxPageSize: 100, supportsPaging: false },
+    });
+    this.feeds = feeds;
+  }
+
+  getFeeds() {
+    return this.feeds || config.rss.feeds;
+  }
+
+  isConfigured() {
+    return this.getFeeds().length > 0;
+  }
+
+  /**
+   * Read a feed document from the network or the local filesystem
+   * @param {string} url - Feed location
+   * @returns {Promise<string>} - Raw XML
+   */
+  async loadDocument(url) {
+    if (url.startsWith('file://')) {
+      return fs.readFile(fileURLToPath(url), 'utf8');
+    }
+
+    if (!/^https?:\/\//i.test(url)) {
+      return fs.readFile(path.resolve(url), 'utf8');
+    }
+
+    const response = await axios.get(url, {
+      ...this.httpConfig,
+      headers: {
+        ...this.httpConfig.headers,
+        Accept: 'application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.8',
+      },
+      responseType: 'text',
+    });
+    return response.data;
+  }
+
+  /**
+   * Fetch and map a single feed; a broken feed never fails the whole provider
+   * @param {Object} feed - Feed entry from config
+   * @returns {Promise<Array>} - Array of articles
+   */
+  async fetchFeed(feed) {
+    try {
+      const parsed = parseFeed(await this.loadDocument(feed.url));
+      // Feeds that declare no language get a per-item guess (see Article.fromFeedItem)
+      const declared = feed.language || parsed.language;
+      const meta = {
+        name: feed.name || parsed.title,
+        language: declared ? declared.toLowerCase().split('-')[0] : null,
+      };
+
+      return parsed.items
+        .filter(item => item.title && item.link)
+        .map(item => Article.fromFeedItem(item, feed.category || 'general', meta).addCountry(feed.country || null));
+    } catch (error) {
+      console.error(`RSS feed error (${feed.url}):`, error.message);
+      return [];
+    }
+  }
+
+  async fetchFeeds(feeds, language) {
+    const results = await Promise.all(feeds.map(feed => this.fetchFeed(feed)));
+    return results
+      .reduce((all, articles) => all.concat(articles), [])
+      .filter(article => !language || article.language === language)
+      .sort((a, b) => b.publishedAt - a.publishedAt);
+  }
+
+  /**
+   * Feeds carry the country set in their config entry; a country request reads only those feeds
+   */
+  async fetchHeadlines({ category = 'general', language = 'en', country = null, pageSize = 20 }) {
+    const feeds = this.getFeeds().filter(feed =>
+      (feed.category || 'general') === category && (!country || feed.country === country)
+    );
+    const articles = await this.fetchFeeds(feeds, language);
+    return articles.slice(0, this.clampPageSize(pageSize));
+  }
+
+  /**
+   * Feeds have no search API, so every feed is read and the query evaluated locally
+   */
+  async search({ query, language = 'en', pageSize = 20, from = null, to = null }) {
+    const matches = createMatcher(parseQuery(query).ast);
+    const passesFilters = createFilter({ from, to });
+    const articles = await this.fetchFeeds(this.getFeeds(), language);
+
+    return articles
+      .filter(article => passesFilters(article) && matches(article))
+      .slice(0, this.clampPageSize(pageSize));
+  }
+}
+
+module.exports = RssProvider;
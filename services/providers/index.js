@@ -0,0 +1,23 @@
+const config = require('../../config/config');
+const ProviderRegistry = require('./ProviderRegistry');
+const NewsApiProvider = require('./NewsApiProvider');
+const GNewsProvider = require('./GNewsProvider');
+const NewsCatcherProvider = require('./NewsCatcherProvider');
+const RssProvider = require('./RssProvider');
+
+/**
+ * Built-in provider adapters
+ * To add a source, write an adapter extending BaseProvider and list it here;
+ * enabling, ordering and weighting are done through config.providers
+ */
+const builtInProviders = [
+  NewsApiProvider,
+  GNewsProvider,
+  NewsCatcherProvider,
+  RssProvider,
+];
+
+const registry = new ProviderRegistry(config.providers);
+builtInProviders.forEach(Provider => registry.register(new Provider()));
+
+module.exports = registry;
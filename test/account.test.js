@@ -0,0 +1,108 @@
+// Every change goes through the rate-limited routes, more often than the default allows
+process.env.AUTH_RATE_LIMIT_MAX_REQUESTS = '100';
+
+const tap = require('tap');
+const supertest = require('supertest');
+const app = require('./helpers/app');
+const { password, createUser } = require('./helpers/users');
+const EmailService = require('../services/EmailService');
+const dataStore = require('../models/DataStore');
+const server = supertest(app);
+
+const newPassword = 'N3w$ecretPass';
+
+const changePassword = (token, fields) => server.put('/api/users/password').set('Authorization', `Bearer ${token}`).send(fields);
+const changeEmail = (token, fields) => server.put('/api/users/email').set('Authorization', `Bearer ${token}`).send(fields);
+const login = (email, value) => server.post('/api/users/login').send({ email, password: value });
+const profile = (token) => server.get('/api/users/profile').set('Authorization', `Bearer ${token}`);
+const refresh = (refreshToken) => server.post('/api/users/token/refresh').send({ refreshToken });
+const lastEmail = (email) => EmailService.mailer.messages.filter(sent => sent.to === email).pop();
+
+// Change password
+
+tap.test('PUT /api/users/password rejects a wrong current password', async (t) => {
+    const { email, token } = await createUser();
+
+    const response = await changePassword(token, { currentPassword: 'Wr0ng$ecret', newPassword });
+    t.equal(response.status, 401);
+    t.equal((await login(email, password)).status, 200, 'the password is unchanged');
+    t.equal((await profile(token)).status, 200, 'the session is untouched');
+});
+
+tap.test('PUT /api/users/password rejects weak and unchanged passwords', async (t) => {
+    const { token } = await createUser();
+
+    t.equal((await changePassword(token, { currentPassword: password, newPassword: 'weakpassword' })).status, 400);
+    t.equal((await changePassword(token, { currentPassword: password, newPassword: password })).status, 400);
+});
+
+tap.test('PUT /api/users/password sets the new password and revokes existing tokens', async (t) => {
+    const { email, token, refreshToken } = await createUser();
+
+    const response = await changePassword(token, { currentPassword: password, newPassword });
+    t.equal(response.status, 200);
+    t.ok(response.body.data.token);
+    t.ok(response.body.data.refreshToken);
+
+    t.equal((await profile(token)).status, 401, 'the old access token is revoked');
+    t.equal((await refresh(refreshToken)).status, 401, 'the old refresh token is revoked');
+    t.equal((await profile(response.body.data.token)).status, 200, 'the caller continues with the new pair');
+
+    t.equal((await login(email, password)).status, 401);
+    t.equal((await login(email, newPassword)).status, 200);
+    t.match(lastEmail(email).subject, /password/i);
+});
+
+// Change email
+
+tap.test('PUT /api/users/email rejects a wrong current password', async (t) => {
+    const { user, email, token } = await createUser();
+
+    const response = await changeEmail(token, { currentPassword: 'Wr0ng$ecret', email: 'moved-1@example.com' });
+    t.equal(response.status, 401);
+    t.equal(user.email, email);
+    t.notOk(dataStore.getUserByEmail('moved-1@example.com'));
+});
+
+tap.test('PUT /api/users/email rejects an address that is taken or unchanged', async (t) => {
+    const { user, email, token } = await createUser();
+    const other = await createUser();
+
+    const taken = await changeEmail(token, { currentPassword: password, email: other.email });
+    t.equal(taken.status, 409);
+    t.equal(user.email, email);
+    t.equal(dataStore.getUserByEmail(other.email), other.user, 'the other account keeps its address');
+
+    t.equal((await changeEmail(token, { currentPassword: password, email })).status, 400);
+});
+
+tap.test('PUT /api/users/email moves the account, asks for re-verification and revokes tokens', async (t) => {
+    const { user, email, token, refreshToken } = await createUser();
+    user.markEmailVerified();
+    const newEmail = 'moved-2@example.com';
+
+    const response = await changeEmail(token, { currentPassword: password, email: newEmail });
+    t.equal(response.status, 200);
+    t.equal(response.body.data.user.email, newEmail);
+    t.equal(response.body.data.user.emailVerified, false);
+
+    t.notOk(dataStore.getUserByEmail(email));
+    t.equal(dataStore.getUserByEmail(newEmail), user);
+
+    t.equal((await profile(token)).status, 401, 'the old access token is revoked');
+    t.equal((await refresh(refreshToken)).status, 401, 'the old refresh token is revoked');
+    t.equal((await profile(response.body.data.token)).status, 200);
+
+    t.match(lastEmail(email).text, newEmail, 'the previous address is told about the change');
+    const verification = lastEmail(newEmail).text.match(/verify-email: (\S+)/)[1];
+    const verified = await server.post('/api/users/verify-email').send({ token: verification });
+    t.equal(verified.status, 200);
+    t.equal(user.emailVerified, true);
+
+    t.equal((await login(email, password)).status, 401);
+    t.equal((await login(newEmail, password)).status, 200);
+});
+
+tap.teardown(() => {
+    process.exit(0);
+});
@@ -0,0 +1,148 @@
+process.env.ADMIN_EMAILS = 'boss@example.com,new-boss@example.com';
+
+const tap = require('tap');
+const supertest = require('supertest');
+const app = require('./helpers/app');
+const { password, createUser, signIn } = require('./helpers/users');
+const EmailService = require('../services/EmailService');
+const dataStore = require('../models/DataStore');
+const server = supertest(app);
+
+const as = (token) => ({
+    get: (path) => server.get(path).set('Authorization', `Bearer ${token}`),
+    post: (path, body = {}) => server.post(path).set('Authorization', `Bearer ${token}`).send(body),
+    put: (path, body = {}) => server.put(path).set('Authorization', `Bearer ${token}`).send(body),
+});
+const login = (email) => server.post('/api/users/login').send({ email, password });
+const verificationToken = (email) => EmailService.mailer.messages
+    .filter(sent => sent.to === email)
+    .pop().text.match(/verify-email: (\S+)/)[1];
+
+// Roles
+
+tap.test('admin routes return 403 to users without the role', async (t) => {
+    const { user, token } = await createUser();
+    const { user: target } = await createUser();
+
+    const requests = [
+        () => as(token).get('/api/admin/users'),
+        () => as(token).post(`/api/admin/users/${target.id}/suspend`),
+        () => as(token).post(`/api/admin/users/${target.id}/unsuspend`),
+        () => as(token).put(`/api/admin/users/${target.id}/role`, { role: 'admin' }),
+        () => as(token).get('/api/admin/cache'),
+        () => as(token).get('/api/admin/stats'),
+    ];
+    for (const request of requests) {
+        const response = await request();
+        t.equal(response.status, 403);
+        t.equal(response.body.code, 'FORBIDDEN');
+    }
+    t.equal(user.role, 'user');
+    t.notOk(target.isSuspended());
+
+    t.equal((await server.get('/api/admin/users')).status, 401, 'anonymous requests are rejected first');
+});
+
+tap.test('editors may read stats and the cache but not manage users', async (t) => {
+    const { token } = await createUser({ role: 'editor' });
+
+    t.equal((await as(token).get('/api/admin/stats')).status, 200);
+    t.equal((await as(token).get('/api/admin/cache')).status, 200);
+    t.equal((await as(token).get('/api/admin/users')).status, 403);
+});
+
+tap.test('admins list users and assign roles, which apply without a new token', async (t) => {
+    const { token } = await createUser({ role: 'admin' });
+    const { user: target, token: targetToken } = await createUser({ name: 'Promoted Person' });
+
+    const listed = await as(token).get('/api/admin/users?q=promoted');
+    t.equal(listed.status, 200);
+    t.same(listed.body.data.users.map(user => user.id), [target.id]);
+
+    t.equal((await as(targetToken).get('/api/admin/stats')).status, 403);
+
+    const promoted = await as(token).put(`/api/admin/users/${target.id}/role`, { role: 'editor' });
+    t.equal(promoted.status, 200);
+    t.equal(promoted.body.data.user.role, 'editor');
+    t.equal((await as(targetToken).get('/api/admin/stats')).status, 200);
+
+    t.equal((await as(token).put(`/api/admin/users/${target.id}/role`, { role: 'owner' })).status, 400);
+});
+
+tap.test('admins cannot change their own role or suspend themselves', async (t) => {
+    const { user, token } = await createUser({ role: 'admin' });
+
+    t.equal((await as(token).put(`/api/admin/users/${user.id}/role`, { role: 'user' })).status, 400);
+    t.equal((await as(token).post(`/api/admin/users/${user.id}/suspend`)).status, 400);
+    t.equal(user.role, 'admin');
+    t.notOk(user.isSuspended());
+});
+
+// Suspension
+
+tap.test('suspending a user rejects their existing tokens until unsuspended', async (t) => {
+    const { token } = await createUser({ role: 'admin' });
+    const { user: target, email, token: targetToken, refreshToken } = await createUser();
+
+    const suspended = await as(token).post(`/api/admin/users/${target.id}/suspend`, { reason: 'Spam' });
+    t.equal(suspended.status, 200);
+    t.equal(suspended.body.data.user.suspensionReason, 'Spam');
+
+    const rejected = await as(targetToken).get('/api/users/profile');
+    t.equal(rejected.status, 401, 'tokens issued before the suspension are revoked');
+    t.equal((await server.post('/api/users/token/refresh').send({ refreshToken })).status, 401);
+
+    const blockedLogin = await login(email);
+    t.equal(blockedLogin.status, 403);
+    t.equal(blockedLogin.body.code, 'ACCOUNT_SUSPENDED');
+
+    const listed = await as(token).get('/api/admin/users?status=suspended');
+    t.ok(listed.body.data.users.some(user => user.id === target.id));
+
+    t.equal((await as(token).post(`/api/admin/users/${target.id}/unsuspend`)).status, 200);
+    t.notOk(target.isSuspended());
+    t.equal((await as(targetToken).get('/api/users/profile')).status, 401, 'unsuspending does not bring old tokens back');
+
+    const { token: fresh } = signIn(target);
+    t.equal((await as(fresh).get('/api/users/profile')).status, 200);
+});
+
+tap.test('a suspended user with a token issued later is still rejected', async (t) => {
+    const { user, token } = await createUser();
+    user.suspend('Abuse');
+
+    const response = await as(token).get('/api/users/profile');
+    t.equal(response.status, 403);
+    t.equal(response.body.code, 'ACCOUNT_SUSPENDED');
+});
+
+// ADMIN_EMAILS bootstrap
+
+tap.test('ADMIN_EMAILS accounts become admins once the address is verified', async (t) => {
+    const email = 'boss@example.com';
+    const signup = await server.post('/api/users/signup').send({ name: 'The Boss', email, password });
+    t.equal(signup.status, 200);
+    t.equal(signup.body.data.user.role, 'user', 'signing up with the address is not enough');
+
+    t.equal((await login(email)).status, 200);
+    t.equal(dataStore.getUserByEmail(email).role, 'user', 'nor is logging in before verifying');
+
+    const verified = await server.post('/api/users/verify-email').send({ token: verificationToken(email) });
+    t.equal(verified.status, 200);
+    t.equal(dataStore.getUserByEmail(email).role, 'admin');
+    t.equal((await as(signup.body.data.token).get('/api/admin/users')).status, 200);
+});
+
+tap.test('verified ADMIN_EMAILS accounts are promoted on their next login', async (t) => {
+    const { user, email } = await createUser({ email: 'new-boss@example.com' });
+    user.markEmailVerified();
+    t.equal(user.role, 'user');
+
+    const response = await login(email);
+    t.equal(response.status, 200);
+    t.equal(user.role, 'admin');
+});
+
+tap.teardown(() => {
+    process.exit(0);
+});
@@ -0,0 +1,168 @@
+const tap = require('tap');
+const supertest = require('supertest');
+const app = require('./helpers/app');
+const { password, createUser } = require('./helpers/users');
+const ApiKeyService = require('../services/ApiKeyService');
+const EmailService = require('../services/EmailService');
+const dataStore = require('../models/DataStore');
+const server = supertest(app);
+
+const article = dataStore.storeArticle({
+    title: 'Keys for robots',
+    description: 'Server-to-server clients read the news with API keys',
+    url: 'https://example.com/apikeys/robots',
+    publishedAt: '2024-01-02T10:00:00.000Z',
+    source: 'Example Wire',
+    category: 'technology',
+    language: 'en',
+});
+
+const createKey = (token, fields) => server.post('/api/users/api-keys')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ name: 'digest-job', scopes: ['news:read'], ...fields });
+const withKey = (key) => ({
+    get: (path) => server.get(path).set('X-API-Key', key),
+    put: (path, body = {}) => server.put(path).set('X-API-Key', key).send(body),
+});
+
+tap.test('a news:read key reads news but is rejected on /api/users/*', async (t) => {
+    const { token } = await createUser();
+    const created = await createKey(token);
+    t.equal(created.status, 201);
+    const { key } = created.body.data.apiKey;
+
+    t.equal((await withKey(key).get(`/api/news/${article.id}`)).status, 200);
+    t.equal((await withKey(key).get('/api/news/ingestion/status')).status, 200);
+
+    const requests = [
+        () => withKey(key).get('/api/users/profile'),
+        () => withKey(key).get('/api/users/preferences'),
+        () => withKey(key).put('/api/users/preferences', { preferences: ['sports'] }),
+        () => withKey(key).get('/api/users/sessions'),
+        () => withKey(key).get('/api/users/api-keys'),
+    ];
+    for (const request of requests) {
+        const response = await request();
+        t.equal(response.status, 403);
+        t.equal(response.body.code, 'INSUFFICIENT_SCOPE');
+    }
+});
+
+tap.test('an account key acts as the user but cannot manage credentials', async (t) => {
+    const { user, token } = await createUser();
+    const { key } = (await createKey(token, { scopes: ['account'] })).body.data.apiKey;
+
+    const profile = await withKey(key).get('/api/users/profile');
+    t.equal(profile.status, 200);
+    t.equal(profile.body.data.user.id, user.id);
+    t.equal((await withKey(key).get(`/api/news/${article.id}`)).status, 200);
+
+    t.equal((await withKey(key).get('/api/users/sessions')).status, 403);
+    t.equal((await withKey(key).get('/api/users/api-keys')).status, 403);
+    t.equal((await withKey(key).put('/api/users/password', { currentPassword: password, newPassword: 'N3w$ecretPass' })).status, 403);
+});
+
+tap.test('unknown and revoked keys get 401', async (t) => {
+    const { token } = await createUser();
+    const { id, key } = (await createKey(token)).body.data.apiKey;
+
+    t.equal((await withKey('nak_000000000000_not-a-real-key').get(`/api/news/${article.id}`)).status, 401);
+
+    const revoked = await server.delete(`/api/users/api-keys/${id}`).set('Authorization', `Bearer ${token}`);
+    t.equal(revoked.status, 200);
+    t.equal((await withKey(key).get(`/api/news/${article.id}`)).status, 401);
+
+    const again = await server.delete(`/api/users/api-keys/${id}`).set('Authorization', `Bearer ${token}`);
+    t.equal(again.status, 404);
+});
+
+tap.test('users cannot revoke each other\'s keys', async (t) => {
+    const owner = await createUser();
+    const other = await createUser();
+    const { id, key } = (await createKey(owner.token)).body.data.apiKey;
+
+    const response = await server.delete(`/api/users/api-keys/${id}`).set('Authorization', `Bearer ${other.token}`);
+    t.equal(response.status, 404);
+    t.equal((await withKey(key).get(`/api/news/${article.id}`)).status, 200);
+});
+
+tap.test('keys are stored only as hashes and shown once', async (t) => {
+    const { user, token } = await createUser();
+    const { id, key, prefix } = (await createKey(token)).body.data.apiKey;
+
+    t.match(key, /^nak_[a-f0-9]{12}_/);
+    t.ok(key.startsWith(`${prefix}_`));
+
+    const [stored] = dataStore.getUserApiKeys(user.id);
+    t.equal(stored.id, id);
+    t.equal(stored.hash, ApiKeyService.hash(key));
+    t.notOk(JSON.stringify(dataStore.toSnapshot()).includes(key), 'the raw key is never persisted');
+
+    const listed = await server.get('/api/users/api-keys').set('Authorization', `Bearer ${token}`);
+    t.equal(listed.body.data.apiKeys.length, 1);
+    t.notOk(JSON.stringify(listed.body).includes(key), 'the listing never repeats the key');
+});
+
+tap.test('using a key records when and from where it was last used', async (t) => {
+    const { token } = await createUser();
+    const { id, key, lastUsedAt } = (await createKey(token)).body.data.apiKey;
+    t.equal(lastUsedAt, null);
+
+    const before = Date.now();
+    await withKey(key).get(`/api/news/${article.id}`);
+
+    const listed = await server.get('/api/users/api-keys').set('Authorization', `Bearer ${token}`);
+    const [listedKey] = listed.body.data.apiKeys;
+    t.equal(listedKey.id, id);
+    t.ok(new Date(listedKey.lastUsedAt).getTime() >= before);
+    t.ok(listedKey.lastUsedIp);
+});
+
+tap.test('creating a key validates the name and scopes', async (t) => {
+    const { token } = await createUser();
+
+    t.equal((await createKey(token, { scopes: [] })).status, 400);
+    t.equal((await createKey(token, { scopes: ['admin'] })).status, 400);
+    t.equal((await createKey(token, { name: '' })).status, 400);
+});
+
+// Keys are revoked along with the password or email they were created under
+
+tap.test('changing the password revokes the user\'s keys', async (t) => {
+    const { token } = await createUser();
+    const { key } = (await createKey(token)).body.data.apiKey;
+
+    const changed = await server.put('/api/users/password')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ currentPassword: password, newPassword: 'N3w$ecretPass' });
+    t.equal(changed.status, 200);
+    t.equal((await withKey(key).get(`/api/news/${article.id}`)).status, 401);
+});
+
+tap.test('resetting the password revokes the user\'s keys', async (t) => {
+    const { email, token } = await createUser();
+    const { key } = (await createKey(token)).body.data.apiKey;
+
+    await server.post('/api/users/password/forgot').send({ email });
+    const message = EmailService.mailer.messages.filter(sent => sent.to === email).pop();
+    const resetToken = message.text.match(/password\/reset: (\S+)/)[1];
+
+    const reset = await server.post('/api/users/password/reset').send({ token: resetToken, password: 'N3w$ecretPass' });
+    t.equal(reset.status, 200);
+    t.equal((await withKey(key).get(`/api/news/${article.id}`)).status, 401);
+});
+
+tap.test('changing the email revokes the user\'s keys', async (t) => {
+    const { token } = await createUser();
+    const { key } = (await createKey(token)).body.data.apiKey;
+
+    const changed = await server.put('/api/users/email')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ currentPassword: password, email: 'keys-moved@example.com' });
+    t.equal(changed.status, 200);
+    t.equal((await withKey(key).get(`/api/news/${article.id}`)).status, 401);
+});
+
+tap.teardown(() => {
+    process.exit(0);
+});
@@ -0,0 +1,89 @@
+const tap = require('tap');
+const Article = require('../models/Article');
+const dataStore = require('../models/DataStore');
+
+const article = (fields = {}) => ({
+    title: 'Chipmakers sign new deal',
+    description: 'The agreement covers next-generation accelerators',
+    url: 'https://www.example.com/tech/chip-deal',
+    publishedAt: '2024-01-02T10:00:00.000Z',
+    source: 'Example Wire',
+    category: 'technology',
+    language: 'en',
+    ...fields,
+});
+
+// Canonical URLs and IDs
+
+tap.test('normalizeUrl drops tracking parameters, fragments and host variants', async (t) => {
+    const canonical = 'https://example.com/tech/chip-deal';
+    const variants = [
+        'https://www.example.com/tech/chip-deal',
+        'http://EXAMPLE.com/tech/chip-deal/',
+        'https://Example.COM/tech/chip-deal#comments',
+        'https://example.com/tech/chip-deal?utm_source=twitter&utm_medium=social',
+        'https://example.com/tech//chip-deal?fbclid=abc123&ref=homepage',
+    ];
+    variants.forEach(url => t.equal(Article.normalizeUrl(url), canonical, url));
+});
+
+tap.test('normalizeUrl keeps parameters that identify the story', async (t) => {
+    t.equal(
+        Article.normalizeUrl('https://example.com/story?utm_campaign=x&page=2&id=7'),
+        'https://example.com/story?id=7&page=2'
+    );
+    t.not(Article.normalizeUrl('https://example.com/story?id=7'), Article.normalizeUrl('https://example.com/story?id=8'));
+    t.equal(Article.normalizeUrl('  not a url '), 'not a url');
+});
+
+tap.test('generateId is deterministic for variants of the same URL', async (t) => {
+    const id = Article.generateId('https://www.example.com/tech/chip-deal?utm_source=rss#top');
+    t.equal(id, Article.generateId('HTTP://example.com/tech/chip-deal/'));
+    t.match(id, /^_[0-9a-f]{16}$/);
+    t.not(id, Article.generateId('https://example.com/tech/other-deal'));
+
+    // Without a URL the source, title and date identify the article
+    const fallback = { title: 'Untitled', source: 'Wire', publishedAt: '2024-01-02' };
+    t.equal(Article.generateId(null, fallback), Article.generateId('', { ...fallback, title: 'UNTITLED' }));
+    t.not(Article.generateId(null, fallback), Article.generateId(null, { ...fallback, source: 'Other' }));
+});
+
+// Upserts
+
+tap.test('storing the same URL twice keeps one record with merged fields', async (t) => {
+    dataStore.clearArticles();
+    const first = dataStore.storeArticle(article({ content: '' }));
+    const firstCreatedAt = first.createdAt;
+
+    const second = dataStore.storeArticle(article({
+        url: 'http://example.com/tech/chip-deal/?utm_source=newsletter',
+        title: 'Chipmakers sign new deal (updated)',
+        content: 'Full text of the story',
+        source: 'Unknown',
+        category: 'business',
+    }));
+
+    t.equal(second, first, 'the stored instance is returned');
+    t.equal(dataStore.getAllArticles().length, 1);
+    t.equal(first.title, 'Chipmakers sign new deal (updated)');
+    t.equal(first.content, 'Full text of the story');
+    t.equal(first.source, 'Example Wire', 'a placeholder source does not replace a real one');
+    t.equal(first.category, 'technology', 'the category is kept');
+    t.equal(first.createdAt, firstCreatedAt);
+    t.ok(first.updatedAt >= firstCreatedAt);
+});
+
+tap.test('merge does not blank fields the new copy lacks', async (t) => {
+    const stored = new Article(article({ author: 'Ada Lovelace', urlToImage: 'https://example.com/img.jpg' }));
+    stored.merge(new Article(article({ author: '', urlToImage: null, description: 'Shorter' })));
+
+    t.equal(stored.author, 'Ada Lovelace');
+    t.equal(stored.urlToImage, 'https://example.com/img.jpg');
+    t.equal(stored.description, 'Shorter');
+});
+
+tap.test('a real category replaces the search placeholder', async (t) => {
+    const stored = new Article(article({ category: 'search' }));
+    stored.merge(new Article(article({ category: 'science' })));
+    t.equal(stored.category, 'science');
+});
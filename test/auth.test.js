@@ -0,0 +1,183 @@
+const tap = require('tap');
+const supertest = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('./helpers/app');
+const { password, createUser, signIn } = require('./helpers/users');
+const server = supertest(app);
+const dataStore = require('../models/DataStore');
+const AuthService = require('../services/AuthService');
+
+const login = (email) => server.post('/api/users/login').send({ email, password });
+const refresh = (refreshToken) => server.post('/api/users/token/refresh').send({ refreshToken });
+const profile = (token) => server.get('/api/users/profile').set('Authorization', `Bearer ${token}`);
+const nextSecond = () => new Promise(resolve => setTimeout(resolve, 1000 - Date.now() % 1000));
+const logout = (token, path = '/api/users/logout') => server.post(path).set('Authorization', `Bearer ${token}`);
+
+// Refresh tokens
+
+tap.test('signup and login return a 15 minute access token and a refresh token', {
+    skip: process.env.JWT_EXPIRES_IN && 'JWT_EXPIRES_IN is set',
+}, async (t) => {
+    const signup = await server.post('/api/users/signup').send({
+        name: 'Auth User',
+        email: 'auth-signup@example.com',
+        password,
+    });
+    t.equal(signup.status, 200);
+
+    const { token, refreshToken, tokenType, expiresIn } = signup.body.data;
+    const decoded = jwt.decode(token);
+    t.equal(tokenType, 'Bearer');
+    t.equal(expiresIn, '15m');
+    t.equal(decoded.exp - decoded.iat, 15 * 60);
+    t.ok(refreshToken);
+
+    const loggedIn = await login('auth-signup@example.com');
+    t.equal(loggedIn.status, 200);
+    t.ok(loggedIn.body.data.refreshToken);
+    t.not(loggedIn.body.data.refreshToken, refreshToken);
+});
+
+tap.test('POST /api/users/token/refresh rotates the refresh token', async (t) => {
+    const { refreshToken } = await createUser();
+
+    const response = await refresh(refreshToken);
+    t.equal(response.status, 200);
+    t.ok(response.body.data.token);
+    t.not(response.body.data.refreshToken, refreshToken);
+
+    const next = await refresh(response.body.data.refreshToken);
+    t.equal(next.status, 200);
+    t.equal((await profile(next.body.data.token)).status, 200);
+});
+
+tap.test('reusing a rotated refresh token revokes the whole family', async (t) => {
+    const { refreshToken } = await createUser();
+    const rotated = (await refresh(refreshToken)).body.data;
+
+    const reuse = await refresh(refreshToken);
+    t.equal(reuse.status, 401);
+    t.match(reuse.body.errors, /reuse detected/);
+
+    // Every token of the session is cut off, including the ones issued by the rotation
+    t.equal((await refresh(rotated.refreshToken)).status, 401);
+    t.equal((await profile(rotated.token)).status, 401);
+});
+
+tap.test('reuse detection leaves other logins alone', async (t) => {
+    const { user, refreshToken } = await createUser();
+    const other = signIn(user);
+
+    await refresh(refreshToken);
+    await refresh(refreshToken);
+
+    t.equal((await profile(other.token)).status, 200);
+    t.equal((await refresh(other.refreshToken)).status, 200);
+});
+
+tap.test('POST /api/users/token/refresh rejects access tokens and garbage', async (t) => {
+    const { token } = await createUser();
+    t.equal((await refresh(token)).status, 401);
+    t.equal((await refresh('not-a-token')).status, 401);
+    t.equal((await server.post('/api/users/token/refresh').send({})).status, 400);
+});
+
+// Logout
+
+tap.test('POST /api/users/logout rejects the same access token afterwards', async (t) => {
+    const { user, token, refreshToken } = await createUser();
+    const other = signIn(user);
+
+    t.equal((await logout(token)).status, 200);
+    t.equal((await profile(token)).status, 401);
+    t.equal((await logout(token)).status, 401);
+    t.equal((await refresh(refreshToken)).status, 401);
+
+    // Only the current login ends
+    t.equal((await profile(other.token)).status, 200);
+    t.equal((await refresh(other.refreshToken)).status, 200);
+});
+
+tap.test('POST /api/users/logout-all cuts off every earlier token', async (t) => {
+    const { user, email, token, refreshToken } = await createUser();
+    const other = signIn(user);
+
+    // Access tokens only record their issue time to the second
+    await nextSecond();
+    t.equal((await logout(other.token, '/api/users/logout-all')).status, 200);
+    t.equal((await profile(token)).status, 401);
+    t.equal((await profile(other.token)).status, 401);
+    t.equal((await refresh(refreshToken)).status, 401);
+    t.equal((await refresh(other.refreshToken)).status, 401);
+
+    // A login within the same second as the logout still works
+    const next = (await login(email)).body.data;
+    t.equal((await profile(next.token)).status, 200);
+});
+
+tap.test('logout-all compares token issue times in whole seconds', async (t) => {
+    const { user, email, token } = await createUser();
+    await logout(token, '/api/users/logout-all');
+
+    const cutoff = Math.floor(dataStore.getUserByEmail(email).tokensValidAfter.getTime() / 1000);
+    const tokenIssuedAt = (iat) => AuthService.generateToken({ userId: user.id, email, name: user.name, iat });
+
+    t.equal((await profile(tokenIssuedAt(cutoff - 1))).status, 401);
+    t.equal((await profile(tokenIssuedAt(cutoff))).status, 200);
+});
+
+// Sessions
+
+tap.test('GET /api/users/sessions lists the caller\'s sessions', async (t) => {
+    const { user, token } = await createUser();
+    signIn(user);
+
+    const response = await server.get('/api/users/sessions')
+        .set('Authorization', `Bearer ${token}`)
+        .set('User-Agent', 'session-test');
+    t.equal(response.status, 200);
+    t.equal(response.body.data.sessions.length, 2);
+    t.same(response.body.data.sessions.map(session => session.current).sort(), [false, true]);
+
+    const current = response.body.data.sessions.find(session => session.current);
+    t.equal(current.userAgent, 'session-test', 'requests refresh the session details');
+});
+
+tap.test('DELETE /api/users/sessions/:id blocks that session immediately', async (t) => {
+    const { user, token } = await createUser();
+    const other = signIn(user);
+
+    const listed = await server.get('/api/users/sessions').set('Authorization', `Bearer ${token}`);
+    const target = listed.body.data.sessions.find(session => !session.current);
+
+    const response = await server.delete(`/api/users/sessions/${target.id}`).set('Authorization', `Bearer ${token}`);
+    t.equal(response.status, 200);
+    t.equal(response.body.data.current, false);
+
+    // Both tokens of the revoked session stop working before they expire
+    t.equal((await profile(other.token)).status, 401);
+    t.equal((await refresh(other.refreshToken)).status, 401);
+
+    t.equal((await profile(token)).status, 200);
+    const remaining = await server.get('/api/users/sessions').set('Authorization', `Bearer ${token}`);
+    t.same(remaining.body.data.sessions.map(session => session.current), [true]);
+
+    const again = await server.delete(`/api/users/sessions/${target.id}`).set('Authorization', `Bearer ${token}`);
+    t.equal(again.status, 404);
+});
+
+tap.test('DELETE /api/users/sessions/:id only revokes the caller\'s own sessions', async (t) => {
+    const owner = await createUser();
+    const intruder = await createUser();
+    const [session] = (await server.get('/api/users/sessions').set('Authorization', `Bearer ${owner.token}`))
+        .body.data.sessions;
+
+    const response = await server.delete(`/api/users/sessions/${session.id}`)
+        .set('Authorization', `Bearer ${intruder.token}`);
+    t.equal(response.status, 404);
+    t.equal((await profile(owner.token)).status, 200);
+});
+
+tap.teardown(() => {
+    process.exit(0);
+});
@@ -0,0 +1,143 @@
+const tap = require('tap');
+const config = require('../config/config');
+const Article = require('../models/Article');
+const NewsService = require('../services/NewsService');
+const { shingles, jaccard, createSignature, compareSignatures } = require('../utils/similarity');
+
+const article = (fields) => new Article({
+    publishedAt: '2024-03-01T08:00:00.000Z',
+    category: 'technology',
+    language: 'en',
+    ...fields,
+});
+
+// Similarity
+
+tap.test('jaccard and shingles', async (t) => {
+    t.equal(jaccard(new Set(['a', 'b', 'c']), new Set(['b', 'c', 'd'])), 0.5);
+    t.equal(jaccard(new Set(), new Set()), 0);
+    t.same([...shingles(['one', 'two', 'three', 'four'], 3)], ['one two three', 'two three four']);
+    t.same([...shingles(['one', 'two'], 3)], ['one', 'two'], 'short inputs fall back to single words');
+});
+
+tap.test('signatures ignore case, punctuation, accents and stop words', async (t) => {
+    const a = createSignature({ title: 'The Café opens in Paris!' });
+    const b = createSignature({ title: 'cafe OPENS, paris' });
+    t.equal(compareSignatures(a, b), 1);
+});
+
+// Threshold boundary (default 0.6)
+
+tap.test('articles exactly at the similarity threshold are merged', async (t) => {
+    // 3 shared words out of 5 distinct: similarity 0.6
+    const articles = [
+        article({ title: 'Apple unveils iPhone Tokyo', url: 'https://a.example.com/1', source: 'A' }),
+        article({ title: 'Apple unveils iPhone Berlin', url: 'https://b.example.com/1', source: 'B' }),
+    ];
+    t.equal(compareSignatures(createSignature(articles[0]), createSignature(articles[1])), 0.6);
+    t.equal(NewsService.removeDuplicates(articles).length, 1);
+});
+
+tap.test('articles just below the threshold are kept apart', async (t) => {
+    // 3 shared words out of 6 distinct: similarity 0.5
+    const articles = [
+        article({ title: 'Apple unveils iPhone Tokyo', url: 'https://a.example.com/2', source: 'A' }),
+        article({ title: 'Apple unveils iPhone Berlin Paris', url: 'https://b.example.com/2', source: 'B' }),
+    ];
+    t.equal(compareSignatures(createSignature(articles[0]), createSignature(articles[1])), 0.5);
+    t.equal(NewsService.removeDuplicates(articles).length, 2);
+});
+
+tap.test('the threshold comes from config', async (t) => {
+    const original = config.deduplication.similarityThreshold;
+    config.deduplication.similarityThreshold = 0.7;
+    t.teardown(() => {
+        config.deduplication.similarityThreshold = original;
+    });
+
+    const articles = [
+        article({ title: 'Apple unveils iPhone Tokyo', url: 'https://a.example.com/3', source: 'A' }),
+        article({ title: 'Apple unveils iPhone Berlin', url: 'https://b.example.com/3', source: 'B' }),
+    ];
+    t.equal(NewsService.removeDuplicates(articles).length, 2);
+});
+
+tap.test('descriptions can push a reworded title over the threshold', async (t) => {
+    const description = 'The central bank raised its benchmark interest rate by a quarter point on Wednesday';
+    const a = article({ title: 'Central bank lifts interest rates', description, url: 'https://a.example.com/4', source: 'A' });
+    const b = article({ title: 'Central bank raises rates', description, url: 'https://b.example.com/4', source: 'B' });
+
+    t.ok(jaccard(createSignature(a).title, createSignature(b).title) < 0.6, 'titles alone differ');
+    t.equal(NewsService.removeDuplicates([a, b]).length, 1);
+});
+
+// Representative choice
+
+tap.test('the most complete article represents the group', async (t) => {
+    const bare = article({ title: 'Rocket reaches orbit on first try', url: 'https://bare.example.com/rocket', source: 'Bare Wire' });
+    const full = article({
+        title: 'Rocket reaches orbit on first try',
+        description: 'The startup launch placed a test satellite in low Earth orbit',
+        urlToImage: 'https://full.example.com/rocket.jpg',
+        content: 'Full story',
+        author: 'Sam Reporter',
+        url: 'https://full.example.com/rocket',
+        source: 'Full Times',
+    });
+
+    const [kept] = NewsService.removeDuplicates([bare, full]);
+
+    t.equal(kept, full);
+    t.same(kept.alternateSources, [{ source: 'Bare Wire', url: bare.url, articleId: bare.id }]);
+});
+
+tap.test('ties go to the higher-priority (earlier) article', async (t) => {
+    const first = article({ title: 'Storm closes coastal highway', url: 'https://first.example.com/storm', source: 'First' });
+    const second = article({ title: 'Storm closes coastal highway', url: 'https://second.example.com/storm', source: 'Second' });
+
+    const [kept] = NewsService.removeDuplicates([first, second]);
+
+    t.equal(kept, first);
+    t.same(kept.alternateSources.map(alternate => alternate.source), ['Second']);
+});
+
+tap.test('alternate sources are carried over and never repeat', async (t) => {
+    const stored = article({
+        title: 'Museum returns looted statues',
+        url: 'https://stored.example.com/museum',
+        source: 'Stored',
+        alternateSources: [{ source: 'Older', url: 'https://older.example.com/museum', articleId: 'older' }],
+    });
+    const richer = article({
+        title: 'Museum returns looted statues',
+        description: 'Three bronze statues go back to the city they were taken from',
+        url: 'https://richer.example.com/museum',
+        source: 'Richer',
+        alternateSources: [{ source: 'Older', url: 'https://older.example.com/museum', articleId: 'older' }],
+    });
+    const exactCopy = article({ title: 'Museum returns looted statues', url: 'https://richer.example.com/museum?utm_source=x', source: 'Richer' });
+
+    const result = NewsService.removeDuplicates([stored, richer, exactCopy]);
+
+    t.equal(result.length, 1);
+    t.equal(result[0], richer);
+    t.same(result[0].alternateSources.map(alternate => alternate.articleId).sort(), [stored.id, 'older'].sort());
+});
+
+tap.test('merging a stored article keeps its alternate sources unique', async (t) => {
+    const stored = article({ title: 'Bridge reopens', url: 'https://a.example.com/bridge', source: 'A' });
+    stored.addAlternateSources([{ source: 'B', url: 'https://b.example.com/bridge', articleId: 'b' }]);
+
+    stored.merge(article({
+        title: 'Bridge reopens',
+        url: 'https://a.example.com/bridge',
+        source: 'A',
+        alternateSources: [
+            { source: 'B', url: 'https://b.example.com/bridge', articleId: 'b' },
+            { source: 'C', url: 'https://c.example.com/bridge', articleId: 'c' },
+            { source: 'A', url: stored.url, articleId: stored.id },
+        ],
+    }));
+
+    t.same(stored.alternateSources.map(alternate => alternate.articleId), ['b', 'c']);
+});
@@ -0,0 +1,101 @@
+const tap = require('tap');
+const supertest = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('./helpers/app');
+const { password, createUser } = require('./helpers/users');
+const AccountDeletionService = require('../services/AccountDeletionService');
+const EmailService = require('../services/EmailService');
+const dataStore = require('../models/DataStore');
+const server = supertest(app);
+
+// Create a user with an account-scoped API key, then request deletion
+const createAndDelete = async () => {
+    const { email, token, refreshToken } = await createUser();
+    const auth = { Authorization: `Bearer ${token}` };
+    const { key } = (await server.post('/api/users/api-keys').set(auth)
+        .send({ name: 'script', scopes: ['account'] })).body.data.apiKey;
+
+    const response = await server.delete('/api/users/account').set(auth);
+    return { email, token, refreshToken, apiKey: key, response };
+};
+
+const login = (email) => server.post('/api/users/login').send({ email, password });
+const restoreToken = (email) => EmailService.mailer.messages.filter(sent => sent.to === email).pop()
+    .text.match(/account\/restore: (\S+)/)[1];
+
+tap.test('DELETE /api/users/account schedules deletion and signs out everywhere', async (t) => {
+    const { token, refreshToken, response } = await createAndDelete();
+    t.equal(response.status, 200);
+    t.ok(new Date(response.body.data.deletionScheduledFor) > new Date());
+
+    t.equal((await server.get('/api/users/profile').set('Authorization', `Bearer ${token}`)).status, 401);
+    t.equal((await server.post('/api/users/token/refresh').send({ refreshToken })).status, 401);
+});
+
+tap.test('an account pending deletion cannot log in', async (t) => {
+    const { email } = await createAndDelete();
+    const firstLink = restoreToken(email);
+
+    const response = await login(email);
+    t.equal(response.status, 403);
+    t.equal(response.body.code, 'ACCOUNT_PENDING_DELETION');
+
+    // The right password resends the restore link, replacing the first one
+    t.not(restoreToken(email), firstLink);
+    t.equal((await server.post('/api/users/account/restore').send({ token: firstLink })).status, 400);
+});
+
+tap.test('authenticate refuses credentials of an account pending deletion', async (t) => {
+    const { apiKey } = await createAndDelete();
+
+    const response = await server.get('/api/users/profile').set('X-API-Key', apiKey);
+    t.equal(response.status, 403);
+    t.equal(response.body.code, 'ACCOUNT_PENDING_DELETION');
+});
+
+tap.test('POST /api/users/account/restore cancels the deletion once', async (t) => {
+    const { email, apiKey } = await createAndDelete();
+    const token = restoreToken(email);
+
+    t.equal((await server.post('/api/users/account/restore').send({ token })).status, 200);
+    t.equal((await login(email)).status, 200);
+    t.equal((await server.get('/api/users/profile').set('X-API-Key', apiKey)).status, 200);
+    t.notOk(dataStore.getUserByEmail(email).isPendingDeletion());
+
+    t.equal((await server.post('/api/users/account/restore').send({ token })).status, 400);
+});
+
+tap.test('an admin can restore an account', async (t) => {
+    const admin = await createUser({ role: 'admin' });
+    const { email } = await createAndDelete();
+    const { id } = dataStore.getUserByEmail(email);
+
+    const response = await server.post(`/api/admin/users/${id}/restore`).set('Authorization', `Bearer ${admin.token}`);
+    t.equal(response.status, 200);
+    t.equal((await login(email)).status, 200);
+});
+
+tap.test('purgeDue removes due accounts with their sessions, tokens and keys', async (t) => {
+    const due = await createAndDelete();
+    const notDue = await createAndDelete();
+    const user = dataStore.getUserByEmail(due.email);
+    const { jti } = jwt.decode(due.refreshToken);
+    user.deletionScheduledFor = new Date(Date.now() - 1000);
+
+    const result = AccountDeletionService.purgeDue();
+    t.equal(result.purged, 1);
+
+    t.equal(dataStore.getUserByEmail(due.email), undefined);
+    t.same(dataStore.getUserSessions(user.id), []);
+    t.same(dataStore.getUserApiKeys(user.id), []);
+    t.notOk(dataStore.getRefreshToken(jti));
+    t.equal(dataStore.findOneTimeToken(user.id, 'account-restore'), null);
+    t.equal((await server.get('/api/users/profile').set('X-API-Key', due.apiKey)).status, 401);
+
+    // Accounts still in their grace period stay
+    t.ok(dataStore.getUserByEmail(notDue.email));
+});
+
+tap.teardown(() => {
+    process.exit(0);
+});
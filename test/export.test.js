@@ -0,0 +1,205 @@
+const tap = require('tap');
+const zlib = require('zlib');
+const supertest = require('supertest');
+const app = require('./helpers/app');
+const { createUser } = require('./helpers/users');
+const ApiKeyService = require('../services/ApiKeyService');
+const ExportService = require('../services/ExportService');
+const dataStore = require('../models/DataStore');
+const { createZip } = require('../utils/zip');
+const { toCsv } = require('../utils/csv');
+const server = supertest(app);
+
+/**
+ * Read a ZIP archive through its central directory, checking every entry's CRC-32
+ * against node's zlib implementation
+ * @param {Buffer} archive - ZIP file
+ * @returns {Object} - { names, files: name -> string content, crcMismatches }
+ */
+const readZip = (archive) => {
+    const end = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    if (end === -1) throw new Error('No end of central directory record');
+
+    const count = archive.readUInt16LE(end + 10);
+    let offset = archive.readUInt32LE(end + 16);
+    const names = [];
+    const files = {};
+    const crcMismatches = [];
+
+    for (let i = 0; i < count; i++) {
+        if (archive.readUInt32LE(offset) !== 0x02014b50) throw new Error(`Bad central directory entry ${i}`);
+        const method = archive.readUInt16LE(offset + 10);
+        const crc = archive.readUInt32LE(offset + 16);
+        const compressedSize = archive.readUInt32LE(offset + 20);
+        const size = archive.readUInt32LE(offset + 24);
+        const nameLength = archive.readUInt16LE(offset + 28);
+        const extraLength = archive.readUInt16LE(offset + 30);
+        const commentLength = archive.readUInt16LE(offset + 32);
+        const localOffset = archive.readUInt32LE(offset + 42);
+        const name = archive.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        if (archive.readUInt32LE(localOffset) !== 0x04034b50) throw new Error(`Bad local header for ${name}`);
+        const dataStart = localOffset + 30 + archive.readUInt16LE(localOffset + 26) + archive.readUInt16LE(localOffset + 28);
+        const stored = archive.subarray(dataStart, dataStart + compressedSize);
+        const data = method === 8 ? zlib.inflateRawSync(stored) : stored;
+
+        if (data.length !== size || zlib.crc32(data) !== crc) crcMismatches.push(name);
+        names.push(name);
+        files[name] = data.toString('utf8');
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return { names, files, crcMismatches };
+};
+
+// Collect a binary response body instead of letting superagent parse it
+const binary = (res, callback) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+const get = (token, path) => server.get(path).set('Authorization', `Bearer ${token}`).buffer(true).parse(binary);
+const getJson = (token, path) => server.get(path).set('Authorization', `Bearer ${token}`);
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const article = dataStore.storeArticle({
+    title: 'Exports, explained: "what we keep"',
+    description: 'Everything stored about an account, in one archive',
+    url: 'https://example.com/export/explained',
+    publishedAt: '2024-01-02T10:00:00.000Z',
+    source: 'Example Wire',
+    category: 'technology',
+    language: 'en',
+});
+
+// Poll a job until it is no longer pending or processing
+const waitForJob = async (token, statusUrl) => {
+    for (let i = 0; i < 50; i++) {
+        const { job } = (await getJson(token, statusUrl)).body.data;
+        if (job.status !== 'pending' && job.status !== 'processing') return job;
+        await wait(20);
+    }
+    throw new Error('Export job did not finish');
+};
+
+// Utilities
+
+tap.test('createZip writes a valid archive with matching CRCs', async (t) => {
+    const content = 'héllo, archive\n'.repeat(100);
+    const archive = await createZip([
+        { name: 'hello.txt', content },
+        { name: 'empty.txt', content: '' },
+        { name: 'bytes.bin', content: Buffer.from([0, 1, 2, 255]) },
+    ]);
+
+    const { names, files, crcMismatches } = readZip(archive);
+    t.same(names, ['hello.txt', 'empty.txt', 'bytes.bin']);
+    t.same(crcMismatches, []);
+    t.equal(files['hello.txt'], content);
+    t.equal(files['empty.txt'], '');
+    t.ok(archive.length < content.length, 'entries are compressed');
+});
+
+tap.test('toCsv quotes special characters and defuses formulas', async (t) => {
+    const csv = toCsv(['a', 'b'], [
+        { a: 'plain', b: 'with, comma' },
+        { a: 'say "hi"', b: 'two\nlines' },
+        { a: '=SUM(A1)', b: null },
+    ]);
+    t.equal(csv, 'a,b\r\nplain,"with, comma"\r\n"say ""hi""","two\nlines"\r\n\'=SUM(A1),\r\n');
+});
+
+// Inline export
+
+tap.test('GET /api/users/export returns a ZIP with the account data as JSON and CSV', async (t) => {
+    const { user, email, token } = await createUser({ preferences: ['technology', 'science'] });
+    dataStore.markArticleAsRead(user.id, article.id);
+    dataStore.markArticleAsFavorite(user.id, article.id);
+    const { key } = ApiKeyService.create(user, { name: 'digest-job', scopes: ['news:read'] });
+
+    const response = await get(token, '/api/users/export');
+    t.equal(response.status, 200);
+    t.match(response.headers['content-type'], /application\/zip/);
+    t.match(response.headers['content-disposition'], /attachment; filename="news-aggregator-export-\d{4}-\d{2}-\d{2}\.zip"/);
+
+    const { names, files, crcMismatches } = readZip(response.body);
+    t.same(crcMismatches, []);
+    t.same(names.sort(), [
+        'api_keys.csv', 'export.json', 'favorites.csv', 'preferences.json',
+        'profile.json', 'read_history.csv', 'sessions.csv',
+    ]);
+
+    const data = JSON.parse(files['export.json']);
+    t.equal(data.profile.email, email);
+    t.notOk('password' in data.profile, 'the password hash is not exported');
+    t.same(data.preferences.categories, ['technology', 'science']);
+    t.same(JSON.parse(files['preferences.json']), user.preferences);
+    t.equal(JSON.parse(files['profile.json']).id, user.id);
+    t.equal(data.favorites[0].article.title, article.title);
+    t.equal(data.sessions.length, 1);
+
+    const readHistory = files['read_history.csv'].split('\r\n');
+    t.equal(readHistory[0], 'articleId,readAt,title,url,source,publishedAt');
+    t.match(readHistory[1], `${article.id},`);
+    t.match(files['favorites.csv'], '"Exports, explained: ""what we keep"""');
+
+    const apiKeys = files['api_keys.csv'].split('\r\n');
+    t.match(apiKeys[1], 'digest-job');
+    t.match(apiKeys[1], 'news:read');
+    t.notOk(Object.values(files).some(content => content.includes(key)), 'API keys are never exported');
+    t.notOk(Object.values(files).some(content => content.includes(ApiKeyService.hash(key))), 'nor their hashes');
+});
+
+// Background jobs
+
+tap.test('large exports run as a job that only its owner can read and download', async (t) => {
+    const { user, token } = await createUser();
+    const other = await createUser();
+    dataStore.markArticleAsFavorite(user.id, article.id);
+
+    const syncMaxRecords = ExportService.settings.syncMaxRecords;
+    ExportService.settings.syncMaxRecords = 0;
+    t.teardown(() => {
+        ExportService.settings.syncMaxRecords = syncMaxRecords;
+    });
+
+    const started = await getJson(token, '/api/users/export');
+    t.equal(started.status, 202);
+    const { statusUrl } = started.body.data.job;
+    t.equal(started.headers.location, statusUrl);
+
+    const job = await waitForJob(token, statusUrl);
+    t.equal(job.status, 'completed');
+    t.equal(job.downloadUrl, `${statusUrl}/download`);
+
+    t.equal((await getJson(other.token, statusUrl)).status, 404, 'other users cannot see the job');
+    t.equal((await getJson(other.token, job.downloadUrl)).status, 404, 'nor download it');
+
+    const download = await get(token, job.downloadUrl);
+    t.equal(download.status, 200);
+    t.equal(download.body.length, job.size);
+    const { files, crcMismatches } = readZip(download.body);
+    t.same(crcMismatches, []);
+    t.equal(JSON.parse(files['export.json']).favorites[0].articleId, article.id);
+});
+
+tap.test('?async=true starts a job for small exports too', async (t) => {
+    const { token } = await createUser();
+
+    const started = await getJson(token, '/api/users/export?async=true');
+    t.equal(started.status, 202);
+    t.equal((await waitForJob(token, started.body.data.job.statusUrl)).status, 'completed');
+});
+
+tap.test('a job that has not finished is reused', async (t) => {
+    const { user } = await createUser();
+
+    const job = ExportService.createJob(user);
+    t.equal(job.status, 'pending');
+    t.equal(ExportService.createJob(user), job);
+});
+
+tap.teardown(() => {
+    process.exit(0);
+});
@@ -0,0 +1,159 @@
+const tap = require('tap');
+const supertest = require('supertest');
+const app = require('./helpers/app');
+const server = supertest(app);
+const dataStore = require('../models/DataStore');
+const { encodeCursor, decodeCursor, compareFeedOrder, InvalidCursorError } = require('../utils/cursor');
+
+const base = Date.UTC(2024, 2, 1, 12);
+let token = '';
+
+// Articles a minute apart, newest first; every third pair shares a timestamp to exercise ID tie-breaks
+const storeArticles = (count, { prefix = 'story', start = base, category = 'technology' } = {}) =>
+    dataStore.storeArticles(Array.from({ length: count }, (_, index) => ({
+        title: `Feed ${prefix} ${index}`,
+        url: `https://example.com/${category}/${prefix}-${index}`,
+        publishedAt: new Date(start - Math.floor(index / 2) * 60 * 1000 * (index % 3 === 0 ? 0 : 1)),
+        source: 'Feed Wire',
+        category,
+        language: 'en',
+    })));
+
+const getFeed = (params) => server.get('/api/news')
+    .query(params)
+    .set('Authorization', `Bearer ${token}`);
+
+// Follow nextCursor until the feed ends; returns every page's response body
+const readAllPages = async (t, params) => {
+    const pages = [];
+    let cursor;
+    do {
+        const response = await getFeed(cursor ? { ...params, cursor } : params);
+        t.equal(response.status, 200);
+        pages.push(response.body);
+        cursor = response.body.meta.pagination.nextCursor;
+    } while (cursor && pages.length < 50);
+    return pages;
+};
+
+const ids = (body) => body.data.news.map(article => article.id);
+
+tap.before(async () => {
+    const response = await server.post('/api/users/signup').send({
+        name: 'Feed Reader',
+        email: 'feed@example.com',
+        password: 'F33d!reader',
+        preferences: ['technology'],
+    });
+    token = response.body.data.token;
+});
+
+tap.beforeEach(() => {
+    dataStore.clearArticles();
+});
+
+tap.teardown(() => process.exit(0));
+
+// Cursor encoding
+
+tap.test('cursors round-trip and are tied to their feed', async (t) => {
+    const feed = { categories: ['technology'], language: 'en' };
+    const cursor = encodeCursor({ publishedAt: new Date(base), id: '_abc', upstreamPage: 2, feed });
+
+    t.same(decodeCursor(cursor, feed), { publishedAt: new Date(base), id: '_abc', upstreamPage: 2 });
+    t.throws(() => decodeCursor(cursor, { categories: ['science'], language: 'en' }), InvalidCursorError);
+    t.throws(() => decodeCursor('not-a-cursor', feed), InvalidCursorError);
+    t.throws(() => decodeCursor(Buffer.from('{"p":"x","i":1,"u":1}').toString('base64url'), feed), InvalidCursorError);
+});
+
+// Paging
+
+tap.test('following cursors returns every article once, in feed order', async (t) => {
+    const stored = storeArticles(25);
+    const expected = stored.slice().sort(compareFeedOrder).map(article => article.id);
+
+    const pages = await readAllPages(t, { limit: 10 });
+    const seen = pages.flatMap(ids);
+
+    t.equal(pages.length, 3);
+    t.same(pages.map(page => page.data.news.length), [10, 10, 5]);
+    t.equal(new Set(seen).size, seen.length, 'no article repeats across pages');
+    t.same(seen, expected);
+});
+
+tap.test('hasNext and nextCursor are false/null on the last page', async (t) => {
+    storeArticles(20);
+
+    const pages = await readAllPages(t, { limit: 10 });
+
+    t.equal(pages.length, 2, 'an exactly full last page does not promise another');
+    t.equal(pages[0].meta.pagination.hasNext, true);
+    t.type(pages[0].meta.pagination.nextCursor, 'string');
+    t.equal(pages[1].data.news.length, 10);
+    t.equal(pages[1].meta.pagination.hasNext, false);
+    t.equal(pages[1].meta.pagination.nextCursor, null);
+
+    const single = await getFeed({ limit: 50 });
+    t.equal(single.body.data.news.length, 20);
+    t.equal(single.body.meta.pagination.nextCursor, null);
+});
+
+tap.test('articles arriving between requests do not shift later pages', async (t) => {
+    const stored = storeArticles(15);
+    const original = stored.slice().sort(compareFeedOrder).map(article => article.id);
+
+    const first = await getFeed({ limit: 5 });
+    t.same(ids(first.body), original.slice(0, 5));
+
+    // Newer stories arrive at the top of the feed while the client pages
+    storeArticles(8, { prefix: 'breaking', start: base + 60 * 60 * 1000 });
+
+    const second = await getFeed({ limit: 5, cursor: first.body.meta.pagination.nextCursor });
+    t.same(ids(second.body), original.slice(5, 10));
+
+    storeArticles(3, { prefix: 'later', start: base + 2 * 60 * 60 * 1000 });
+
+    const third = await getFeed({ limit: 5, cursor: second.body.meta.pagination.nextCursor });
+    t.same(ids(third.body), original.slice(10, 15));
+    t.equal(third.body.meta.pagination.nextCursor, null);
+
+    const all = [...ids(first.body), ...ids(second.body), ...ids(third.body)];
+    t.equal(new Set(all).size, 15, 'no repeats');
+});
+
+tap.test('offset pages are still supported without a cursor', async (t) => {
+    storeArticles(12);
+
+    const byCursor = await readAllPages(t, { limit: 5 });
+    const byPage = await getFeed({ limit: 5, page: 2 });
+
+    t.same(ids(byPage.body), ids(byCursor[1]));
+    t.equal(byPage.body.meta.pagination.page, 2);
+    t.equal(byPage.body.meta.pagination.hasPrev, true);
+});
+
+// Invalid cursors
+
+tap.test('a tampered or foreign cursor is rejected with 400', async (t) => {
+    storeArticles(12);
+    const first = await getFeed({ limit: 5 });
+    const cursor = first.body.meta.pagination.nextCursor;
+
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const tampered = Buffer.from(JSON.stringify({ ...payload, f: 'forged' })).toString('base64url');
+
+    let response = await getFeed({ limit: 5, cursor: tampered });
+    t.equal(response.status, 400);
+    t.equal(response.body.message, 'Invalid cursor');
+
+    response = await getFeed({ limit: 5, cursor: 'definitely%not%base64' });
+    t.equal(response.status, 400);
+
+    response = await getFeed({ limit: 5, cursor: cursor.slice(0, -6) });
+    t.equal(response.status, 400);
+
+    // A cursor from the technology feed cannot continue the science feed
+    response = await getFeed({ limit: 5, category: 'science', cursor });
+    t.equal(response.status, 400);
+    t.equal(response.body.errors, 'Cursor does not belong to this feed');
+});
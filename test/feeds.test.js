@@ -0,0 +1,108 @@
+const tap = require('tap');
+const fs = require('fs');
+const path = require('path');
+const { parseFeed, decodeEntities } = require('../utils/feedParser');
+const RssProvider = require('../services/providers/RssProvider');
+
+const fixture = (name) => path.join(__dirname, 'fixtures', 'feeds', name);
+const readFixture = (name) => fs.readFileSync(fixture(name), 'utf8');
+
+// Parser tests
+
+tap.test('parseFeed reads RSS 2.0 channels and items', async (t) => {
+    const feed = parseFeed(readFixture('rss2.xml'));
+    t.equal(feed.format, 'rss');
+    t.equal(feed.title, 'Example Tech Wire');
+    t.equal(feed.language, 'en-us');
+    t.equal(feed.items.length, 3);
+
+    const [first, second] = feed.items;
+    t.equal(first.title, 'Chipmakers & cloud providers sign new deal');
+    t.equal(first.description, 'The agreement covers next-generation accelerators.');
+    t.equal(first.author, 'Ada Lovelace');
+    t.equal(first.image, 'https://wire.example.com/img/chips.jpg');
+    t.equal(first.publishedAt, '2024-01-02T10:00:00.000Z');
+    t.same(first.categories, ['Hardware']);
+
+    t.equal(second.link, 'https://wire.example.com/db-1-0');
+    t.equal(second.image, 'https://wire.example.com/img/db.png');
+});
+
+tap.test('parseFeed reads Atom entries', async (t) => {
+    const feed = parseFeed(readFixture('atom.xml'));
+    t.equal(feed.format, 'atom');
+    t.equal(feed.language, 'en');
+    t.equal(feed.items.length, 2);
+
+    const [first, second] = feed.items;
+    t.equal(first.link, 'https://science.example.org/exoplanet-water');
+    t.equal(first.description, 'Astronomers report the clearest signal yet.');
+    t.equal(first.author, 'Grace Hopper');
+    t.equal(first.publishedAt, '2024-01-03T11:00:00.000Z');
+
+    t.equal(second.link, 'https://science.example.org/gene-therapy');
+    t.equal(second.description, 'Patients remained symptom-free — two years on.');
+    t.equal(second.publishedAt, '2024-01-02T08:00:00.000Z');
+});
+
+tap.test('parseFeed rejects documents that are not feeds', async (t) => {
+    t.throws(() => parseFeed('<html><body>nope</body></html>'), /Unsupported feed format/);
+});
+
+tap.test('decodeEntities leaves out-of-range character references as written', async (t) => {
+    t.equal(decodeEntities('caf&#233; &#x1F4F0;'), 'café 📰');
+    t.equal(decodeEntities('bad &#99999999; and &#x110000;'), 'bad &#99999999; and &#x110000;');
+    t.doesNotThrow(() => parseFeed('<rss><channel><title>T &#99999999;</title></channel></rss>'));
+});
+
+// Provider tests
+
+const provider = new RssProvider({
+    feeds: [
+        { category: 'technology', url: fixture('rss2.xml') },
+        { category: 'science', url: `file://${fixture('atom.xml')}`, name: 'Science Journal' },
+    ],
+});
+
+tap.test('RssProvider maps feed items to articles for a category', async (t) => {
+    const articles = await provider.fetchHeadlines({ category: 'technology', language: 'en', pageSize: 10 });
+    t.equal(articles.length, 2, 'items without a title are skipped');
+    t.equal(articles[0].category, 'technology');
+    t.equal(articles[0].source, 'Example Tech Wire');
+    t.equal(articles[0].language, 'en');
+    t.ok(articles[0].publishedAt > articles[1].publishedAt, 'newest first');
+});
+
+tap.test('RssProvider respects language and page size', async (t) => {
+    const limited = await provider.fetchHeadlines({ category: 'science', language: 'en', pageSize: 1 });
+    t.equal(limited.length, 1);
+    t.equal(limited[0].source, 'Science Journal');
+
+    const german = await provider.fetchHeadlines({ category: 'science', language: 'de', pageSize: 10 });
+    t.equal(german.length, 0);
+});
+
+tap.test('RssProvider search matches every term across feeds', async (t) => {
+    const results = await provider.search({ query: 'gene therapy', language: 'en', pageSize: 10 });
+    t.equal(results.length, 1);
+    t.equal(results[0].url, 'https://science.example.org/gene-therapy');
+});
+
+tap.test('RssProvider detects the language of items in feeds without one', async (t) => {
+    const world = new RssProvider({ feeds: [{ category: 'general', url: fixture('multilingual.xml') }] });
+
+    const german = await world.fetchHeadlines({ category: 'general', language: 'de', pageSize: 10 });
+    t.same(german.map(article => article.url), ['https://world.example.net/de/energiewende']);
+
+    const hindi = await world.fetchHeadlines({ category: 'general', language: 'hi', pageSize: 10 });
+    t.same(hindi.map(article => article.url), ['https://world.example.net/hi/chandrayaan']);
+
+    const english = await world.fetchHeadlines({ category: 'general', language: 'en', pageSize: 10 });
+    t.same(english.map(article => article.url), ['https://world.example.net/en/rates']);
+});
+
+tap.test('RssProvider tolerates unreadable feeds', async (t) => {
+    const broken = new RssProvider({ feeds: [{ category: 'general', url: fixture('missing.xml') }] });
+    const articles = await broken.fetchHeadlines({ category: 'general', language: 'en' });
+    t.same(articles, []);
+});
@@ -0,0 +1,12 @@
+/**
+ * Load the app for integration tests
+ * Runs before config is read: background ingestion and account purging stay off and
+ * every test file listens on its own free port
+ */
+Object.assign(process.env, {
+    PORT: '0',
+    INGESTION_ENABLED: 'false',
+    ACCOUNT_PURGE_ENABLED: 'false',
+});
+
+module.exports = require('../../app');
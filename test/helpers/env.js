@@ -0,0 +1,5 @@
+/**
+ * Preloaded into every test process (see "tap" in package.json) before config is read
+ * NODE_ENV=test keeps account emails in memory instead of the outbox directory
+ */
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
@@ -0,0 +1,49 @@
+/**
+ * Create signed-in accounts for integration tests
+ * Signup and login share a strict per-IP rate limit, so tests that only need a user
+ * (or another session for one) create it here and leave the routes to the tests about them
+ */
+const AuthService = require('../../services/AuthService');
+const TokenService = require('../../services/TokenService');
+const dataStore = require('../../models/DataStore');
+
+const password = 'Sup3r$ecret';
+let hashedPassword = null;
+let count = 0;
+
+/**
+ * Start another session for a user, as a login would
+ * @param {User} user - Stored user
+ * @returns {Object} - { token, refreshToken }
+ */
+function signIn(user) {
+    const { token, refreshToken } = TokenService.issueTokens(user);
+    return { token, refreshToken };
+}
+
+/**
+ * Create a user the way signup does and sign it in
+ * @param {Object} fields - User fields to override, e.g. { email, preferences }
+ * @returns {Promise<Object>} - { user, email, password, token, refreshToken }
+ */
+async function createUser(fields = {}) {
+    count++;
+    // Hashing is slow on purpose, so every test user shares one password hash
+    hashedPassword = hashedPassword || await AuthService.hashPassword(password);
+
+    const user = dataStore.createUser({
+        name: 'Test User',
+        email: `user-${count}@example.com`,
+        password: hashedPassword,
+        preferences: [],
+        ...fields,
+    });
+
+    return { user, email: user.email, password, ...signIn(user) };
+}
+
+module.exports = {
+    password,
+    createUser,
+    signIn,
+};
@@ -0,0 +1,304 @@
+const tap = require('tap');
+const supertest = require('supertest');
+const app = require('./helpers/app');
+const server = supertest(app);
+const config = require('../config/config');
+const dataStore = require('../models/DataStore');
+const Article = require('../models/Article');
+const NewsService = require('../services/NewsService');
+const IngestionScheduler = require('../services/IngestionScheduler');
+const BaseProvider = require('../services/providers/BaseProvider');
+const ProviderRegistry = require('../services/providers/ProviderRegistry');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Provider stub that counts requests and can be slowed down or made to fail
+ */
+class StubProvider extends BaseProvider {
+    constructor({ delayMs = 0, fail = false } = {}) {
+        super({ name: 'stub' });
+        this.delayMs = delayMs;
+        this.fail = fail;
+        this.requests = 0;
+        this.pages = [];
+        this.inFlight = 0;
+        this.maxInFlight = 0;
+    }
+
+    async fetchHeadlines({ category, language, country = null, page = 1 }) {
+        this.requests++;
+        this.pages.push(page);
+        this.inFlight++;
+        this.maxInFlight = Math.max(this.maxInFlight, this.inFlight);
+        try {
+            await wait(this.delayMs);
+            if (this.fail) {
+                throw new Error('upstream unavailable');
+            }
+            if (page > 1) {
+                return [];
+            }
+            const article = new Article({
+                title: country ? `Stub ${category} story (${country})` : `Stub ${category} story`,
+                url: `https://stub.example.com/${category}/${language}/${country || 'global'}`,
+                publishedAt: new Date(),
+                source: 'Stub Wire',
+                category,
+                language,
+            });
+            return [article.addCountry(country)];
+        } finally {
+            this.inFlight--;
+        }
+    }
+}
+
+// Swap the providers NewsService uses for the duration of a test
+const useProvider = (t, provider) => {
+    const original = NewsService.providers;
+    const registry = new ProviderRegistry({ enabled: provider ? [provider.name] : [] });
+    if (provider) registry.register(provider);
+
+    NewsService.providers = registry;
+    t.teardown(() => {
+        NewsService.providers = original;
+    });
+};
+
+const createScheduler = (settings = {}) => new IngestionScheduler.constructor({
+    enabled: true,
+    intervalMs: 60 * 60 * 1000,
+    categories: ['technology', 'science'],
+    languages: ['en'],
+    maxLanguages: 3,
+    countries: [],
+    maxCountries: 5,
+    pageSize: 5,
+    ...settings,
+});
+
+tap.beforeEach(() => {
+    dataStore.clearArticles();
+});
+
+tap.teardown(() => process.exit(0));
+
+// Scheduling
+
+tap.test('start runs immediately and then on every interval until stopped', async (t) => {
+    useProvider(t, new StubProvider());
+    const scheduler = createScheduler({ intervalMs: 25 });
+
+    scheduler.start();
+    t.teardown(() => scheduler.stop());
+    t.ok(scheduler.isRunning());
+    t.equal(scheduler.getStatus().inProgress, true, 'the first run starts right away');
+
+    await wait(150);
+    scheduler.stop();
+    // A run already in flight may still finish and count
+    await scheduler.currentRun;
+    const runs = scheduler.runCount;
+    t.ok(runs >= 2, `ran ${runs} times`);
+    t.notOk(scheduler.isRunning());
+
+    await wait(80);
+    t.equal(scheduler.runCount, runs, 'no runs after stop');
+});
+
+tap.test('a run fetches every category/language job and stores the articles', async (t) => {
+    useProvider(t, new StubProvider());
+    const scheduler = createScheduler({ languages: ['en', 'fr'] });
+
+    const summary = await scheduler.runOnce();
+
+    t.equal(summary.jobs, 4);
+    t.equal(summary.failedJobs, 0);
+    t.equal(summary.articlesStored, 4);
+    t.equal(dataStore.getAllArticles().length, 4);
+    t.same(
+        scheduler.getStatus().jobs.map(job => `${job.category}_${job.language}`).sort(),
+        ['science_en', 'science_fr', 'technology_en', 'technology_fr']
+    );
+});
+
+tap.test('a run is capped to the configured number of languages and countries', async (t) => {
+    useProvider(t, new StubProvider());
+    const scheduler = createScheduler({
+        categories: ['technology'],
+        languages: ['en', 'fr', 'de'],
+        maxLanguages: 2,
+        countries: ['us', 'gb', 'in'],
+        maxCountries: 2,
+    });
+
+    const summary = await scheduler.runOnce();
+
+    // Global headlines plus two countries, for two languages
+    t.equal(summary.jobs, 6);
+    t.same(
+        scheduler.getStatus().jobs.map(job => `${job.language}_${job.country || 'global'}`).sort(),
+        ['en_gb', 'en_global', 'en_us', 'fr_gb', 'fr_global', 'fr_us']
+    );
+    t.same(
+        dataStore.getLatestArticles({ countries: ['us'] }).map(article => `${article.language}_${article.countries}`).sort(),
+        ['en_us', 'fr_us']
+    );
+
+    t.ok(scheduler.covers(['en', 'fr'], ['us', 'gb']));
+    t.ok(scheduler.covers(['en'], []), 'global headlines are always covered');
+    t.notOk(scheduler.covers(['de'], []), 'languages over the cap are not covered');
+    t.notOk(scheduler.covers(['en'], ['in']), 'countries over the cap are not covered');
+});
+
+tap.test('configured values fill the caps first, then the values most users want', async (t) => {
+    const scheduler = createScheduler();
+    const wanted = [['in', 'gb'], ['in'], ['gb', 'in', 'in'], ['de']];
+
+    t.same(scheduler.selectMostWanted(['us'], wanted, 3), ['us', 'in', 'gb']);
+    t.same(scheduler.selectMostWanted(['us', 'fr'], wanted, 1), ['us'], 'configured values count towards the cap');
+    t.equal(config.ingestion.maxLanguages, 3);
+    t.equal(config.ingestion.maxCountries, 5);
+});
+
+tap.test('a failing provider does not stop the run', async (t) => {
+    const provider = new StubProvider({ fail: true });
+    useProvider(t, provider);
+    const scheduler = createScheduler();
+
+    const summary = await scheduler.runOnce();
+
+    t.equal(provider.requests, 2, 'every job was attempted');
+    t.equal(summary.jobs, 2);
+    t.equal(summary.articlesStored, 0);
+    t.equal(dataStore.getAllArticles().length, 0);
+});
+
+tap.test('runs are skipped when no provider is active', async (t) => {
+    useProvider(t, null);
+    const scheduler = createScheduler();
+
+    const summary = await scheduler.runOnce();
+
+    t.equal(summary.skipped, true);
+    t.equal(summary.jobs, 0);
+    t.equal(dataStore.getAllArticles().length, 0, 'mock articles are never ingested');
+});
+
+// Overlap protection
+
+tap.test('concurrent runOnce calls share the run in progress', async (t) => {
+    const provider = new StubProvider({ delayMs: 20 });
+    useProvider(t, provider);
+    const scheduler = createScheduler();
+
+    const first = scheduler.runOnce();
+    const second = scheduler.runOnce();
+
+    t.equal(first, second);
+    await first;
+    t.equal(provider.requests, 2, 'each job fetched once');
+    t.equal(scheduler.runCount, 1);
+});
+
+tap.test('interval ticks during a slow run do not start another one', async (t) => {
+    const provider = new StubProvider({ delayMs: 40 });
+    useProvider(t, provider);
+    const scheduler = createScheduler({ intervalMs: 10 });
+
+    scheduler.start();
+    t.teardown(() => scheduler.stop());
+    await wait(150);
+    scheduler.stop();
+    await scheduler.currentRun;
+
+    t.equal(provider.maxInFlight, 1, 'jobs never overlap');
+    t.equal(provider.requests, scheduler.runCount * 2, 'every run completed all of its jobs');
+});
+
+// Feed integration
+
+tap.test('the inline fallback serves mock articles without storing them', async (t) => {
+    useProvider(t, null);
+
+    const signup = await server.post('/api/users/signup').send({
+        name: 'Ingestion Reader',
+        email: 'ingestion@example.com',
+        password: 'Ingest!on1',
+        preferences: ['technology'],
+    });
+    t.equal(signup.status, 200);
+
+    const response = await server.get('/api/news')
+        .set('Authorization', `Bearer ${signup.body.data.token}`);
+
+    t.equal(response.status, 200);
+    t.ok(response.body.data.news.length > 0, 'mock articles are shown');
+    t.equal(dataStore.getAllArticles().length, 0, 'nothing was stored');
+});
+
+tap.test('the feed is served from the stored corpus while ingestion runs', async (t) => {
+    const provider = new StubProvider();
+    useProvider(t, provider);
+
+    IngestionScheduler.start();
+    t.teardown(() => IngestionScheduler.stop());
+    await IngestionScheduler.currentRun;
+    const requests = provider.requests;
+    t.ok(requests > 0);
+
+    const login = await server.post('/api/users/login').send({
+        email: 'ingestion@example.com',
+        password: 'Ingest!on1',
+    });
+    const response = await server.get('/api/news')
+        .set('Authorization', `Bearer ${login.body.data.token}`);
+
+    t.equal(response.status, 200);
+    t.same(response.body.data.news.map(article => article.title), ['Stub technology story']);
+    // Deeper upstream pages may be requested to fill the page, but never the first one again
+    t.notOk(provider.pages.slice(requests).includes(1), 'the first page was not fetched inline');
+});
+
+tap.test('the country filter serves that country\'s headlines', async (t) => {
+    useProvider(t, new StubProvider());
+
+    const login = await server.post('/api/users/login').send({
+        email: 'ingestion@example.com',
+        password: 'Ingest!on1',
+    });
+    const token = login.body.data.token;
+
+    const response = await server.get('/api/news?country=GB')
+        .set('Authorization', `Bearer ${token}`);
+    t.equal(response.status, 200);
+    t.same(response.body.data.news.map(article => article.title), ['Stub technology story (gb)']);
+    t.same(response.body.data.news[0].countries, ['gb']);
+
+    const invalid = await server.get('/api/news?country=gbr')
+        .set('Authorization', `Bearer ${token}`);
+    t.equal(invalid.status, 400);
+});
+
+tap.test('feeds for countries beyond the ingestion caps are fetched inline', async (t) => {
+    const provider = new StubProvider();
+    useProvider(t, provider);
+
+    IngestionScheduler.start();
+    t.teardown(() => IngestionScheduler.stop());
+    await IngestionScheduler.currentRun;
+    t.notOk(IngestionScheduler.covers(['en'], ['in']));
+    const requests = provider.requests;
+
+    const login = await server.post('/api/users/login').send({
+        email: 'ingestion@example.com',
+        password: 'Ingest!on1',
+    });
+    const response = await server.get('/api/news?country=in')
+        .set('Authorization', `Bearer ${login.body.data.token}`);
+
+    t.equal(response.status, 200);
+    t.same(response.body.data.news.map(article => article.title), ['Stub technology story (in)']);
+    t.ok(provider.requests > requests, 'the provider was asked for the country');
+});
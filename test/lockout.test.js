@@ -0,0 +1,122 @@
+// Lockouts take more failed logins than the per-IP limit allows by default
+process.env.AUTH_RATE_LIMIT_MAX_REQUESTS = '100';
+
+const tap = require('tap');
+const supertest = require('supertest');
+const app = require('./helpers/app');
+const { password, createUser } = require('./helpers/users');
+const EmailService = require('../services/EmailService');
+const LoginAttemptService = require('../services/LoginAttemptService');
+const dataStore = require('../models/DataStore');
+const config = require('../config/config');
+const server = supertest(app);
+
+const { freeAttempts, maxFailures, baseDelayMs, maxDelayMs } = config.loginLockout;
+
+const login = (email, value = password) => server.post('/api/users/login').send({ email, password: value });
+
+// Skip the wait imposed by the progressive delay instead of sleeping through it
+const skipDelay = (email) => {
+    const record = dataStore.getLoginAttempts(email);
+    if (record) record.retryAt = Date.now();
+};
+
+// Fail the given number of logins, waiting out the delay before each one
+const failLogins = async (email, count) => {
+    let response;
+    for (let i = 0; i < count; i++) {
+        skipDelay(email);
+        response = await login(email, 'wrong-password');
+    }
+    return response;
+};
+
+tap.test('the delay doubles after the free attempts, up to the maximum', async (t) => {
+    t.equal(LoginAttemptService.getDelay(freeAttempts), 0);
+    t.equal(LoginAttemptService.getDelay(freeAttempts + 1), baseDelayMs);
+    t.equal(LoginAttemptService.getDelay(freeAttempts + 2), baseDelayMs * 2);
+    t.equal(LoginAttemptService.getDelay(freeAttempts + 3), baseDelayMs * 4);
+    t.equal(LoginAttemptService.getDelay(freeAttempts + 30), maxDelayMs);
+});
+
+tap.test('wrong passwords fail with INVALID_CREDENTIALS until the delay starts', async (t) => {
+    const { email } = await createUser();
+
+    for (let i = 0; i < freeAttempts; i++) {
+        const response = await login(email, 'wrong-password');
+        t.equal(response.status, 401);
+        t.equal(response.body.code, 'INVALID_CREDENTIALS');
+    }
+
+    // The next failure is still reported as such, but starts the delay
+    t.equal((await login(email, 'wrong-password')).body.code, 'INVALID_CREDENTIALS');
+
+    const throttled = await login(email);
+    t.equal(throttled.status, 429);
+    t.equal(throttled.body.code, 'LOGIN_THROTTLED');
+    t.equal(throttled.headers['retry-after'], String(Math.ceil(baseDelayMs / 1000)));
+
+    skipDelay(email);
+    t.equal((await login(email)).status, 200);
+
+    // A successful login forgets the failures
+    t.equal(dataStore.getLoginAttempts(email), undefined);
+});
+
+tap.test('unknown emails are throttled the same way', async (t) => {
+    const email = 'nobody-lockout@example.com';
+    await failLogins(email, freeAttempts + 1);
+
+    const throttled = await login(email);
+    t.equal(throttled.status, 429);
+    t.equal(throttled.body.code, 'LOGIN_THROTTLED');
+});
+
+tap.test('too many failures lock the account, even for the right password', async (t) => {
+    const { email } = await createUser();
+
+    const locking = await failLogins(email, maxFailures);
+    t.equal(locking.status, 423);
+    t.equal(locking.body.code, 'ACCOUNT_LOCKED');
+    t.ok(Number(locking.headers['retry-after']) > 60);
+
+    skipDelay(email);
+    const locked = await login(email);
+    t.equal(locked.status, 423);
+    t.equal(locked.body.code, 'ACCOUNT_LOCKED');
+});
+
+tap.test('the emailed unlock token lifts the lockout once', async (t) => {
+    const { email } = await createUser();
+    await failLogins(email, maxFailures);
+
+    const message = EmailService.mailer.messages.filter(sent => sent.to === email).pop();
+    const token = message.text.match(/users\/unlock: (\S+)/)[1];
+
+    t.equal((await server.post('/api/users/unlock').send({ token })).status, 200);
+    t.equal((await login(email)).status, 200);
+    t.equal((await server.post('/api/users/unlock').send({ token })).status, 400);
+});
+
+tap.test('an admin can unlock an account', async (t) => {
+    const admin = await createUser({ role: 'admin' });
+    const { email } = await createUser();
+    await failLogins(email, maxFailures);
+    const { id } = dataStore.getUserByEmail(email);
+
+    const unlock = (token) => server.post(`/api/admin/users/${id}/unlock`).set('Authorization', `Bearer ${token}`);
+
+    const { token: userToken } = await createUser();
+    t.equal((await unlock(userToken)).status, 403);
+
+    const response = await unlock(admin.token);
+    t.equal(response.status, 200);
+    t.equal(response.body.message, 'User unlocked successfully');
+    t.equal((await login(email)).status, 200);
+
+    t.equal((await unlock(admin.token)).body.message, 'User was not locked');
+});
+
+tap.teardown(() => {
+    process.exit(0);
+});
@@ -0,0 +1,94 @@
+// Each test resets through the rate-limited routes, more often than the default allows
+process.env.AUTH_RATE_LIMIT_MAX_REQUESTS = '100';
+
+const tap = require('tap');
+const supertest = require('supertest');
+const app = require('./helpers/app');
+const { password, createUser } = require('./helpers/users');
+const EmailService = require('../services/EmailService');
+const OneTimeTokenService = require('../services/OneTimeTokenService');
+const dataStore = require('../models/DataStore');
+const server = supertest(app);
+
+const newPassword = 'N3w$ecretPass';
+
+// Ask for a reset and read the token back from the emailed message
+const requestReset = async (email) => {
+    const response = await server.post('/api/users/password/forgot').send({ email });
+    const message = EmailService.mailer.messages.filter(sent => sent.to === email).pop();
+    return { response, token: message && message.text.match(/password\/reset: (\S+)/)[1] };
+};
+
+const reset = (token, value = newPassword) => server.post('/api/users/password/reset').send({ token, password: value });
+const login = (email, value) => server.post('/api/users/login').send({ email, password: value });
+const profile = (token) => server.get('/api/users/profile').set('Authorization', `Bearer ${token}`);
+
+tap.test('POST /api/users/password/forgot answers the same for unknown emails', async (t) => {
+    const { email } = await createUser();
+    const known = await requestReset(email);
+    const unknown = await requestReset('nobody@example.com');
+
+    t.equal(known.response.status, 200);
+    t.equal(unknown.response.status, 200);
+    t.equal(known.response.body.message, unknown.response.body.message);
+    t.ok(known.token);
+    t.notOk(unknown.token);
+});
+
+tap.test('a reset token sets the new password and works only once', async (t) => {
+    const { email } = await createUser();
+    const { token } = await requestReset(email);
+
+    t.equal((await reset(token)).status, 200);
+    t.equal((await login(email, password)).status, 401);
+    t.equal((await login(email, newPassword)).status, 200);
+
+    const reused = await reset(token, 'An0ther$ecret');
+    t.equal(reused.status, 400);
+    t.equal((await login(email, newPassword)).status, 200);
+});
+
+tap.test('a new reset request invalidates the previous token', async (t) => {
+    const { email } = await createUser();
+    const first = await requestReset(email);
+    const second = await requestReset(email);
+
+    t.equal((await reset(first.token)).status, 400);
+    t.equal((await reset(second.token)).status, 200);
+});
+
+tap.test('an expired reset token is rejected', async (t) => {
+    const { email } = await createUser();
+    const { token } = await requestReset(email);
+
+    dataStore.getOneTimeToken(OneTimeTokenService.hash(token)).expiresAt = Date.now() - 1;
+
+    t.equal((await reset(token)).status, 400);
+    t.equal((await login(email, password)).status, 200);
+});
+
+tap.test('resetting the password signs out existing sessions', async (t) => {
+    const { email, token: accessToken, refreshToken } = await createUser();
+    const { token } = await requestReset(email);
+
+    t.equal((await reset(token)).status, 200);
+    t.equal((await profile(accessToken)).status, 401);
+    t.equal((await server.post('/api/users/token/refresh').send({ refreshToken })).status, 401);
+
+    const changed = EmailService.mailer.messages.filter(sent => sent.to === email).pop();
+    t.match(changed.subject, /password/i);
+});
+
+tap.test('reset tokens are stored only as hashes', async (t) => {
+    const { user, email } = await createUser();
+    const { token } = await requestReset(email);
+
+    const stored = [...dataStore.oneTimeTokens.values()].filter(record => record.userId === user.id);
+    t.equal(stored.length, 1);
+    t.equal(stored[0].hash, OneTimeTokenService.hash(token));
+    t.notOk(JSON.stringify(stored).includes(token));
+});
+
+tap.teardown(() => {
+    process.exit(0);
+});
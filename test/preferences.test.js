@@ -0,0 +1,214 @@
+const tap = require('tap');
+const supertest = require('supertest');
+const app = require('./helpers/app');
+const { createUser } = require('./helpers/users');
+const Preferences = require('../models/Preferences');
+const User = require('../models/User');
+const dataStore = require('../models/DataStore');
+const server = supertest(app);
+
+const as = (token) => ({
+    get: (path) => server.get(path).set('Authorization', `Bearer ${token}`),
+    put: (path, body) => server.put(path).set('Authorization', `Bearer ${token}`).send(body),
+});
+
+// Legacy migration
+
+tap.test('normalize turns a legacy category array into a full preferences object', async (t) => {
+    const preferences = Preferences.normalize(['technology', 'science']);
+
+    t.same(preferences, {
+        categories: ['technology', 'science'],
+        languages: ['en'],
+        homeCountry: null,
+        countries: [],
+        sources: { preferred: [], excluded: [] },
+        keywords: { include: [], exclude: [] },
+    });
+    t.same(Preferences.toLegacy(preferences), ['technology', 'science']);
+});
+
+tap.test('a legacy array replaces only the categories and drops repeats', async (t) => {
+    const base = Preferences.normalize({ categories: ['sports'], languages: ['de'], keywords: { exclude: ['crypto'] } });
+    const updated = Preferences.normalize(['technology', 'science', 'technology'], base);
+
+    t.same(updated.categories, ['technology', 'science']);
+    t.same(updated.languages, ['de']);
+    t.same(updated.keywords.exclude, ['crypto']);
+});
+
+tap.test('users stored with a flat preferences array are migrated on load', async (t) => {
+    const user = User.fromRecord({
+        id: '_legacy',
+        name: 'Clark Kent',
+        email: 'clark@example.com',
+        password: 'hashed',
+        preferences: ['sports', 'movies'],
+    });
+
+    t.same(user.preferences.categories, ['sports', 'movies']);
+    t.same(user.preferences.languages, ['en']);
+    t.same(user.preferences.sources, { preferred: [], excluded: [] });
+});
+
+tap.test('normalize trims, lowercases codes and keywords, and drops non-strings', async (t) => {
+    const preferences = Preferences.normalize({
+        languages: [' EN ', 'de', 'en'],
+        countries: ['US'],
+        sources: { excluded: [' Daily Gossip ', 42] },
+        keywords: { include: ['Space Flight'] },
+    });
+
+    t.same(preferences.languages, ['en', 'de']);
+    t.same(preferences.countries, ['us']);
+    t.same(preferences.sources.excluded, ['Daily Gossip']);
+    t.same(preferences.keywords.include, ['space flight']);
+});
+
+// Structured validation
+
+tap.test('validate accepts legacy arrays with repeated categories', async (t) => {
+    t.equal(Preferences.validate(['technology', 'technology']), true);
+    t.equal(Preferences.validate(Array(12).fill('technology')), true, 'the limit counts distinct categories');
+    t.throws(() => Preferences.validate(Array.from({ length: 11 }, (_, i) => `category-${i}`)), /maximum 10/);
+    t.throws(() => Preferences.validate(['technology', 7]), /must be strings/);
+});
+
+tap.test('validate checks every field of a preferences object', async (t) => {
+    t.equal(Preferences.validate({
+        categories: ['technology'],
+        languages: ['en', 'fr'],
+        homeCountry: 'in',
+        countries: ['us'],
+        sources: { preferred: ['Example Wire'], excluded: [] },
+        keywords: { include: ['ai'], exclude: ['crypto'] },
+    }), true);
+    t.equal(Preferences.validate({}), true, 'every field is optional');
+
+    const invalid = [
+        [null, /array of categories or a preferences object/],
+        ['technology', /array of categories or a preferences object/],
+        [{ categories: 'technology' }, /categories must be an array/],
+        [{ languages: ['en', 'EN'] }, /Duplicate languages/],
+        [{ languages: ['english'] }, /Invalid value in languages/],
+        [{ languages: ['en', 'fr', 'de', 'es', 'it', 'pt'] }, /maximum 5/],
+        [{ countries: ['usa'] }, /Invalid value in countries/],
+        [{ homeCountry: 'india' }, /homeCountry must be a two-letter/],
+        [{ homeCountry: ['in'] }, /homeCountry must be a two-letter/],
+        [{ sources: ['Example Wire'] }, /sources must be an object/],
+        [{ sources: { excluded: ['x'.repeat(101)] } }, /between 1 and 100 characters/],
+        [{ keywords: { include: ['a'] } }, /between 2 and 50 characters/],
+        [{ keywords: { include: ['AI'], exclude: ['ai'] } }, /Cannot both want and exclude: ai/],
+        [{ sources: { preferred: ['Wire'], excluded: ['wire'] } }, /Cannot both want and exclude/],
+    ];
+    invalid.forEach(([value, message]) => {
+        t.throws(() => Preferences.validate(value), message, JSON.stringify(value));
+    });
+});
+
+tap.test('forFeed lists the home country first, then the followed countries', async (t) => {
+    t.same(Preferences.forFeed({ homeCountry: 'IN', countries: ['us', 'in', 'gb'] }).countries, ['in', 'us', 'gb']);
+    t.same(Preferences.forFeed({ countries: ['us'] }).countries, ['us']);
+    t.same(Preferences.forFeed(['technology']).countries, [], 'no countries means global headlines');
+});
+
+tap.test('matches applies source and whole-word keyword filters', async (t) => {
+    const article = { source: 'Example Wire', title: 'Rocket launch delayed', description: 'Space agency reschedules' };
+    const filters = (fields) => Preferences.normalize(fields);
+
+    t.ok(Preferences.matches(article, filters({})));
+    t.notOk(Preferences.matches(article, filters({ sources: { excluded: ['example wire'] } })));
+    t.notOk(Preferences.matches(article, filters({ sources: { preferred: ['Other Wire'] } })));
+    t.ok(Preferences.matches(article, filters({ sources: { preferred: ['EXAMPLE WIRE'] } })));
+    t.ok(Preferences.matches(article, filters({ keywords: { include: ['space agency'] } })));
+    t.notOk(Preferences.matches(article, filters({ keywords: { include: ['rock'] } })), 'keywords match whole words');
+    t.notOk(Preferences.matches(article, filters({ keywords: { exclude: ['launch'] } })));
+});
+
+// Endpoints
+
+tap.test('PUT /api/users/preferences replaces only the fields sent', async (t) => {
+    const { user, token } = await createUser({ preferences: ['technology'] });
+
+    const response = await as(token).put('/api/users/preferences', {
+        preferences: { languages: ['en', 'de'], keywords: { exclude: ['crypto'] } },
+    });
+    t.equal(response.status, 200);
+    t.same(user.preferences.categories, ['technology']);
+    t.same(user.preferences.languages, ['en', 'de']);
+    t.same(user.preferences.keywords, { include: [], exclude: ['crypto'] });
+
+    const fetched = await as(token).get('/api/users/preferences');
+    t.same(fetched.body.data.preferences, user.preferences);
+    t.same(fetched.body.data.limits, Preferences.LIMITS);
+});
+
+tap.test('PUT /api/users/preferences accepts the legacy array and dedupes it', async (t) => {
+    const { user, token } = await createUser({ preferences: { categories: ['sports'], languages: ['fr'] } });
+
+    const response = await as(token).put('/api/users/preferences', { preferences: ['technology', 'science', 'technology'] });
+    t.equal(response.status, 200);
+    t.same(user.preferences.categories, ['technology', 'science']);
+    t.same(user.preferences.languages, ['fr'], 'the other fields are kept');
+});
+
+tap.test('PUT /api/users/preferences rejects unknown categories and invalid objects', async (t) => {
+    const { user, token } = await createUser({ preferences: ['technology'] });
+
+    t.equal((await as(token).put('/api/users/preferences', { preferences: ['astrology'] })).status, 400);
+    t.equal((await as(token).put('/api/users/preferences', { preferences: { categories: ['astrology'] } })).status, 400);
+    t.equal((await as(token).put('/api/users/preferences', { preferences: { languages: ['english'] } })).status, 400);
+    t.equal((await as(token).put('/api/users/preferences', {
+        preferences: { sources: { preferred: ['Wire'], excluded: ['Wire'] } },
+    })).status, 400);
+    t.equal((await as(token).put('/api/users/preferences', {})).status, 400);
+
+    t.same(user.preferences.categories, ['technology'], 'nothing was changed');
+});
+
+tap.test('the legacy /users/preferences routes keep the flat category array', async (t) => {
+    const { token } = await createUser({
+        preferences: { categories: ['movies', 'comics'], keywords: { exclude: ['spoilers'] } },
+    });
+
+    const fetched = await as(token).get('/users/preferences');
+    t.same(fetched.body, { preferences: ['movies', 'comics'] });
+
+    const updated = await as(token).put('/users/preferences', { preferences: ['games', 'games'] });
+    t.equal(updated.status, 200);
+    t.same((await as(token).get('/users/preferences')).body.preferences, ['games']);
+});
+
+tap.test('the feed applies the source and keyword preferences', async (t) => {
+    dataStore.clearArticles();
+    const story = (slug, source, title) => ({
+        title,
+        url: `https://example.com/preferences/${slug}`,
+        publishedAt: '2024-03-01T12:00:00.000Z',
+        source,
+        category: 'science',
+        language: 'en',
+    });
+    dataStore.storeArticles([
+        story('launch', 'Example Wire', 'Rocket launch scheduled for spring'),
+        story('gossip', 'Daily Gossip', 'Rocket scientist spotted at a party'),
+        story('crypto', 'Example Wire', 'Crypto markets react to rocket news'),
+        story('weather', 'Example Wire', 'Clouds expected over the coast'),
+    ]);
+
+    const { token } = await createUser({
+        preferences: {
+            categories: ['science'],
+            sources: { excluded: ['Daily Gossip'] },
+            keywords: { include: ['rocket'], exclude: ['crypto'] },
+        },
+    });
+
+    const response = await as(token).get('/api/news');
+    t.equal(response.status, 200);
+    t.same(response.body.data.news.map(article => article.title), ['Rocket launch scheduled for spring']);
+});
+
+tap.teardown(() => {
+    process.exit(0);
+});
@@ -0,0 +1,130 @@
+const tap = require('tap');
+const BaseProvider = require('../services/providers/BaseProvider');
+const ProviderRegistry = require('../services/providers/ProviderRegistry');
+const NewsService = require('../services/NewsService');
+const Article = require('../models/Article');
+
+/**
+ * Provider stub that records the page sizes it is asked for
+ */
+class StubProvider extends BaseProvider {
+    constructor(name, { configured = true } = {}) {
+        super({ name });
+        this.configured = configured;
+        this.requests = [];
+    }
+
+    isConfigured() {
+        return this.configured;
+    }
+
+    async fetchHeadlines({ category, pageSize }) {
+        this.requests.push(pageSize);
+        return Array.from({ length: pageSize }, (_, index) => new Article({
+            title: `Story ${this.name}${index} headline`,
+            url: `https://${this.name}.example.com/${category}/${index}`,
+            publishedAt: new Date(Date.UTC(2024, 0, 1, 0, index)),
+            source: this.name,
+            category,
+        }));
+    }
+}
+
+const buildRegistry = (settings, providers) => {
+    const registry = new ProviderRegistry(settings);
+    providers.forEach(provider => registry.register(provider));
+    return registry;
+};
+
+// Budget allocation
+
+tap.test('allocate splits the budget by weight in priority order', async (t) => {
+    const registry = buildRegistry(
+        { enabled: ['a', 'b', 'c'], weights: { a: 2, b: 1, c: 1 } },
+        [new StubProvider('c'), new StubProvider('b'), new StubProvider('a')]
+    );
+
+    const allocation = registry.allocate(40).map(({ provider, pageSize }) => [provider.name, pageSize]);
+    t.same(allocation, [['a', 20], ['b', 10], ['c', 10]]);
+});
+
+tap.test('allocate defaults missing or invalid weights to 1 and rounds shares up', async (t) => {
+    const registry = buildRegistry(
+        { enabled: ['a', 'b', 'c'], weights: { a: 0, b: -3 } },
+        [new StubProvider('a'), new StubProvider('b'), new StubProvider('c')]
+    );
+
+    t.same(registry.allocate(10).map(({ pageSize }) => pageSize), [4, 4, 4]);
+    t.same(registry.allocate(1).map(({ pageSize }) => pageSize), [1, 1, 1], 'every active provider gets at least one');
+});
+
+tap.test('providers that are not enabled or not configured get no share', async (t) => {
+    const registry = buildRegistry(
+        { enabled: ['a', 'missing', 'b'], weights: { a: 1, b: 3, c: 10 } },
+        [new StubProvider('a'), new StubProvider('b', { configured: false }), new StubProvider('c')]
+    );
+
+    t.same(registry.getActive().map(provider => provider.name), ['a']);
+    t.same(registry.allocate(20).map(({ provider, pageSize }) => [provider.name, pageSize]), [['a', 20]]);
+
+    const status = Object.fromEntries(registry.describe().map(entry => [entry.name, entry]));
+    t.equal(status.b.enabled, true);
+    t.equal(status.b.configured, false);
+    t.equal(status.c.enabled, false);
+    t.equal(status.c.order, -1);
+});
+
+tap.test('registering the same provider name twice throws', async (t) => {
+    const registry = buildRegistry({}, [new StubProvider('a')]);
+    t.throws(() => registry.register(new StubProvider('a')), /already registered/);
+});
+
+tap.test('getPersonalizedNews asks each provider for its weighted share', async (t) => {
+    const a = new StubProvider('a');
+    const b = new StubProvider('b');
+    const service = new NewsService.constructor(buildRegistry(
+        { enabled: ['a', 'b'], weights: { a: 3, b: 1 } },
+        [a, b]
+    ));
+
+    const articles = await service.getPersonalizedNews(['technology'], 8);
+
+    t.same(a.requests, [6]);
+    t.same(b.requests, [2]);
+    t.equal(articles.length, 8);
+    t.same(new Set(articles.map(article => article.source)), new Set(['a', 'b']));
+});
+
+// Configuration
+
+tap.test('NEWS_PROVIDERS and NEWS_PROVIDER_WEIGHTS configure the registry', async (t) => {
+    const configPath = require.resolve('../config/config');
+    const registryPath = require.resolve('../services/providers');
+    const saved = { NEWS_PROVIDERS: process.env.NEWS_PROVIDERS, NEWS_PROVIDER_WEIGHTS: process.env.NEWS_PROVIDER_WEIGHTS };
+
+    process.env.NEWS_PROVIDERS = ' gnews , newsapi ';
+    process.env.NEWS_PROVIDER_WEIGHTS = 'gnews:3,newsapi:oops';
+    delete require.cache[configPath];
+    delete require.cache[registryPath];
+
+    t.teardown(() => {
+        Object.entries(saved).forEach(([key, value]) => {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        });
+        delete require.cache[configPath];
+        delete require.cache[registryPath];
+    });
+
+    const config = require('../config/config');
+    t.same(config.providers.enabled, ['gnews', 'newsapi']);
+    t.same(config.providers.weights, { gnews: 3 });
+
+    const registry = require('../services/providers');
+    const status = Object.fromEntries(registry.describe().map(entry => [entry.name, entry]));
+    t.equal(status.newscatcher.enabled, false, 'providers left out of the list are disabled');
+    t.equal(status.gnews.order, 0);
+    t.equal(status.newsapi.order, 1);
+    t.equal(status.gnews.weight, 3);
+    t.equal(status.newsapi.weight, 1);
+});
@@ -0,0 +1,304 @@
+const tap = require('tap');
+const supertest = require('supertest');
+const app = require('./helpers/app');
+const server = supertest(app);
+const dataStore = require('../models/DataStore');
+const { MemoryStorage } = require('../models/storage');
+const {
+    QuerySyntaxError,
+    parseQuery,
+    requiresText,
+    createMatcher,
+    toProviderQuery,
+    createFilter,
+} = require('../utils/queryParser');
+
+const DataStore = dataStore.constructor;
+
+const matches = (query, article) => createMatcher(parseQuery(query).ast)(article);
+const providerQuery = (query) => toProviderQuery(parseQuery(query).ast);
+
+const articles = {
+    solar: {
+        title: 'EU backs solar expansion',
+        description: 'Climate change targets drive new panels across Europe',
+        source: 'Reuters',
+        author: 'Jane Doe',
+        category: 'science',
+        language: 'en',
+        url: 'https://example.com/solar',
+        publishedAt: '2024-05-10T12:00:00.000Z',
+    },
+    coal: {
+        title: 'Coal plants close early',
+        description: 'Utilities cite climate policy and falling demand',
+        source: 'Associated Press',
+        author: 'John Roe',
+        category: 'business',
+        language: 'en',
+        url: 'https://example.com/coal',
+        publishedAt: '2024-05-31T22:30:00.000Z',
+    },
+    phones: {
+        title: 'Tech giants unveil new phones',
+        description: 'Foldable screens headline the launch event',
+        source: 'Tech Daily',
+        author: 'Sam Lee',
+        category: 'technology',
+        language: 'en',
+        url: 'https://example.com/phones',
+        publishedAt: '2024-06-01T08:00:00.000Z',
+    },
+    wind: {
+        title: 'Éoliennes en mer: le solaire et le vent progressent',
+        description: 'Wind and solar projects grow off the French coast',
+        source: 'Le Monde',
+        author: 'Marie Curie',
+        category: 'science',
+        language: 'fr',
+        url: 'https://example.com/wind',
+        publishedAt: '2024-05-20T09:00:00.000Z',
+    },
+};
+
+// Parser
+
+tap.test('parses terms, phrases and field prefixes', async (t) => {
+    t.same(parseQuery('solar').ast, { type: 'term', value: 'solar' });
+    t.same(parseQuery('"climate change"').ast, { type: 'phrase', value: 'climate change' });
+    t.same(parseQuery('SOURCE:reuters').ast, { type: 'field', field: 'source', value: 'reuters' });
+    t.same(parseQuery('author:"jane doe"').ast, { type: 'field', field: 'author', value: 'jane doe' });
+    t.same(parseQuery('url:example').ast, { type: 'term', value: 'url:example' }, 'unknown fields are plain terms');
+});
+
+tap.test('AND binds tighter than OR and juxtaposition means AND', async (t) => {
+    t.same(parseQuery('solar wind OR coal').ast, {
+        type: 'or',
+        children: [
+            { type: 'and', children: [{ type: 'term', value: 'solar' }, { type: 'term', value: 'wind' }] },
+            { type: 'term', value: 'coal' },
+        ],
+    });
+    t.same(parseQuery('solar AND wind').ast, parseQuery('solar wind').ast);
+});
+
+tap.test('parentheses group and NOT or - negate', async (t) => {
+    t.same(parseQuery('(solar OR wind) -coal').ast, {
+        type: 'and',
+        children: [
+            { type: 'or', children: [{ type: 'term', value: 'solar' }, { type: 'term', value: 'wind' }] },
+            { type: 'not', child: { type: 'term', value: 'coal' } },
+        ],
+    });
+    t.same(parseQuery('NOT coal').ast, parseQuery('-coal').ast);
+    t.same(parseQuery('NOT NOT coal').ast, { type: 'not', child: { type: 'not', child: { type: 'term', value: 'coal' } } });
+    t.same(parseQuery('e-mail - spam').ast, {
+        type: 'and',
+        children: [{ type: 'term', value: 'e-mail' }, { type: 'term', value: '-' }, { type: 'term', value: 'spam' }],
+    }, 'a hyphen inside a word or on its own is not negation');
+});
+
+tap.test('positiveText leaves out excluded terms and field values', async (t) => {
+    t.equal(parseQuery('"climate change" (solar OR wind) -coal source:reuters').positiveText, 'climate change solar wind');
+});
+
+tap.test('malformed queries throw QuerySyntaxError', async (t) => {
+    const malformed = [
+        '',
+        '   ',
+        '"unterminated phrase',
+        '(solar OR wind',
+        'solar)',
+        'solar OR',
+        'AND solar',
+        'NOT',
+        'source:',
+        '()',
+        '('.repeat(25) + 'solar' + ')'.repeat(25),
+    ];
+    malformed.forEach(query => t.throws(() => parseQuery(query), QuerySyntaxError, JSON.stringify(query)));
+});
+
+// Matcher
+
+tap.test('matcher applies boolean logic with stemming', async (t) => {
+    t.ok(matches('solar europe', articles.solar));
+    t.ok(matches('panel', articles.solar), 'terms are stemmed');
+    t.notOk(matches('solar coal', articles.solar));
+    t.ok(matches('solar OR coal', articles.coal));
+    t.ok(matches('climate -coal', articles.solar));
+    t.notOk(matches('climate -coal', articles.coal));
+    t.ok(matches('(solar OR coal) AND climate', articles.coal));
+    t.notOk(matches('NOT (solar OR coal)', articles.solar));
+});
+
+tap.test('phrases must appear as written, ignoring case and punctuation', async (t) => {
+    t.ok(matches('"climate change"', articles.solar));
+    t.ok(matches('"CLIMATE, change"', articles.solar));
+    t.notOk(matches('"change climate"', articles.solar));
+    t.notOk(matches('"climate change"', articles.coal));
+});
+
+tap.test('field filters match source and author by substring, category exactly', async (t) => {
+    t.ok(matches('source:reuters', articles.solar));
+    t.ok(matches('source:"associated press"', articles.coal));
+    t.ok(matches('author:doe', articles.solar));
+    t.ok(matches('category:science', articles.solar));
+    t.notOk(matches('category:sci', articles.solar));
+    t.notOk(matches('source:reuters', articles.coal));
+});
+
+tap.test('a text term OR a field filter matches either way', async (t) => {
+    t.ok(matches('phones OR source:reuters', articles.phones));
+    t.ok(matches('phones OR source:reuters', articles.solar));
+    t.notOk(matches('phones OR source:reuters', articles.coal));
+    t.ok(matches('phones OR NOT climate', articles.phones));
+    t.notOk(matches('phones OR NOT climate', articles.coal));
+});
+
+tap.test('stop words on their own never exclude', async (t) => {
+    t.ok(matches('the', articles.coal));
+    t.ok(matches('the coal', articles.coal));
+});
+
+// Index candidates
+
+tap.test('requiresText is false when a branch can match without indexed text', async (t) => {
+    const requires = (query) => requiresText(parseQuery(query).ast);
+
+    t.ok(requires('solar'));
+    t.ok(requires('solar source:reuters'));
+    t.ok(requires('solar OR "wind power"'));
+    t.ok(requires('solar -coal'));
+    t.notOk(requires('solar OR source:reuters'));
+    t.notOk(requires('solar OR NOT coal'));
+    t.notOk(requires('a OR source:reuters'), 'stop-word-only text matches everything');
+    t.notOk(requires('"the of"'));
+    t.notOk(requires('-coal'));
+    t.notOk(requires('source:reuters'));
+});
+
+tap.test('searchArticles finds articles that match without their text terms', async (t) => {
+    const store = new DataStore(new MemoryStorage());
+    Object.values(articles).forEach(article => store.storeArticle(article));
+    const titles = (query, options) => store.searchArticles(query, options).map(article => article.title).sort();
+
+    t.same(titles('phones OR source:reuters'), [articles.solar.title, articles.phones.title].sort());
+    t.same(titles('phones OR NOT climate'), [articles.phones.title, articles.wind.title].sort());
+    t.same(titles('a OR source:"associated press"'), Object.values(articles).map(article => article.title).sort());
+    t.same(titles('-climate', { language: 'en' }), [articles.phones.title]);
+
+    // Text terms still rank: the title match comes first
+    t.same(store.searchArticles('solar OR source:"tech daily"', { language: 'en' }).map(article => article.url), [
+        articles.solar.url,
+        articles.phones.url,
+    ]);
+});
+
+// Provider translation
+
+tap.test('toProviderQuery keeps boolean structure for providers', async (t) => {
+    t.equal(providerQuery('solar wind'), 'solar AND wind');
+    t.equal(providerQuery('solar OR wind'), 'solar OR wind');
+    t.equal(providerQuery('"climate change" AND (solar OR wind) -coal'), '"climate change" AND (solar OR wind) AND NOT coal');
+    t.equal(providerQuery('((solar))'), 'solar');
+});
+
+tap.test('toProviderQuery drops what providers cannot express', async (t) => {
+    t.equal(providerQuery('solar source:reuters'), 'solar', 'field filters are checked locally');
+    t.equal(providerQuery('solar OR source:reuters'), null, 'an unconstrained OR branch cannot be sent');
+    t.equal(providerQuery('source:reuters'), null);
+    t.equal(providerQuery('-coal'), null, 'exclusions alone are rejected by providers');
+    t.equal(providerQuery('-coal source:reuters'), null);
+});
+
+// Filters
+
+tap.test('createFilter checks language and publish date bounds', async (t) => {
+    t.ok(createFilter({ language: 'en' })(articles.solar));
+    t.notOk(createFilter({ language: 'en' })(articles.wind));
+    t.ok(createFilter()(articles.wind));
+
+    const may = createFilter({ from: new Date('2024-05-10T12:00:00.000Z'), to: new Date('2024-05-31T00:00:00.000Z') });
+    t.ok(may(articles.solar), 'bounds are inclusive');
+    t.notOk(may(articles.coal));
+});
+
+tap.test('a date-only to includes the whole day, a date-only from starts at midnight', async (t) => {
+    const filter = createFilter({ from: '2024-05-31', to: '2024-05-31' });
+    t.ok(filter(articles.coal), '22:30 on the to date is included');
+    t.notOk(filter(articles.phones));
+    t.notOk(filter({ publishedAt: '2024-05-30T23:59:59.999Z' }));
+    t.ok(filter({ publishedAt: '2024-05-31T00:00:00.000Z' }));
+
+    const exact = createFilter({ to: '2024-05-31T12:00:00Z' });
+    t.notOk(exact(articles.coal), 'a date-time to is used as given');
+});
+
+// Endpoint
+
+tap.test('GET /api/news/search applies query, source, date and language filters', async (t) => {
+    dataStore.clearArticles();
+    Object.values(articles).forEach(article => dataStore.storeArticle(article));
+
+    const signup = await server.post('/api/users/signup').send({
+        name: 'Query Tester',
+        email: 'query@example.com',
+        password: 'Qu3ry!pass',
+        preferences: ['science'],
+    });
+    t.equal(signup.status, 200);
+    const token = signup.body.data.token;
+
+    const search = async (params) => {
+        const response = await server.get('/api/news/search')
+            .query(params)
+            .set('Authorization', `Bearer ${token}`);
+        return response;
+    };
+    const urls = (response) => response.body.data.news.map(article => article.url).sort();
+
+    let response = await search({ q: 'climate source:reuters' });
+    t.equal(response.status, 200);
+    t.same(urls(response), [articles.solar.url]);
+
+    response = await search({ q: 'climate', from: '2024-05-15', to: '2024-05-31' });
+    t.same(urls(response), [articles.coal.url], 'the to date includes its last hours');
+    t.equal(response.body.data.filters.to, '2024-05-31T23:59:59.999Z');
+
+    response = await search({ q: 'solar', language: 'fr' });
+    t.same(urls(response), [articles.wind.url]);
+
+    response = await search({ q: 'phones OR source:reuters' });
+    t.same(urls(response), [articles.solar.url, articles.phones.url].sort());
+
+    response = await search({ q: '-climate category:technology' });
+    t.same(urls(response), [articles.phones.url]);
+});
+
+tap.test('GET /api/news/search rejects malformed queries and filters with 400', async (t) => {
+    const login = await server.post('/api/users/login').send({ email: 'query@example.com', password: 'Qu3ry!pass' });
+    const token = login.body.data.token;
+    const search = (params) => server.get('/api/news/search').query(params).set('Authorization', `Bearer ${token}`);
+
+    let response = await search({ q: '(solar OR wind' });
+    t.equal(response.status, 400);
+    t.equal(response.body.message, 'Invalid search query');
+
+    response = await search({ q: '"open phrase' });
+    t.equal(response.status, 400);
+
+    response = await search({});
+    t.equal(response.status, 400);
+
+    response = await search({ q: 'solar', from: 'yesterday' });
+    t.equal(response.status, 400);
+
+    response = await search({ q: 'solar', from: '2024-06-01', to: '2024-05-01' });
+    t.equal(response.status, 400);
+
+    response = await search({ q: 'solar', language: 'english' });
+    t.equal(response.status, 400);
+});
+
+tap.teardown(() => process.exit(0));
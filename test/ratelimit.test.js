@@ -0,0 +1,25 @@
+const tap = require('tap');
+const supertest = require('supertest');
+const app = require('./helpers/app');
+const config = require('../config/config');
+const server = supertest(app);
+
+tap.test('the auth endpoints share a strict per-IP limit', async (t) => {
+    // A different email each time, so per-account throttling does not answer first
+    const attempt = (i) => server.post('/api/users/login').send({ email: `nobody-${i}@example.com`, password: 'Wr0ng$ecret' });
+
+    for (let i = 0; i < config.rateLimit.authMaxRequests; i++) {
+        t.equal((await attempt(i)).status, 401);
+    }
+
+    const limited = await attempt(config.rateLimit.authMaxRequests);
+    t.equal(limited.status, 429);
+    t.equal(limited.body.message, 'Too many authentication attempts');
+
+    const forgot = await server.post('/api/users/password/forgot').send({ email: 'nobody@example.com' });
+    t.equal(forgot.status, 429);
+});
+
+tap.teardown(() => {
+    process.exit(0);
+});
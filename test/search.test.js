@@ -0,0 +1,126 @@
+const tap = require('tap');
+const { stem, analyze } = require('../utils/text');
+const SearchIndex = require('../models/SearchIndex');
+const dataStore = require('../models/DataStore');
+const { MemoryStorage } = require('../models/storage');
+
+const DataStore = dataStore.constructor;
+
+const ids = (results) => results.map(result => result.id);
+
+// Stemming
+
+tap.test('stem reduces inflections to a shared root', async (t) => {
+    t.equal(stem('running'), 'run');
+    t.equal(stem('runs'), 'run');
+    t.equal(stem('run'), 'run');
+    t.equal(stem('elections'), stem('election'));
+    t.equal(stem('policies'), 'polici');
+    t.equal(stem('relational'), 'relat');
+    t.equal(stem('hopping'), 'hop');
+    t.equal(stem('caresses'), 'caress');
+});
+
+tap.test('stem leaves short and non-ASCII words alone', async (t) => {
+    t.equal(stem('is'), 'is');
+    t.equal(stem('covid19'), 'covid19');
+    t.equal(stem('münchen'), 'münchen');
+});
+
+tap.test('analyze tokenizes, drops stop words and stems', async (t) => {
+    t.same(analyze('The Runners were RUNNING in the rain!'), ['runner', 'run', 'rain']);
+    t.same(analyze(''), []);
+});
+
+// BM25 ranking
+
+tap.test('queries match every inflection of a term', async (t) => {
+    const index = new SearchIndex();
+    index.add('a', { title: 'Marathon runner runs record time' });
+    index.add('b', { title: 'City council approves budget' });
+
+    t.same(ids(index.search('running')), ['a']);
+    t.same(ids(index.search('RUN')), ['a']);
+});
+
+tap.test('title matches outrank description and content matches', async (t) => {
+    const index = new SearchIndex();
+    index.add('content', { title: 'Weekly roundup', description: 'Highlights from the week', content: 'Volcano erupts in Iceland' });
+    index.add('title', { title: 'Volcano erupts in Iceland', description: 'Highlights from the week', content: 'Weekly roundup' });
+    index.add('description', { title: 'Weekly roundup', description: 'Volcano erupts in Iceland', content: 'Highlights from the week' });
+
+    t.same(ids(index.search('volcano')), ['title', 'description', 'content']);
+});
+
+tap.test('rarer terms weigh more than common ones', async (t) => {
+    const index = new SearchIndex();
+    index.add('common', { title: 'Election results election day' });
+    index.add('rare', { title: 'Election recount ordered' });
+    index.add('other1', { title: 'Election turnout' });
+    index.add('other2', { title: 'Election debate' });
+
+    const results = index.search('election recount', { requireAll: false });
+    t.equal(results[0].id, 'rare');
+    t.ok(index.idf(stem('recount')) > index.idf(stem('election')));
+});
+
+tap.test('repeated terms help with diminishing returns, longer documents are normalized', async (t) => {
+    const index = new SearchIndex();
+    index.add('once', { title: 'Solar farm opens' });
+    index.add('twice', { title: 'Solar farm opens solar' });
+    index.add('long', { title: 'Solar farm opens', content: 'a long report about the grid, storage, pricing, jobs and local reaction to it' });
+
+    const [first, second, third] = index.search('solar');
+    t.same([first.id, second.id, third.id], ['twice', 'once', 'long']);
+    t.ok(first.score < second.score * 2, 'term frequency saturates');
+});
+
+tap.test('every term must match unless requireAll is off', async (t) => {
+    const index = new SearchIndex();
+    index.add('both', { title: 'Tesla recalls cars' });
+    index.add('one', { title: 'Tesla earnings beat estimates' });
+
+    t.same(ids(index.search('tesla recall')), ['both']);
+    t.same(ids(index.search('tesla recall', { requireAll: false })), ['both', 'one']);
+    t.same(ids(index.search('the and of')), [], 'stop-word-only queries match nothing');
+    t.same(ids(index.search('tesla', { filter: id => id === 'one' })), ['one']);
+});
+
+tap.test('re-indexing and removing keep postings and lengths consistent', async (t) => {
+    const index = new SearchIndex();
+    index.add('a', { title: 'Drought hits farms' });
+    index.add('a', { title: 'Floods hit farms' });
+
+    t.same(ids(index.search('drought')), []);
+    t.same(ids(index.search('flood')), ['a']);
+    t.equal(index.size, 1);
+
+    index.remove('a');
+    t.equal(index.size, 0);
+    t.equal(index.postings.size, 0);
+    t.equal(index.totalLength, 0);
+});
+
+// DataStore integration
+
+tap.test('searchArticles ranks stored articles and follows upserts', async (t) => {
+    const store = new DataStore(new MemoryStorage());
+    const base = { publishedAt: '2024-05-01T00:00:00.000Z', source: 'Wire', category: 'general' };
+
+    store.storeArticle({ ...base, title: 'Runners gather for city marathon', url: 'https://example.com/marathon', language: 'en' });
+    store.storeArticle({ ...base, title: 'Council budget vote', description: 'Members ran out of time', url: 'https://example.com/budget', language: 'en' });
+    store.storeArticle({ ...base, title: 'Marathon de Paris', url: 'https://example.com/paris', language: 'fr' });
+
+    t.same(store.searchArticles('marathon').map(article => article.url).sort(), ['https://example.com/marathon', 'https://example.com/paris']);
+    t.same(store.searchArticles('marathon', { language: 'fr' }).map(article => article.url), ['https://example.com/paris']);
+    t.same(store.searchArticles('marathon', { limit: 1 }).length, 1);
+
+    // A refetched copy replaces the indexed text
+    store.storeArticle({ ...base, title: 'Council budget vote delayed', description: 'A recount was ordered', url: 'https://example.com/budget?utm_source=rss', language: 'en' });
+    t.same(store.searchArticles('recount').map(article => article.title), ['Council budget vote delayed']);
+    t.same(store.searchArticles('time'), []);
+
+    store.clearArticles();
+    t.same(store.searchArticles('marathon'), []);
+    t.equal(store.getStats().indexedArticles, 0);
+});
@@ -0,0 +1,154 @@
+const tap = require('tap');
+const fs = require('fs');
+const path = require('path');
+const { FileStorage } = require('../models/storage');
+const dataStore = require('../models/DataStore');
+const User = require('../models/User');
+const Article = require('../models/Article');
+
+// A fresh data store backed by a JSON file, separate from the app's singleton
+const DataStore = dataStore.constructor;
+const createStore = (filePath) => new DataStore(new FileStorage({ filePath }));
+
+// FileStorage
+
+tap.test('FileStorage loads nothing until a snapshot is saved', async (t) => {
+    const dir = t.testdir({ 'empty.json': '  \n' });
+    t.equal(new FileStorage({ filePath: path.join(dir, 'missing.json') }).load(), null);
+    t.equal(new FileStorage({ filePath: path.join(dir, 'empty.json') }).load(), null);
+    t.throws(() => new FileStorage({}), /requires a filePath/);
+});
+
+tap.test('FileStorage round-trips a snapshot without leaving temp files', async (t) => {
+    const dir = t.testdir();
+    const storage = new FileStorage({ filePath: path.join(dir, 'nested', 'store.json') });
+    const snapshot = { version: 1, users: [{ id: 'u1' }], userSessions: [['s1', { id: 's1' }]] };
+
+    storage.save(snapshot);
+    t.same(storage.load(), snapshot);
+    t.same(fs.readdirSync(path.join(dir, 'nested')), ['store.json']);
+});
+
+// DataStore snapshots
+
+tap.test('DataStore state survives a save and reload', async (t) => {
+    const filePath = path.join(t.testdir(), 'store.json');
+    const store = createStore(filePath);
+
+    const user = store.createUser({
+        name: 'Lois Lane',
+        email: 'lois@example.com',
+        password: 'hashed',
+        preferences: ['technology', 'science'],
+    });
+    const article = store.storeArticle({
+        title: 'Quantum chips reach the market',
+        description: 'A new generation of processors ships',
+        url: 'https://news.example.com/quantum',
+        publishedAt: '2024-01-02T10:00:00.000Z',
+        source: 'Example News',
+        category: 'technology',
+        language: 'en',
+        countries: ['us'],
+    });
+    store.markArticleAsRead(user.id, article.id);
+    store.markArticleAsFavorite(user.id, article.id);
+    user.revokeAllTokens();
+    store.saveSession({ id: 's1', userId: user.id, createdAt: 1, lastSeenAt: 2, expiresAt: 3, revokedAt: null });
+    store.saveRefreshToken({ jti: 'r1', userId: user.id, familyId: 's1', expiresAt: Date.now() + 60000 });
+    store.revokeToken('a1', Date.now() + 60000);
+    store.saveApiKey({ id: 'k1', hash: 'h1', userId: user.id, scopes: ['news:read'], revokedAt: null });
+    store.saveLoginAttempts({ email: 'lois@example.com', failures: 2, lastFailureAt: 1, retryAt: 0, lockedUntil: null });
+    store.flush();
+
+    const reloaded = createStore(filePath);
+    const restored = reloaded.getUserByEmail('lois@example.com');
+
+    t.ok(restored instanceof User);
+    t.same(restored.preferences.categories, ['technology', 'science']);
+    t.ok(restored.readArticles instanceof Set);
+    t.ok(restored.isArticleRead(article.id));
+    t.ok(restored.favoriteArticles.has(article.id));
+    t.equal(restored.readTimestamps.get(article.id), user.readTimestamps.get(article.id));
+    t.equal(restored.favoriteTimestamps.get(article.id), user.favoriteTimestamps.get(article.id));
+    t.ok(restored.createdAt instanceof Date);
+    t.equal(restored.updatedAt.getTime(), user.updatedAt.getTime());
+    t.equal(restored.tokensValidAfter.getTime(), user.tokensValidAfter.getTime());
+
+    const restoredArticle = reloaded.getArticle(article.id);
+    t.ok(restoredArticle instanceof Article);
+    t.equal(restoredArticle.publishedAt.toISOString(), '2024-01-02T10:00:00.000Z');
+    t.same(restoredArticle.countries, ['us']);
+    t.same(reloaded.searchArticles('quantum processors'), [restoredArticle], 'the search index is rebuilt on load');
+
+    t.equal(reloaded.getSession('s1').userId, user.id);
+    t.equal(reloaded.getRefreshToken('r1').familyId, 's1');
+    t.ok(reloaded.isTokenRevoked('a1'));
+    t.same(reloaded.getUserApiKeys(user.id).map(record => record.id), ['k1']);
+    t.equal(reloaded.getLoginAttempts('lois@example.com').failures, 2);
+
+    t.same(reloaded.toSnapshot().users, store.toSnapshot().users);
+});
+
+// Stored records
+
+tap.test('User.fromRecord restores Sets and Dates', async (t) => {
+    const user = User.fromRecord({
+        id: '_stored',
+        name: 'Jimmy Olsen',
+        email: 'jimmy@example.com',
+        password: 'hashed',
+        preferences: ['sports', 'movies'],
+        readArticles: ['a1'],
+        favoriteArticles: ['a2'],
+        createdAt: '2023-05-01T00:00:00.000Z',
+        updatedAt: '2023-06-01T00:00:00.000Z',
+    });
+
+    t.same(user.preferences.categories, ['sports', 'movies']);
+    t.ok(user.readArticles.has('a1'));
+    t.ok(user.favoriteArticles.has('a2'));
+    t.ok(user.createdAt instanceof Date);
+    t.equal(user.updatedAt.toISOString(), '2023-06-01T00:00:00.000Z');
+    t.ok(user.isArticleFavorite('a2'));
+    t.equal(user.role, 'user', 'records stored before roles existed get the default role');
+    t.notOk(user.isSuspended());
+});
+
+tap.test('User.fromRecord treats accounts stored before email verification as verified', async (t) => {
+    const legacy = User.fromRecord({ id: '_legacy', name: 'Lois Lane', email: 'lois@example.com', password: 'hashed' });
+    t.equal(legacy.emailVerified, true);
+
+    const pending = User.fromRecord({
+        id: '_pending',
+        name: 'Perry White',
+        email: 'perry@example.com',
+        password: 'hashed',
+        emailVerified: false,
+        emailVerifiedAt: null,
+    });
+    t.equal(pending.emailVerified, false);
+
+    const verified = User.fromRecord({ ...pending.toJSON(), emailVerified: true, emailVerifiedAt: '2024-02-01T00:00:00.000Z' });
+    t.ok(verified.emailVerifiedAt instanceof Date);
+});
+
+tap.test('Article.fromRecord keeps the stored ID and restores dates', async (t) => {
+    const article = Article.fromRecord({
+        id: 'art1',
+        title: 'Old article',
+        url: 'https://news.example.com/old',
+        publishedAt: '2023-01-01T08:00:00.000Z',
+        createdAt: '2023-01-01T09:00:00.000Z',
+        category: 'general',
+    });
+
+    t.ok(article instanceof Article);
+    t.equal(article.id, 'art1');
+    t.ok(article.publishedAt instanceof Date);
+    t.equal(article.createdAt.toISOString(), '2023-01-01T09:00:00.000Z');
+    // Records stored before upserts have no updatedAt
+    t.equal(article.updatedAt.toISOString(), '2023-01-01T09:00:00.000Z');
+    // ...and records stored before country tagging have no countries
+    t.same(article.countries, []);
+});
@@ -0,0 +1,198 @@
+// Every 2FA login goes through the rate-limited routes, more often than the default allows
+process.env.AUTH_RATE_LIMIT_MAX_REQUESTS = '100';
+
+const tap = require('tap');
+const supertest = require('supertest');
+const app = require('./helpers/app');
+const { password, createUser, signIn } = require('./helpers/users');
+const totp = require('../utils/totp');
+const server = supertest(app);
+
+// Unit tests: RFC 6238 appendix B vectors (SHA-1), truncated to our 6 digits
+
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+tap.test('base32 round-trips the RFC 6238 secret', async (t) => {
+    t.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    t.equal(totp.base32Decode(RFC_SECRET.toLowerCase()).toString(), '12345678901234567890');
+    t.throws(() => totp.base32Decode('GEZ1'), /Invalid base32 character/);
+});
+
+tap.test('generateCode matches the RFC 6238 test vectors', async (t) => {
+    const vectors = [
+        [59, '287082'],
+        [1111111109, '081804'],
+        [1111111111, '050471'],
+        [1234567890, '005924'],
+        [2000000000, '279037'],
+        [20000000000, '353130'],
+    ];
+    vectors.forEach(([seconds, code]) => {
+        t.equal(totp.generateCode(RFC_SECRET, totp.timeStep(seconds * 1000)), code, `T=${seconds}`);
+    });
+});
+
+tap.test('verifyCode accepts one step of drift and returns the matching step', async (t) => {
+    const now = 1111111109 * 1000;
+    const step = totp.timeStep(now);
+
+    t.equal(totp.verifyCode(RFC_SECRET, '081804', { now }), step);
+    t.equal(totp.verifyCode(RFC_SECRET, '081 804', { now }), step);
+    t.equal(totp.verifyCode(RFC_SECRET, '081804', { now: now + 30 * 1000 }), step);
+    t.equal(totp.verifyCode(RFC_SECRET, '081804', { now: now + 60 * 1000 }), null);
+    t.equal(totp.verifyCode(RFC_SECRET, '81804', { now }), null);
+    t.equal(totp.verifyCode(RFC_SECRET, 'abcdef', { now }), null);
+});
+
+// Enrollment and login
+
+// Create a user and enable 2FA; returns the secret, the recovery codes and the tokens in use
+const enrollUser = async () => {
+    const { user, email, token } = await createUser();
+    const auth = { Authorization: `Bearer ${token}` };
+
+    const { secret } = (await server.post('/api/users/2fa/setup').set(auth).send({ currentPassword: password })).body.data;
+    const confirmed = await server.post('/api/users/2fa/confirm').set(auth)
+        .send({ code: totp.generateCode(secret, totp.timeStep()) });
+
+    return { user, email, token, secret, confirmed };
+};
+
+const startLogin = (email) => server.post('/api/users/login').send({ email, password });
+const completeLogin = (challengeToken, code) => server.post('/api/users/login/2fa').send({ challengeToken, code });
+// The confirm step spent the current step's code; the next step is still within the drift window
+const nextCode = (secret) => totp.generateCode(secret, totp.timeStep() + 1);
+
+tap.test('confirming 2FA requires a valid code and returns recovery codes once', async (t) => {
+    const { token } = await createUser();
+    const auth = { Authorization: `Bearer ${token}` };
+
+    t.equal((await server.post('/api/users/2fa/setup').set(auth).send({ currentPassword: 'wrong' })).status, 401);
+    const setup = await server.post('/api/users/2fa/setup').set(auth).send({ currentPassword: password });
+    t.equal(setup.status, 200);
+    t.match(setup.body.data.otpauthUri, /^otpauth:\/\/totp\//);
+
+    const wrong = await server.post('/api/users/2fa/confirm').set(auth).send({ code: '000000' });
+    t.equal(wrong.status, 400);
+    t.equal(wrong.body.code, 'INVALID_2FA_CODE');
+
+    const confirmed = await server.post('/api/users/2fa/confirm').set(auth)
+        .send({ code: totp.generateCode(setup.body.data.secret, totp.timeStep()) });
+    t.equal(confirmed.status, 200);
+    t.equal(confirmed.body.data.recoveryCodes.length, 10);
+
+    const status = await server.get('/api/users/2fa').set(auth);
+    t.equal(status.body.data.twoFactor.enabled, true);
+    t.equal(status.body.data.twoFactor.recoveryCodesRemaining, 10);
+});
+
+tap.test('a password login with 2FA returns a challenge instead of tokens', async (t) => {
+    const { email, secret } = await enrollUser();
+
+    const login = await startLogin(email);
+    t.equal(login.status, 200);
+    t.equal(login.body.data.twoFactorRequired, true);
+    t.notOk(login.body.data.token);
+
+    const completed = await completeLogin(login.body.data.challengeToken, nextCode(secret));
+    t.equal(completed.status, 200);
+    t.ok(completed.body.data.token);
+    const profile = await server.get('/api/users/profile').set('Authorization', `Bearer ${completed.body.data.token}`);
+    t.equal(profile.status, 200);
+
+    // The challenge cannot be spent twice
+    const again = await completeLogin(login.body.data.challengeToken, nextCode(secret));
+    t.equal(again.status, 401);
+});
+
+tap.test('a challenge token is not an access token', async (t) => {
+    const { email } = await enrollUser();
+    const { challengeToken } = (await startLogin(email)).body.data;
+
+    const profile = await server.get('/api/users/profile').set('Authorization', `Bearer ${challengeToken}`);
+    t.equal(profile.status, 401);
+});
+
+tap.test('a code cannot be replayed within its time step', async (t) => {
+    const { email, secret } = await enrollUser();
+    const code = nextCode(secret);
+
+    t.equal((await completeLogin((await startLogin(email)).body.data.challengeToken, code)).status, 200);
+
+    const replay = await completeLogin((await startLogin(email)).body.data.challengeToken, code);
+    t.equal(replay.status, 401);
+    t.equal(replay.body.code, 'INVALID_2FA_CODE');
+
+    // The code used to confirm enrollment is spent as well
+    const confirmCode = totp.generateCode(secret, totp.timeStep());
+    const stale = await completeLogin((await startLogin(email)).body.data.challengeToken, confirmCode);
+    t.equal(stale.status, 401);
+});
+
+tap.test('recovery codes work once each', async (t) => {
+    const { email, confirmed } = await enrollUser();
+    const [first, second] = confirmed.body.data.recoveryCodes;
+
+    const used = await completeLogin((await startLogin(email)).body.data.challengeToken, first);
+    t.equal(used.status, 200);
+    t.equal(used.body.data.recoveryCodesRemaining, 9);
+
+    const reused = await completeLogin((await startLogin(email)).body.data.challengeToken, first);
+    t.equal(reused.status, 401);
+
+    // Formatting does not matter: case and dashes are ignored
+    const formatted = second.toUpperCase().replace('-', '');
+    const other = await completeLogin((await startLogin(email)).body.data.challengeToken, formatted);
+    t.equal(other.status, 200);
+    t.equal(other.body.data.recoveryCodesRemaining, 8);
+});
+
+tap.test('enabling 2FA signs out the other sessions', async (t) => {
+    const { user, token } = await createUser();
+    const other = signIn(user);
+    const auth = { Authorization: `Bearer ${token}` };
+
+    const { secret } = (await server.post('/api/users/2fa/setup').set(auth).send({ currentPassword: password })).body.data;
+    const confirmed = await server.post('/api/users/2fa/confirm').set(auth)
+        .send({ code: totp.generateCode(secret, totp.timeStep()) });
+    t.equal(confirmed.body.data.revokedSessions, 1);
+
+    t.equal((await server.get('/api/users/profile').set(auth)).status, 200);
+    t.equal((await server.get('/api/users/profile').set('Authorization', `Bearer ${other.token}`)).status, 401);
+});
+
+tap.test('disabling 2FA needs the password and a code', async (t) => {
+    const { email, token, secret, confirmed } = await enrollUser();
+    const auth = { Authorization: `Bearer ${token}` };
+    const disable = (fields) => server.post('/api/users/2fa/disable').set(auth).send(fields);
+
+    t.equal((await disable({ currentPassword: 'Wr0ng$ecret', code: nextCode(secret) })).status, 401);
+    t.equal((await disable({ currentPassword: password, code: '000000' })).status, 400);
+    t.equal((await server.get('/api/users/2fa').set(auth)).body.data.twoFactor.enabled, true);
+
+    const [recoveryCode] = confirmed.body.data.recoveryCodes;
+    t.equal((await disable({ currentPassword: password, code: recoveryCode })).status, 200);
+
+    const login = await startLogin(email);
+    t.equal(login.status, 200);
+    t.notOk(login.body.data.twoFactorRequired);
+    t.ok(login.body.data.token);
+});
+
+tap.test('API keys cannot bypass the second factor on admin routes', async (t) => {
+    const { user, token } = await enrollUser();
+    user.role = 'admin';
+
+    const created = await server.post('/api/users/api-keys').set('Authorization', `Bearer ${token}`)
+        .send({ name: 'admin-script', scopes: ['account'] });
+    const { key } = created.body.data.apiKey;
+
+    const response = await server.get('/api/admin/users').set('X-API-Key', key);
+    t.equal(response.status, 403);
+    t.equal(response.body.code, 'INSUFFICIENT_SCOPE');
+    t.equal((await server.get('/api/admin/users').set('Authorization', `Bearer ${token}`)).status, 200);
+});
+
+tap.teardown(() => {
+    process.exit(0);
+});
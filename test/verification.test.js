@@ -0,0 +1,111 @@
+const tap = require('tap');
+const supertest = require('supertest');
+const app = require('./helpers/app');
+const { password, createUser } = require('./helpers/users');
+const config = require('../config/config');
+const EmailService = require('../services/EmailService');
+const dataStore = require('../models/DataStore');
+const server = supertest(app);
+
+// Read the token from the link in the latest verification email sent to an address
+const verificationToken = (email) => {
+    const message = EmailService.mailer.messages
+        .filter(sent => sent.to === email && /confirm/i.test(sent.subject))
+        .pop();
+    if (!message) return null;
+
+    const link = message.text.match(/https?:\/\/\S+\/verify-email\S*/)[0];
+    return new URL(link).searchParams.get('token');
+};
+
+const verify = (token) => server.post('/api/users/verify-email').send({ token });
+const resend = (token) => server.post('/api/users/verify-email/resend').set('Authorization', `Bearer ${token}`);
+const favorite = (token, id) => server.post(`/api/news/${id}/favorite`).set('Authorization', `Bearer ${token}`);
+
+const article = dataStore.storeArticle({
+    title: 'Verified readers only',
+    description: 'Favorites need a confirmed email address',
+    url: 'https://example.com/verification/favorite',
+    publishedAt: '2024-01-02T10:00:00.000Z',
+    source: 'Example Wire',
+    category: 'technology',
+    language: 'en',
+});
+
+tap.test('signup emails a verification link that confirms the address once', async (t) => {
+    const email = 'verify-me@example.com';
+    const signup = await server.post('/api/users/signup').send({ name: 'Verify Me', email, password });
+    t.equal(signup.status, 200);
+    t.equal(signup.body.data.user.emailVerified, false);
+
+    const token = verificationToken(email);
+    t.ok(token, 'the email links to /verify-email with a token');
+
+    const verified = await verify(token);
+    t.equal(verified.status, 200);
+    t.equal(verified.body.data.user.emailVerified, true);
+    t.ok(dataStore.getUserByEmail(email).emailVerifiedAt);
+
+    t.equal((await verify(token)).status, 400, 'the token works only once');
+});
+
+tap.test('unknown and expired verification tokens are rejected', async (t) => {
+    const { user, token } = await createUser();
+    t.equal((await resend(token)).status, 200);
+    const verification = verificationToken(user.email);
+
+    t.equal((await verify('not-a-real-token')).status, 400);
+
+    dataStore.findOneTimeToken(user.id, 'email-verification').expiresAt = Date.now() - 1;
+    t.equal((await verify(verification)).status, 400);
+    t.equal(user.emailVerified, false);
+});
+
+tap.test('resending is limited by a cooldown and replaces the previous token', async (t) => {
+    const { user, token } = await createUser();
+
+    t.equal((await resend(token)).status, 200);
+    const first = verificationToken(user.email);
+
+    const tooSoon = await resend(token);
+    t.equal(tooSoon.status, 429);
+    t.equal(verificationToken(user.email), first, 'no email is sent during the cooldown');
+
+    // Pretend the cooldown has passed
+    dataStore.findOneTimeToken(user.id, 'email-verification').createdAt -= config.emailVerification.resendCooldownMs;
+    t.equal((await resend(token)).status, 200);
+    const second = verificationToken(user.email);
+    t.not(second, first);
+
+    t.equal((await verify(first)).status, 400);
+    t.equal((await verify(second)).status, 200);
+    t.equal((await resend(token)).status, 409, 'verified users cannot ask again');
+});
+
+tap.test('requireVerifiedEmail blocks restricted actions until the email is confirmed', async (t) => {
+    const { user, token } = await createUser();
+
+    const blocked = await favorite(token, article.id);
+    t.equal(blocked.status, 403);
+    t.equal(blocked.body.code, 'EMAIL_NOT_VERIFIED');
+    t.notOk(user.favoriteArticles.has(article.id));
+
+    user.markEmailVerified();
+    t.equal((await favorite(token, article.id)).status, 200);
+    t.ok(user.favoriteArticles.has(article.id));
+});
+
+tap.test('actions missing from the restricted list stay open to unverified users', async (t) => {
+    const restricted = config.emailVerification.restrictedActions;
+    config.emailVerification.restrictedActions = ['none'];
+    t.teardown(() => {
+        config.emailVerification.restrictedActions = restricted;
+    });
+
+    const { token } = await createUser();
+    t.equal((await favorite(token, article.id)).status, 200);
+});
+
+tap.teardown(() => {
+    process.exit(0);
+});
@@ -0,0 +1,41 @@
+/**
+ * CSV Utilities
+ * RFC 4180 output for data exports
+ */
+
+/**
+ * Quote a value when needed; values that spreadsheets would run as formulas are prefixed with '
+ * @param {any} value - Cell value; null and undefined become empty cells
+ * @returns {string}
+ */
+function escapeCell(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Build a CSV document
+ * @param {Array<string>} columns - Column names, also the keys read from each row
+ * @param {Array<Object>} rows - Row objects
+ * @returns {string} - CSV with a header line and CRLF line endings
+ */
+function toCsv(columns, rows) {
+  const lines = [columns.map(escapeCell).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCell(row[column])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  escapeCell,
+  toCsv,
+};
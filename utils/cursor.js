@@ -0,0 +1,92 @@
+/**
+ * Feed Cursor Utilities
+ * Cursors are opaque to clients: base64url-encoded JSON recording the position of
+ * the last article served (publish date + ID) and the feed they belong to
+ */
+const crypto = require('crypto');
+
+class InvalidCursorError extends Error {
+  constructor(message = 'Invalid cursor') {
+    super(message);
+    this.name = 'InvalidCursorError';
+  }
+}
+
+/**
+ * Short fingerprint of the feed parameters, so a cursor cannot be replayed against another feed
+ * @param {Object} feed - e.g. { categories, language }
+ * @returns {string}
+ */
+function fingerprint(feed) {
+  return crypto.createHash('sha256').update(JSON.stringify(feed)).digest('base64url').slice(0, 12);
+}
+
+/**
+ * Encode a feed position
+ * @param {Object} position - { publishedAt: Date, id, upstreamPage, feed }
+ * @returns {string} - Opaque cursor
+ */
+function encodeCursor({ publishedAt, id, upstreamPage, feed }) {
+  const payload = {
+    p: new Date(publishedAt).getTime(),
+    i: id,
+    u: upstreamPage,
+    f: fingerprint(feed),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Opaque cursor
+ * @param {Object} feed - Feed parameters of the current request
+ * @returns {Object} - { publishedAt: Date, id, upstreamPage }
+ * @throws {InvalidCursorError} - If the cursor is malformed or belongs to another feed
+ */
+function decodeCursor(cursor, feed) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new InvalidCursorError();
+  }
+
+  if (!payload || !Number.isFinite(payload.p) || typeof payload.i !== 'string' ||
+      !Number.isInteger(payload.u) || payload.u < 0) {
+    throw new InvalidCursorError();
+  }
+
+  if (payload.f !== fingerprint(feed)) {
+    throw new InvalidCursorError('Cursor does not belong to this feed');
+  }
+
+  return { publishedAt: new Date(payload.p), id: payload.i, upstreamPage: payload.u };
+}
+
+/**
+ * Feed order: newest first, ties broken by ID so the order is total
+ * @returns {number} - Comparator result
+ */
+function compareFeedOrder(a, b) {
+  const byDate = new Date(b.publishedAt) - new Date(a.publishedAt);
+  if (byDate !== 0) return byDate;
+  return a.id < b.id ? 1 : (a.id > b.id ? -1 : 0);
+}
+
+/**
+ * Whether an article comes strictly after a cursor position in feed order
+ * @param {Object} article - Article
+ * @param {Object} position - { publishedAt, id }
+ * @returns {boolean}
+ */
+function isAfterPosition(article, position) {
+  return compareFeedOrder(position, article) < 0;
+}
+
+module.exports = {
+  InvalidCursorError,
+  encodeCursor,
+  decodeCursor,
+  compareFeedOrder,
+  isAfterPosition,
+};
@@ -0,0 +1,252 @@
+/**
+ * Feed Parser Utilities
+ * Parses RSS 2.0, RSS 1.0 (RDF) and Atom documents into plain feed items
+ * without any XML dependency; tolerant of the malformed markup common in feeds
+ */
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+};
+
+/**
+ * Decode XML/HTML character references
+ * @param {string} text - Raw text
+ * @returns {string} - Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      // Malformed or out-of-range references are left as written
+      return isNaN(codePoint) || codePoint > 0x10ffff ? match : String.fromCodePoint(codePoint);
+    }
+    const named = NAMED_ENTITIES[entity.toLowerCase()];
+    return named !== undefined ? named : match;
+  });
+}
+
+/**
+ * Remove HTML markup and collapse whitespace
+ * @param {string} html - HTML fragment
+ * @returns {string} - Plain text
+ */
+function stripHtml(html) {
+  if (!html) return '';
+  return decodeEntities(
+    html
+      .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<[^>]+>/g, ' ')
+  ).replace(/\s+/g, ' ').trim();
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([^\s=\/]+)\s*(?:=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    const value = match[2] !== undefined ? match[2] : (match[3] !== undefined ? match[3] : (match[4] || ''));
+    attributes[match[1]] = decodeEntities(value);
+  }
+  return attributes;
+}
+
+/**
+ * Parse an XML document into a lightweight element tree
+ * Elements are { name, attributes, children, text }; names keep their namespace prefix
+ * @param {string} xml - XML source
+ * @returns {Object} - Root pseudo-element whose children are the top-level elements
+ */
+function parseXml(xml) {
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  const tokenPattern = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/\s*([^\s>]+)\s*>|<([^\s>\/!?]+)((?:"[^"]*"|'[^']*'|[^'">])*?)(\/?)>/gi;
+  let lastIndex = 0;
+  let match;
+
+  const appendText = (text) => {
+    stack[stack.length - 1].text += text;
+  };
+
+  while ((match = tokenPattern.exec(xml)) !== null) {
+    if (match.index > lastIndex) {
+      appendText(decodeEntities(xml.slice(lastIndex, match.index)));
+    }
+    lastIndex = tokenPattern.lastIndex;
+
+    const [, cdata, closingName, openingName, attributeSource, selfClosing] = match;
+
+    if (cdata !== undefined) {
+      appendText(cdata);
+    } else if (closingName) {
+      // Pop back to the matching element; unmatched closing tags are ignored
+      for (let i = stack.length - 1; i > 0; i--) {
+        if (stack[i].name === closingName) {
+          stack.length = i;
+          break;
+        }
+      }
+    } else if (openingName) {
+      const element = {
+        name: openingName,
+        attributes: parseAttributes(attributeSource || ''),
+        children: [],
+        text: '',
+      };
+      stack[stack.length - 1].children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+    }
+  }
+
+  if (lastIndex < xml.length) {
+    appendText(decodeEntities(xml.slice(lastIndex)));
+  }
+
+  return root;
+}
+
+function localName(name) {
+  const index = name.indexOf(':');
+  return index === -1 ? name : name.slice(index + 1);
+}
+
+function child(element, name) {
+  return element.children.find(el => el.name === name) || null;
+}
+
+function children(element, name) {
+  return element.children.filter(el => el.name === name);
+}
+
+function childText(element, ...names) {
+  for (const name of names) {
+    const el = child(element, name);
+    if (el && el.text.trim()) {
+      return el.text.trim();
+    }
+  }
+  return '';
+}
+
+function findAll(element, predicate, results = []) {
+  element.children.forEach(el => {
+    if (predicate(el)) {
+      results.push(el);
+    } else {
+      findAll(el, predicate, results);
+    }
+  });
+  return results;
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function findImage(element) {
+  const enclosure = children(element, 'enclosure')
+    .find(el => (el.attributes.type || '').startsWith('image/') && el.attributes.url);
+  if (enclosure) return enclosure.attributes.url;
+
+  const media = element.children.find(el =>
+    (el.name === 'media:content' || el.name === 'media:thumbnail') && el.attributes.url
+  );
+  if (media) return media.attributes.url;
+
+  const group = child(element, 'media:group');
+  return group ? findImage(group) : null;
+}
+
+function parseRssItem(item) {
+  const description = childText(item, 'description');
+  const content = childText(item, 'content:encoded') || description;
+  const guid = child(item, 'guid');
+  const link = childText(item, 'link') ||
+    (guid && guid.attributes.isPermaLink !== 'false' ? guid.text.trim() : '');
+
+  return {
+    title: stripHtml(childText(item, 'title')),
+    link,
+    description: stripHtml(description),
+    content: stripHtml(content),
+    publishedAt: parseDate(childText(item, 'pubDate', 'dc:date')),
+    author: stripHtml(childText(item, 'dc:creator', 'author')),
+    image: findImage(item),
+    categories: children(item, 'category').map(el => el.text.trim()).filter(Boolean),
+  };
+}
+
+function parseAtomEntry(entry) {
+  const links = children(entry, 'link');
+  const alternate = links.find(el => !el.attributes.rel || el.attributes.rel === 'alternate') || links[0];
+  const author = child(entry, 'author');
+  const summary = childText(entry, 'summary');
+  const content = childText(entry, 'content');
+
+  return {
+    title: stripHtml(childText(entry, 'title')),
+    link: alternate ? (alternate.attributes.href || '').trim() : '',
+    description: stripHtml(summary || content),
+    content: stripHtml(content || summary),
+    publishedAt: parseDate(childText(entry, 'published', 'updated')),
+    author: author ? stripHtml(childText(author, 'name')) : '',
+    image: findImage(entry),
+    categories: children(entry, 'category').map(el => el.attributes.term || el.text.trim()).filter(Boolean),
+  };
+}
+
+/**
+ * Parse an RSS or Atom document
+ * @param {string} xml - Feed document
+ * @returns {Object} - { format, title, language, items }
+ * @throws {Error} - If the document is not a recognised feed
+ */
+function parseFeed(xml) {
+  const document = parseXml(String(xml));
+  const rootElement = document.children[0];
+
+  if (!rootElement) {
+    throw new Error('Empty feed document');
+  }
+
+  const rootName = localName(rootElement.name);
+
+  if (rootName === 'feed') {
+    return {
+      format: 'atom',
+      title: stripHtml(childText(rootElement, 'title')),
+      language: rootElement.attributes['xml:lang'] || null,
+      items: children(rootElement, 'entry').map(parseAtomEntry),
+    };
+  }
+
+  if (rootName === 'rss' || rootName === 'RDF') {
+    const channel = child(rootElement, 'channel') || rootElement;
+    const items = findAll(rootElement, el => el.name === 'item');
+    return {
+      format: rootName === 'rss' ? 'rss' : 'rdf',
+      title: stripHtml(childText(channel, 'title')),
+      language: childText(channel, 'language', 'dc:language') || null,
+      items: items.map(parseRssItem),
+    };
+  }
+
+  throw new Error(`Unsupported feed format: <${rootElement.name}>`);
+}
+
+module.exports = {
+  parseFeed,
+  parseXml,
+  stripHtml,
+  decodeEntities,
+};
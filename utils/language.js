@@ -0,0 +1,77 @@
+/**
+ * Language Detection
+ * Lightweight, offline guess of an article's language from its title and description.
+ * Non-Latin scripts identify the language directly; Latin-script text is scored by
+ * how many common function words of each language it contains
+ */
+
+// Scripts that (for news purposes) belong to a single language
+const SCRIPTS = [
+  { language: 'hi', pattern: /[\u0900-\u097f]/g }, // Devanagari
+  { language: 'bn', pattern: /[\u0980-\u09ff]/g }, // Bengali
+  { language: 'ta', pattern: /[\u0b80-\u0bff]/g }, // Tamil
+  { language: 'el', pattern: /[\u0370-\u03ff]/g }, // Greek
+  { language: 'ru', pattern: /[\u0400-\u04ff]/g }, // Cyrillic
+  { language: 'he', pattern: /[\u0590-\u05ff]/g }, // Hebrew
+  { language: 'ar', pattern: /[\u0600-\u06ff]/g }, // Arabic
+  { language: 'ja', pattern: /[\u3040-\u30ff]/g }, // Hiragana, Katakana (checked before Han)
+  { language: 'ko', pattern: /[\uac00-\ud7af]/g }, // Hangul
+  { language: 'zh', pattern: /[\u4e00-\u9fff]/g }, // Han
+];
+
+const STOP_WORDS = {
+  en: ['the', 'and', 'of', 'to', 'in', 'is', 'for', 'on', 'with', 'as', 'at', 'by', 'from', 'that', 'this',
+    'are', 'was', 'be', 'it', 'an', 'has', 'have', 'will', 'its', 'after', 'over', 'says', 'into', 'about',
+    'more', 'than', 'their', 'who', 'not', 'new', 'how', 'what', 'why'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'von', 'mit', 'den', 'dem', 'des', 'für', 'auf', 'nicht', 'ein',
+    'eine', 'einen', 'im', 'zu', 'sich', 'auch', 'bei', 'nach', 'wird', 'werden', 'aus', 'über', 'wie',
+    'sind', 'noch', 'vor', 'zum', 'zur', 'hat', 'neue', 'gegen', 'mehr'],
+  fr: ['le', 'la', 'les', 'des', 'et', 'est', 'une', 'un', 'du', 'dans', 'pour', 'sur', 'pas', 'que', 'qui',
+    'au', 'aux', 'avec', 'par', 'ce', 'sont', 'plus', 'été', 'son', 'ses', 'nouveau', 'selon'],
+  es: ['el', 'la', 'los', 'las', 'y', 'es', 'una', 'un', 'del', 'en', 'por', 'con', 'para', 'que', 'se',
+    'al', 'su', 'sus', 'más', 'como', 'pero', 'está', 'fue', 'según', 'nuevo'],
+  it: ['il', 'la', 'gli', 'le', 'e', 'è', 'una', 'un', 'del', 'della', 'di', 'che', 'per', 'con', 'non',
+    'sono', 'nel', 'alla', 'dei', 'da', 'più', 'anche', 'nuovo'],
+  pt: ['o', 'a', 'os', 'as', 'e', 'é', 'uma', 'um', 'do', 'da', 'dos', 'das', 'em', 'para', 'com', 'que',
+    'não', 'por', 'no', 'na', 'mais', 'se', 'foi', 'novo'],
+  nl: ['de', 'het', 'een', 'en', 'is', 'van', 'op', 'te', 'dat', 'niet', 'met', 'voor', 'zijn', 'aan',
+    'bij', 'ook', 'naar', 'om', 'uit', 'wordt', 'dit', 'nieuwe'],
+};
+
+const STOP_WORD_SETS = Object.entries(STOP_WORDS).map(([language, words]) => [language, new Set(words)]);
+
+/**
+ * Guess the language of a piece of text
+ * @param {string} text - Text to inspect (title and description work well)
+ * @param {Object} options - { minMatches: function words required for a Latin-script guess }
+ * @returns {string|null} - ISO 639-1 code, or null when there is too little evidence
+ */
+function detectLanguage(text, { minMatches = 2 } = {}) {
+  if (!text) return null;
+  const value = String(text);
+
+  const letters = (value.match(/\p{L}/gu) || []).length;
+  if (letters === 0) return null;
+
+  // A script that makes up a good share of the letters decides on its own
+  for (const { language, pattern } of SCRIPTS) {
+    const count = (value.match(pattern) || []).length;
+    if (count / letters >= 0.3) return language;
+  }
+
+  const words = value.toLowerCase().match(/\p{L}+/gu) || [];
+  const scores = STOP_WORD_SETS
+    .map(([language, stopWords]) => ({
+      language,
+      score: words.filter(word => stopWords.has(word)).length,
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  const [best, runnerUp] = scores;
+  if (best.score < minMatches || best.score === runnerUp.score) return null;
+  return best.language;
+}
+
+module.exports = {
+  detectLanguage,
+};
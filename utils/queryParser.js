@@ -0,0 +1,379 @@
+/**
+ * Search Query Parser
+ * Parses the news search language into an AST, evaluates it against articles and
+ * translates it into the boolean syntax provider search APIs accept.
+ *
+ * Syntax:
+ *   climate change          both terms (implicit AND)
+ *   "climate change"        exact phrase
+ *   solar OR wind           either term
+ *   NOT coal, -coal         exclude
+ *   (solar OR wind) AND eu  grouping
+ *   source:reuters          field filters: source, author, category
+ *   author:"jane doe"       quoted field value
+ */
+const { analyze, normalizeText } = require('./text');
+
+const FIELDS = ['source', 'author', 'category'];
+const MAX_DEPTH = 20;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+class QuerySyntaxError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QuerySyntaxError';
+  }
+}
+
+/**
+ * Split query text into tokens
+ * @param {string} text - Raw query
+ * @returns {Array<Object>} - [{ type, value, field }]
+ */
+function lex(text) {
+  const tokens = [];
+  let i = 0;
+
+  const readQuoted = () => {
+    const end = text.indexOf('"', i + 1);
+    if (end === -1) {
+      throw new QuerySyntaxError('Unterminated quoted phrase');
+    }
+    const value = text.slice(i + 1, end);
+    i = end + 1;
+    return value;
+  };
+
+  const readWord = () => {
+    const start = i;
+    while (i < text.length && !/[\s()"]/.test(text[i])) i++;
+    return text.slice(start, i);
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char });
+      i++;
+    } else if (char === '"') {
+      tokens.push({ type: 'phrase', value: readQuoted() });
+    } else if (char === '-' && i + 1 < text.length && !/[\s-]/.test(text[i + 1])) {
+      tokens.push({ type: 'NOT' });
+      i++;
+    } else {
+      const word = readWord();
+      const separator = word.indexOf(':');
+      const field = separator > 0 ? word.slice(0, separator).toLowerCase() : null;
+
+      if (field && FIELDS.includes(field)) {
+        let value = word.slice(separator + 1);
+        if (!value && text[i] === '"') {
+          value = readQuoted();
+        }
+        if (!value) {
+          throw new QuerySyntaxError(`Missing value for ${field}:`);
+        }
+        tokens.push({ type: 'field', field, value });
+      } else if (word === 'AND' || word === 'OR' || word === 'NOT') {
+        tokens.push({ type: word });
+      } else {
+        tokens.push({ type: 'term', value: word });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive descent parser: or := and (OR and)* ; and := not (AND? not)* ; not := NOT not | primary
+ */
+function parseTokens(tokens) {
+  let position = 0;
+  let depth = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  const startsOperand = (token) => token && ['term', 'phrase', 'field', '(', 'NOT'].includes(token.type);
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek() && peek().type === 'OR') {
+      next();
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  function parseAnd() {
+    const children = [parseNot()];
+    while (peek() && (peek().type === 'AND' || startsOperand(peek()))) {
+      if (peek().type === 'AND') next();
+      children.push(parseNot());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  function parseNot() {
+    if (peek() && peek().type === 'NOT') {
+      next();
+      return { type: 'not', child: parseNot() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = next();
+    if (!token) {
+      throw new QuerySyntaxError('Unexpected end of query');
+    }
+
+    if (token.type === '(') {
+      if (++depth > MAX_DEPTH) {
+        throw new QuerySyntaxError('Query is nested too deeply');
+      }
+      const node = parseOr();
+      if (!peek() || peek().type !== ')') {
+        throw new QuerySyntaxError('Missing closing parenthesis');
+      }
+      next();
+      depth--;
+      return node;
+    }
+
+    if (token.type === 'term' || token.type === 'phrase') {
+      return { type: token.type, value: token.value };
+    }
+
+    if (token.type === 'field') {
+      return { type: 'field', field: token.field, value: token.value };
+    }
+
+    throw new QuerySyntaxError(`Unexpected ${token.type === ')' ? '")"' : token.type}`);
+  }
+
+  const ast = parseOr();
+  if (position < tokens.length) {
+    throw new QuerySyntaxError(`Unexpected ${tokens[position].type === ')' ? '")"' : tokens[position].type}`);
+  }
+  return ast;
+}
+
+/**
+ * Free text a document must be relevant to: terms and phrases not under NOT
+ * @param {Object} node - AST node
+ * @returns {Array<string>}
+ */
+function collectPositiveText(node) {
+  switch (node.type) {
+    case 'term':
+    case 'phrase':
+      return [node.value];
+    case 'and':
+    case 'or':
+      return node.children.flatMap(collectPositiveText);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Whether every article the query matches must contain one of its indexed text terms
+ * False when a branch can match on a field filter, an exclusion or stop words alone,
+ * in which case the inverted index cannot supply all candidates
+ * @param {Object} node - AST node
+ * @returns {boolean}
+ */
+function requiresText(node) {
+  switch (node.type) {
+    case 'term':
+    case 'phrase':
+      return analyze(node.value).length > 0;
+    case 'and':
+      return node.children.some(requiresText);
+    case 'or':
+      return node.children.every(requiresText);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Parse a search query
+ * @param {string} text - Raw query
+ * @returns {Object} - { text, ast, positiveText }
+ * @throws {QuerySyntaxError} - If the query is malformed
+ */
+function parseQuery(text) {
+  const source = String(text || '').trim();
+  const tokens = lex(source);
+  if (tokens.length === 0) {
+    throw new QuerySyntaxError('Query is empty');
+  }
+
+  const ast = parseTokens(tokens);
+  return {
+    text: source,
+    ast,
+    positiveText: collectPositiveText(ast).join(' '),
+  };
+}
+
+/**
+ * Build a predicate that evaluates the query against an article
+ * @param {Object} ast - Parsed AST
+ * @returns {Function} - (article) => boolean
+ */
+function createMatcher(ast) {
+  return (article) => {
+    let terms = null;
+    let normalized = null;
+
+    const getTerms = () => {
+      if (!terms) {
+        terms = new Set(analyze(`${article.title || ''} ${article.description || ''} ${article.content || ''}`));
+      }
+      return terms;
+    };
+
+    const getNormalized = () => {
+      if (normalized === null) {
+        normalized = ` ${normalizeText(`${article.title || ''} ${article.description || ''} ${article.content || ''}`)} `;
+      }
+      return normalized;
+    };
+
+    const evaluate = (node) => {
+      switch (node.type) {
+        case 'term': {
+          const termList = analyze(node.value);
+          // A stop word on its own cannot be matched meaningfully, so it never excludes
+          return termList.length === 0 || termList.every(term => getTerms().has(term));
+        }
+        case 'phrase': {
+          const phrase = normalizeText(node.value);
+          return !phrase || getNormalized().includes(` ${phrase} `);
+        }
+        case 'field': {
+          const value = normalizeText(node.value);
+          const fieldValue = normalizeText(article[node.field]);
+          return node.field === 'category' ? fieldValue === value : fieldValue.includes(value);
+        }
+        case 'and':
+          return node.children.every(evaluate);
+        case 'or':
+          return node.children.some(evaluate);
+        case 'not':
+          return !evaluate(node.child);
+        default:
+          return false;
+      }
+    };
+
+    return evaluate(ast);
+  };
+}
+
+/**
+ * Translate the query into provider boolean syntax (quotes, AND/OR/NOT, parentheses)
+ * Field filters have no provider equivalent, so the translation is a superset of the
+ * query and results must still be checked with createMatcher
+ * @param {Object} ast - Parsed AST
+ * @returns {string|null} - Provider query, or null if nothing can be sent upstream
+ */
+function toProviderQuery(ast) {
+  const translate = (node) => {
+    switch (node.type) {
+      case 'term':
+        return node.value;
+      case 'phrase':
+        return `"${node.value.replace(/"/g, '')}"`;
+      case 'field':
+        return null;
+      case 'and': {
+        const parts = node.children.map(translate).filter(Boolean);
+        if (parts.length === 0) return null;
+        return parts.length === 1 ? parts[0] : `(${parts.join(' AND ')})`;
+      }
+      case 'or': {
+        const parts = node.children.map(translate);
+        // One unconstrained branch makes the whole disjunction unconstrained upstream
+        if (parts.some(part => part === null)) return null;
+        return `(${parts.join(' OR ')})`;
+      }
+      case 'not': {
+        const inner = translate(node.child);
+        return inner === null ? null : `NOT ${inner}`;
+      }
+      default:
+        return null;
+    }
+  };
+
+  const result = translate(ast);
+  if (!result) return null;
+
+  // Providers reject a query made only of exclusions
+  if (ast.type === 'not' || (ast.type === 'and' && ast.children.every(child => child.type === 'not' || child.type === 'field'))) {
+    return null;
+  }
+
+  // Drop the redundant parentheses wrapped around the top-level group
+  return (ast.type === 'and' || ast.type === 'or') && result.startsWith('(')
+    ? result.slice(1, -1)
+    : result;
+}
+
+/**
+ * Turn a from/to search bound into a Date
+ * @param {string|Date|null} value - ISO 8601 date or date-time
+ * @param {Object} options - { endOfDay: a date-only value means the last millisecond of that day (UTC) }
+ * @returns {Date|null}
+ */
+function parseDateBound(value, { endOfDay = false } = {}) {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+
+  const date = new Date(value);
+  if (endOfDay && DATE_ONLY.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+}
+
+/**
+ * Build a predicate for the non-text search filters
+ * A date-only `to` includes the whole day; `from` starts at the beginning of its day
+ * @param {Object} filters - { language: code or array of codes, from, to } with dates as Date or ISO 8601 strings
+ * @returns {Function} - (article) => boolean
+ */
+function createFilter({ language = null, from = null, to = null } = {}) {
+  const languages = language ? [].concat(language) : null;
+  const fromDate = parseDateBound(from);
+  const toDate = parseDateBound(to, { endOfDay: true });
+
+  return (article) => {
+    if (languages && !languages.includes(article.language)) return false;
+
+    const publishedAt = new Date(article.publishedAt);
+    if (fromDate && publishedAt < fromDate) return false;
+    if (toDate && publishedAt > toDate) return false;
+
+    return true;
+  };
+}
+
+module.exports = {
+  FIELDS,
+  QuerySyntaxError,
+  parseQuery,
+  requiresText,
+  createMatcher,
+  toProviderQuery,
+  parseDateBound,
+  createFilter,
+};
@@ -73,6 +73,28 @@ function createPaginatedResponse(message, data, pagination) {
   });
 }
 
+/**
+ * Create a cursor-paginated response object
+ * @param {string} message - Success message
+ * @param {Array} data - Array of data items
+ * @param {Object} pagination - { limit, nextCursor, page (offset-based requests only) }
+ * @returns {Object} - Formatted paginated response
+ */
+function createCursorPaginatedResponse(message, data, pagination) {
+  const meta = {
+    limit: pagination.limit,
+    nextCursor: pagination.nextCursor,
+    hasNext: pagination.nextCursor !== null,
+  };
+
+  if (pagination.page) {
+    meta.page = pagination.page;
+    meta.hasPrev = pagination.page > 1;
+  }
+
+  return createResponse(message, data, { pagination: meta });
+}
+
 /**
  * Sanitize user data for safe output
  * @param {Object} user - User object
@@ -105,6 +127,7 @@ module.exports = {
   createResponse,
   createErrorResponse,
   createPaginatedResponse,
+  createCursorPaginatedResponse,
   sanitizeUser,
   formatValidationErrors,
 };
\ No newline at end of file
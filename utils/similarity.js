@@ -0,0 +1,80 @@
+/**
+ * Similarity Utilities
+ * Word shingling and Jaccard similarity used to spot the same story
+ * published under different URLs and slightly different titles
+ */
+const { tokenize } = require('./text');
+
+/**
+ * Build the set of contiguous word n-grams
+ * @param {Array<string>} tokens - Word tokens
+ * @param {number} size - Words per shingle
+ * @returns {Set<string>} - Shingles (the tokens themselves if there are fewer than `size`)
+ */
+function shingles(tokens, size = 3) {
+  if (tokens.length < size) {
+    return new Set(tokens);
+  }
+
+  const result = new Set();
+  for (let i = 0; i <= tokens.length - size; i++) {
+    result.add(tokens.slice(i, i + size).join(' '));
+  }
+  return result;
+}
+
+/**
+ * Jaccard similarity of two sets
+ * @param {Set} a - First set
+ * @param {Set} b - Second set
+ * @returns {number} - Value between 0 and 1
+ */
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 0;
+
+  let intersection = 0;
+  const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+  smaller.forEach(item => {
+    if (larger.has(item)) intersection++;
+  });
+
+  return intersection / (a.size + b.size - intersection);
+}
+
+/**
+ * Precompute what is needed to compare an article with others
+ * @param {Object} article - Article with title and description
+ * @returns {Object} - { title: Set, body: Set }
+ */
+function createSignature(article) {
+  return {
+    title: new Set(tokenize(article.title, { removeStopWords: true })),
+    body: shingles(tokenize(article.description, { removeStopWords: true }), 3),
+  };
+}
+
+/**
+ * Similarity of two article signatures
+ * Titles are compared as word sets, descriptions as 3-word shingles; when either
+ * article lacks a description only the title counts
+ * @param {Object} a - Signature from createSignature
+ * @param {Object} b - Signature from createSignature
+ * @returns {number} - Value between 0 and 1
+ */
+function compareSignatures(a, b) {
+  const titleSimilarity = jaccard(a.title, b.title);
+
+  if (a.body.size < 3 || b.body.size < 3) {
+    return titleSimilarity;
+  }
+
+  const bodySimilarity = jaccard(a.body, b.body);
+  return Math.max(titleSimilarity, (titleSimilarity + bodySimilarity) / 2);
+}
+
+module.exports = {
+  shingles,
+  jaccard,
+  createSignature,
+  compareSignatures,
+};
@@ -0,0 +1,171 @@
+/**
+ * Text Utilities
+ * Normalization, tokenization and stemming shared by deduplication and search
+ */
+
+// Common English function words that carry no meaning for matching
+const STOP_WORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'am', 'an', 'and', 'any',
+  'are', 'as', 'at', 'be', 'because', 'been', 'before', 'being', 'below', 'between',
+  'both', 'but', 'by', 'can', 'did', 'do', 'does', 'doing', 'down', 'during', 'each',
+  'few', 'for', 'from', 'further', 'had', 'has', 'have', 'having', 'he', 'her', 'here',
+  'hers', 'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me',
+  'more', 'most', 'my', 'new', 'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once',
+  'only', 'or', 'other', 'our', 'out', 'over', 'own', 'said', 'same', 'says', 'she',
+  'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there',
+  'these', 'they', 'this', 'those', 'through', 'to', 'too', 'under', 'until', 'up', 'very',
+  'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why',
+  'will', 'with', 'would', 'you', 'your',
+]);
+
+/**
+ * Lowercase, strip accents and punctuation, collapse whitespace
+ * @param {string} text - Raw text
+ * @returns {string} - Normalized text
+ */
+function normalizeText(text) {
+  if (!text) return '';
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Split text into normalized word tokens
+ * @param {string} text - Raw text
+ * @param {Object} options - { removeStopWords }
+ * @returns {Array<string>} - Tokens in original order
+ */
+function tokenize(text, { removeStopWords = false } = {}) {
+  const normalized = normalizeText(text);
+  if (!normalized) return [];
+
+  const tokens = normalized.split(' ');
+  return removeStopWords ? tokens.filter(token => !STOP_WORDS.has(token)) : tokens;
+}
+
+// Porter stemmer (M.F. Porter, 1980) lookup tables and measure patterns
+const STEP2_SUFFIXES = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble',
+  alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate',
+  ator: 'ate', alism: 'al', iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al',
+  iviti: 'ive', biliti: 'ble', logi: 'log',
+};
+
+const STEP3_SUFFIXES = {
+  icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: '',
+};
+
+const consonant = '[^aeiou]';
+const vowel = '[aeiouy]';
+const consonantSeq = consonant + '[^aeiouy]*';
+const vowelSeq = vowel + '[aeiou]*';
+
+const MEASURE_GT_0 = new RegExp('^(' + consonantSeq + ')?' + vowelSeq + consonantSeq);
+const MEASURE_EQ_1 = new RegExp('^(' + consonantSeq + ')?' + vowelSeq + consonantSeq + '(' + vowelSeq + ')?$');
+const MEASURE_GT_1 = new RegExp('^(' + consonantSeq + ')?' + vowelSeq + consonantSeq + vowelSeq + consonantSeq);
+const HAS_VOWEL = new RegExp('^(' + consonantSeq + ')?' + vowel);
+const ENDS_CVC = new RegExp('^' + consonantSeq + vowel + '[^aeiouwxy]$');
+
+/**
+ * Reduce an English word to its Porter stem ("running" -> "run", "policies" -> "polici")
+ * Words containing anything other than ASCII letters are returned unchanged
+ * @param {string} word - Lowercase word
+ * @returns {string} - Stem
+ */
+function stem(word) {
+  if (word.length < 3 || !/^[a-z]+$/.test(word)) {
+    return word;
+  }
+
+  let w = word;
+  let match;
+  const startsWithY = w[0] === 'y';
+  if (startsWithY) {
+    w = 'Y' + w.slice(1);
+  }
+
+  // Step 1a: plurals
+  if (/^(.+?)(ss|i)es$/.test(w)) {
+    w = w.replace(/^(.+?)(ss|i)es$/, '$1$2');
+  } else if (/^(.+?)([^s])s$/.test(w)) {
+    w = w.replace(/^(.+?)([^s])s$/, '$1$2');
+  }
+
+  // Step 1b: -eed, -ed, -ing
+  if ((match = /^(.+?)eed$/.exec(w))) {
+    if (MEASURE_GT_0.test(match[1])) {
+      w = w.slice(0, -1);
+    }
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = match[1];
+    if (/(at|bl|iz)$/.test(w)) {
+      w += 'e';
+    } else if (/([^aeiouylsz])\1$/.test(w)) {
+      w = w.slice(0, -1);
+    } else if (ENDS_CVC.test(w)) {
+      w += 'e';
+    }
+  }
+
+  // Step 1c: -y to -i
+  if ((match = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = match[1] + 'i';
+  }
+
+  // Step 2: double suffixes
+  match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w);
+  if (match && MEASURE_GT_0.test(match[1])) {
+    w = match[1] + STEP2_SUFFIXES[match[2]];
+  }
+
+  // Step 3: -ic-, -full, -ness
+  match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w);
+  if (match && MEASURE_GT_0.test(match[1])) {
+    w = match[1] + STEP3_SUFFIXES[match[2]];
+  }
+
+  // Step 4: remaining suffixes
+  if ((match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w))) {
+    if (MEASURE_GT_1.test(match[1])) {
+      w = match[1];
+    }
+  } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w))) {
+    if (MEASURE_GT_1.test(match[1] + match[2])) {
+      w = match[1] + match[2];
+    }
+  }
+
+  // Step 5: tidy up trailing -e and -ll
+  if ((match = /^(.+?)e$/.exec(w))) {
+    const base = match[1];
+    if (MEASURE_GT_1.test(base) || (MEASURE_EQ_1.test(base) && !ENDS_CVC.test(base))) {
+      w = base;
+    }
+  }
+  if (/ll$/.test(w) && MEASURE_GT_1.test(w)) {
+    w = w.slice(0, -1);
+  }
+
+  return startsWithY ? 'y' + w.slice(1) : w;
+}
+
+/**
+ * Full analysis pipeline used for indexing and querying: tokenize, drop stop words, stem
+ * @param {string} text - Raw text
+ * @returns {Array<string>} - Index terms in original order
+ */
+function analyze(text) {
+  return tokenize(text, { removeStopWords: true }).map(stem);
+}
+
+module.exports = {
+  STOP_WORDS,
+  normalizeText,
+  tokenize,
+  stem,
+  analyze,
+};